@@ -1,6 +1,15 @@
 // Apex Agent - Background Service Worker
 // Handles communication between popup, content scripts, and MCP server
 
+import { buildRecordingSteps, recordingTabIds, redactedUrlPattern, resolveRedactedValue } from './lib/steps.js';
+import { generateScript } from './lib/codegen.js';
+import { toRecorderFlow, fromRecorderFlow } from './lib/devtools-recorder.js';
+import { redactEntry, redactUrl } from './lib/redact.js';
+import {
+  createSession, appendEntry, appendEntries, listSessions, getSession, getSessionEntries,
+  updateSession, renameSession, clearSessionEntries, deleteSession, updateEntry
+} from './lib/session-store.js';
+
 // State
 let mcpServerRunning = false;
 let mcpPort = 3052;
@@ -14,7 +23,8 @@ let agentPermissions = {
   screenshot: true,
   showCursor: true,
   highlightTarget: true,
-  showTooltips: true
+  showTooltips: true,
+  trustedInput: false
 };
 let mcpWebSocket = null;
 let reconnectAttempts = 0;
@@ -53,7 +63,6 @@ chrome.runtime.onInstalled.addListener(() => {
   
   chrome.storage.local.set({
     isRecording: false,
-    recordLog: [],
     mcpPort: 3052,
     mcpHost: 'localhost',
     agentEnabled: true,
@@ -64,10 +73,14 @@ chrome.runtime.onInstalled.addListener(() => {
 // Set initial badge state
 updateBadge(false);
 
+migrateRecordLog().catch(e => console.log('Recording migration error:', e));
+
 // Auto-connect on service worker startup
 (async () => {
   try {
-    const stored = await chrome.storage.local.get(['mcpPort', 'mcpHost', 'autoReconnect']);
+    const stored = await chrome.storage.local.get(['mcpPort', 'mcpHost', 'autoReconnect', 'allowTrustedInput']);
+    // The popup only sends permissions when they change, so trusted input has to survive restarts
+    agentPermissions.trustedInput = !!stored.allowTrustedInput;
     if (stored.autoReconnect !== false) {
       shouldReconnect = true;
       console.log('Auto-connecting to MCP server...');
@@ -125,9 +138,50 @@ async function handleMessage(message, sender) {
     case 'GET_AGENT_STATUS':
       return { enabled: agentEnabled, permissions: agentPermissions };
     
-    case 'LOG_ENTRY':
-      chrome.runtime.sendMessage({ type: 'LOG_ENTRY', entry: message.entry }).catch(() => {});
-      return { success: true };
+    case 'RECORD_ENTRY':
+      return await recordTabEntry(message.entry, sender);
+    
+    case 'GET_RECORDING_STATE':
+      return await getTabRecordingState(sender);
+    
+    case 'TRUSTED_INPUT':
+      return await dispatchTrustedInput(sender.tab?.id, sender.frameId ?? 0, message.commands, message.options);
+    
+    case 'START_RECORDING_SESSION':
+      return await startRecording(message);
+    
+    case 'STOP_RECORDING_SESSION':
+      return await stopRecording();
+    
+    case 'PAUSE_RECORDING_SESSION':
+      return await setRecordingPaused(true);
+    
+    case 'RESUME_RECORDING_SESSION':
+      return await setRecordingPaused(false);
+    
+    case 'UPDATE_RECORDING_OPTIONS':
+      return await updateRecordingOptions(message.options);
+    
+    case 'SET_ASSERT_MODE':
+      return await setAssertMode(message.enabled, message.tabId);
+    
+    case 'LIST_SESSIONS':
+      return await listRecordingSessions();
+    
+    case 'OPEN_SESSION':
+      return await openRecordingSession(message.sessionId);
+    
+    case 'RENAME_SESSION':
+      return await renameRecordingSession(message.sessionId, message.name);
+    
+    case 'DELETE_SESSION':
+      return await deleteRecordingSession(message.sessionId);
+    
+    case 'CLEAR_SESSION':
+      return await clearRecordingSession(message.sessionId);
+    
+    case 'IMPORT_DEVTOOLS_RECORDING':
+      return await importDevtoolsRecording(message);
     
     case 'GET_ACTIVE_TAB':
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -148,6 +202,24 @@ async function handleMessage(message, sender) {
     case 'AGENT_ACTION':
       return await forwardAgentAction(message.action, message.tabId);
     
+    case 'START_REPLAY':
+      return await startReplay(message.log, message.options);
+    
+    case 'PAUSE_REPLAY':
+      return pauseReplay();
+    
+    case 'RESUME_REPLAY':
+      return resumeReplay();
+    
+    case 'STEP_REPLAY':
+      return stepReplay();
+    
+    case 'STOP_REPLAY':
+      return stopReplay();
+    
+    case 'GET_REPLAY_STATUS':
+      return getReplayStatus();
+    
     default:
       return { error: 'Unknown message type' };
   }
@@ -338,7 +410,7 @@ async function processMessageQueue() {
 async function executeToolCall(tool, params) {
   // Extension management tools don't require agent to be enabled
   const noAgentRequired = [
-    'browser_snapshot', 'get_page_info', 
+    'browser_snapshot', 'get_page_info', 'list_frames',
     'list_extensions', 'reload_extension', 'get_extension_info', 
     'enable_extension', 'disable_extension',
     'open_extension_popup', 'open_extension_options', 'open_extension_devtools',
@@ -356,7 +428,9 @@ async function executeToolCall(tool, params) {
     'enable_extension', 'disable_extension',
     'open_extension_popup', 'open_extension_options', 'open_extension_devtools',
     'open_extension_errors', 'trigger_extension_action', 'get_extension_popup_content', 
-    'interact_with_extension', 'close_tab'
+    'interact_with_extension', 'close_tab', 'export_recording',
+    'import_devtools_recording', 'export_devtools_recording',
+    'list_recording_sessions', 'get_recording_session'
   ];
   
   let tab = null;
@@ -368,6 +442,25 @@ async function executeToolCall(tool, params) {
     tab = activeTab;
   }
   
+  // "mark 17" from an annotated screenshot
+  if (params.mark !== undefined && params.mark !== null && !params.selector) {
+    params = { ...params, selector: `mark/${params.mark}` };
+  }
+  
+  // A snapshot ref stands in for a selector; subframe refs ("f3:e5") also pick the frame
+  const ref = parseRef(params.ref);
+  if (ref) {
+    params = { ...params, selector: params.selector || ref.selector };
+    if (ref.frameId !== undefined && params.frame === undefined) params.frame = ref.frameId;
+  }
+  
+  let frameId = 0;
+  if (tab && params.frame !== undefined) {
+    const frame = await resolveFrameId(tab.id, params.frame);
+    if (frame.error) return frame;
+    frameId = frame.frameId;
+  }
+  
   try {
     switch (tool) {
       case 'browser_navigate':
@@ -377,29 +470,29 @@ async function executeToolCall(tool, params) {
         return await forwardAgentAction({
           type: 'CLICK',
           selector: params.selector || params.ref,
-          options: params
-        });
+          options: { ...params, trusted: useTrustedInput(params) }
+        }, tab.id, frameId);
       
       case 'browser_type':
         return await forwardAgentAction({
           type: 'TYPE',
           selector: params.selector || params.ref,
           text: params.text,
-          options: params
-        });
+          options: { ...params, trusted: useTrustedInput(params) }
+        }, tab.id, frameId);
       
       case 'browser_scroll':
         return await forwardAgentAction({
           type: 'SCROLL',
           selector: params.selector || 'window',
           options: params
-        });
+        }, tab.id, frameId);
       
       case 'browser_hover':
         return await forwardAgentAction({
           type: 'HOVER',
           selector: params.selector || params.ref
-        });
+        }, tab.id, frameId);
       
       case 'browser_press_key':
         return await forwardAgentAction({
@@ -409,19 +502,97 @@ async function executeToolCall(tool, params) {
             selector: params.selector || params.ref,
             modifiers: params.modifiers || [],
             repeat: params.repeat || 1,
-            delay: params.delay || 50
+            delay: params.delay || 50,
+            trusted: useTrustedInput(params)
           }
-        });
+        }, tab.id, frameId);
+      
+      case 'browser_drag':
+        return await forwardAgentAction({
+          type: 'DRAG',
+          from: params.from,
+          to: params.to,
+          options: {
+            mode: params.mode || 'pointer',
+            steps: params.steps || 10,
+            duration: params.duration ?? 300,
+            button: params.button || 0
+          }
+        }, tab.id, frameId);
+      
+      case 'browser_mouse_path':
+        return await forwardAgentAction({
+          type: 'MOUSE_PATH',
+          points: params.points || [],
+          options: { button: params.button || 0, delay: params.delay ?? 16 }
+        }, tab.id, frameId);
+      
+      case 'browser_long_press':
+        return await forwardAgentAction({
+          type: 'LONG_PRESS',
+          target: params.selector || { x: params.x, y: params.y },
+          options: { duration: params.duration || 800, button: params.button || 0, touch: params.touch || false }
+        }, tab.id, frameId);
+      
+      case 'browser_select_option':
+        return await forwardAgentAction({
+          type: 'SELECT_OPTION',
+          selector: params.selector,
+          options: { value: params.value, label: params.label, index: params.index }
+        }, tab.id, frameId);
+      
+      case 'browser_set_checked':
+        return await forwardAgentAction({
+          type: 'SET_CHECKED',
+          selector: params.selector,
+          checked: params.checked !== false
+        }, tab.id, frameId);
+      
+      case 'browser_set_value':
+        return await forwardAgentAction({
+          type: 'SET_VALUE',
+          selector: params.selector,
+          value: params.value
+        }, tab.id, frameId);
       
-      case 'browser_snapshot':
-        return await forwardAgentAction({ type: 'GET_SNAPSHOT' });
+      case 'fill_form':
+        return await forwardAgentAction({
+          type: 'FILL_FORM',
+          fields: params.fields || {},
+          options: { form: params.form || null, submit: params.submit || false }
+        }, tab.id, frameId);
+      
+      case 'browser_upload_file':
+        return await uploadFiles(tab.id, frameId, params);
+      
+      case 'browser_snapshot': {
+        const options = {
+          mode: params.mode || 'elements',
+          region: params.region || null,
+          viewportOnly: params.viewportOnly || false,
+          offset: params.offset || 0,
+          limit: params.limit || 0,
+          maxTokens: params.maxTokens || 0,
+          diff: params.diff || false
+        };
+        // Summaries name the region to page through by ref, which may belong to a subframe
+        const region = parseRef(params.region);
+        if (region) options.region = region.selector;
+        if (region?.frameId !== undefined && params.frame === undefined) frameId = region.frameId;
+        else if (params.frame === undefined) return await getFramesSnapshot(tab.id, options);
+        const snapshot = await forwardAgentAction({ type: 'GET_SNAPSHOT', options }, tab.id, frameId);
+        return snapshot?.error ? snapshot : prefixRefs(snapshot, frameId);
+      }
+      
+      case 'list_frames':
+        return await listFrames(tab.id);
       
       case 'browser_evaluate':
         // Use chrome.scripting.executeScript to bypass CSP restrictions
         try {
           const code = params.script || params.code;
           const results = await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
+            target: { tabId: tab.id, frameIds: [frameId] },
             world: 'MAIN', // Execute in page context
             func: (codeToRun) => {
               try {
@@ -443,79 +614,117 @@ async function executeToolCall(tool, params) {
           type: 'WAIT',
           condition: params,
           timeout: params.timeout
-        });
+        }, tab.id, frameId);
       
       case 'browser_screenshot':
-        return await takeScreenshot(params);
+        return await takeScreenshot({ ...params, tabId: tab.id, frameId });
+      
+      case 'browser_screenshot_annotated':
+        return await takeAnnotatedScreenshot(tab.id, frameId, params);
       
       case 'get_page_info':
-        return await forwardAgentAction({ type: 'GET_PAGE_STATE' });
+        return await forwardAgentAction({ type: 'GET_PAGE_STATE' }, tab.id, frameId);
       
       case 'get_element_info':
         return await chrome.tabs.sendMessage(tab.id, {
           type: 'GET_ELEMENT_INFO',
           selector: params.selector
-        });
+        }, { frameId });
       
       // ===== DEVTOOLS INSPECTION TOOLS =====
       case 'inspect_element':
         return await forwardAgentAction({
           type: 'INSPECT_ELEMENT',
           selector: params.selector
-        });
+        }, tab.id, frameId);
       
       case 'get_dom_tree':
         return await forwardAgentAction({
           type: 'GET_DOM_TREE',
           selector: params.selector || null,
           depth: params.depth || 3
-        });
+        }, tab.id, frameId);
       
       case 'get_computed_styles':
         return await forwardAgentAction({
           type: 'GET_COMPUTED_STYLES',
           selector: params.selector,
           properties: params.properties || null
-        });
+        }, tab.id, frameId);
       
       case 'get_element_html':
         return await forwardAgentAction({
           type: 'GET_ELEMENT_HTML',
           selector: params.selector,
           outer: params.outer !== false
-        });
+        }, tab.id, frameId);
+      
+      case 'get_page_markdown':
+      case 'get_page_text':
+        return await forwardAgentAction({
+          type: 'GET_PAGE_CONTENT',
+          options: {
+            format: tool === 'get_page_text' ? 'text' : 'markdown',
+            selector: params.selector || null,
+            full: params.full || false,
+            section: params.section,
+            sectionLevel: params.sectionLevel || 2,
+            maxLength: params.maxLength || 20000
+          }
+        }, tab.id, frameId);
+      
+      case 'extract_table':
+        return await forwardAgentAction({
+          type: 'EXTRACT_TABLE',
+          selector: params.selector || null,
+          options: { limit: params.limit || 500, links: params.links || false }
+        }, tab.id, frameId);
+      
+      case 'extract_list':
+        return await forwardAgentAction({
+          type: 'EXTRACT_LIST',
+          options: {
+            item: parseRef(params.item)?.selector || params.item || null,
+            container: parseRef(params.container)?.selector || params.container || null,
+            fields: params.fields || null,
+            limit: params.limit || 500
+          }
+        }, tab.id, frameId);
+      
+      case 'extract_metadata':
+        return await forwardAgentAction({ type: 'EXTRACT_METADATA' }, tab.id, frameId);
       
       case 'query_all':
         return await forwardAgentAction({
           type: 'QUERY_ALL',
           selector: params.selector,
           limit: params.limit || 20
-        });
+        }, tab.id, frameId);
       
       case 'get_console_logs':
-        return await forwardAgentAction({ type: 'GET_CONSOLE_LOGS' });
+        return await forwardAgentAction({ type: 'GET_CONSOLE_LOGS' }, tab.id, frameId);
       
       case 'get_network_info':
-        return await forwardAgentAction({ type: 'GET_NETWORK_INFO' });
+        return await forwardAgentAction({ type: 'GET_NETWORK_INFO' }, tab.id, frameId);
       
       case 'get_storage':
         return await forwardAgentAction({
           type: 'GET_STORAGE',
           storageType: params.type || 'local'
-        });
+        }, tab.id, frameId);
       
       case 'get_cookies':
-        return await forwardAgentAction({ type: 'GET_COOKIES' });
+        return await forwardAgentAction({ type: 'GET_COOKIES' }, tab.id, frameId);
       
       case 'get_page_metrics':
-        return await forwardAgentAction({ type: 'GET_PAGE_METRICS' });
+        return await forwardAgentAction({ type: 'GET_PAGE_METRICS' }, tab.id, frameId);
       
       case 'find_by_text':
         return await forwardAgentAction({
           type: 'FIND_BY_TEXT',
           text: params.text,
           tag: params.tag || null
-        });
+        }, tab.id, frameId);
       
       case 'browser_click_by_text':
         return await forwardAgentAction({
@@ -524,9 +733,10 @@ async function executeToolCall(tool, params) {
           options: {
             tag: params.tag,
             exact: params.exact || false,
-            index: params.index || 0
+            index: params.index || 0,
+            trusted: useTrustedInput(params)
           }
-        });
+        }, tab.id, frameId);
       
       case 'browser_wait_for_element':
         return await forwardAgentAction({
@@ -536,14 +746,14 @@ async function executeToolCall(tool, params) {
             timeout: params.timeout || 10000,
             visible: params.visible !== false
           }
-        });
+        }, tab.id, frameId);
       
       case 'browser_execute_safe':
         // Execute in content script's isolated world (CSP-safe)
         try {
           const code = params.code || params.script;
           const results = await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
+            target: { tabId: tab.id, frameIds: [frameId] },
             world: 'ISOLATED', // Content script context
             func: (codeToRun) => {
               try {
@@ -565,24 +775,35 @@ async function executeToolCall(tool, params) {
         // Execute code with element reference
         try {
           const code = params.code || params.script;
-          const selector = params.selector;
-          const results = await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            world: 'MAIN', // Page context for full DOM access
-            func: (sel, codeToRun) => {
-              try {
-                const element = document.querySelector(sel);
-                if (!element) return { error: `Element not found: ${sel}` };
-                // Execute code with element in scope
-                const fn = new Function('element', codeToRun);
-                return { success: true, result: fn(element) };
-              } catch (e) {
-                return { error: e.message };
-              }
-            },
-            args: [selector, code]
+          return await withMarkedElement(tab.id, frameId, params.selector, async query => {
+            const results = await chrome.scripting.executeScript({
+              target: { tabId: tab.id, frameIds: [frameId] },
+              world: 'MAIN', // Page context for full DOM access
+              func: (query, codeToRun) => {
+                try {
+                  // The tagged element may sit in an open shadow root
+                  const find = root => {
+                    const match = root.querySelector(query);
+                    if (match) return match;
+                    for (const el of root.querySelectorAll('*')) {
+                      const nested = el.shadowRoot && find(el.shadowRoot);
+                      if (nested) return nested;
+                    }
+                    return null;
+                  };
+                  const element = find(document);
+                  if (!element) return { error: 'Element not found in the page context' };
+                  // Execute code with element in scope
+                  const fn = new Function('element', codeToRun);
+                  return { success: true, result: fn(element) };
+                } catch (e) {
+                  return { error: e.message };
+                }
+              },
+              args: [query, code]
+            });
+            return results[0]?.result || { error: 'No result' };
           });
-          return results[0]?.result || { error: 'No result' };
         } catch (e) {
           return { error: e.message };
         }
@@ -591,7 +812,26 @@ async function executeToolCall(tool, params) {
         return await forwardAgentAction({
           type: 'GET_ATTRIBUTES',
           selector: params.selector
-        });
+        }, tab.id, frameId);
+      
+      // ===== RECORDING TOOLS =====
+      case 'list_recording_sessions':
+        return await listRecordingSessions();
+      
+      case 'get_recording_session':
+        return await getRecordingSession(params);
+      
+      case 'replay_recording':
+        return await replayRecording(params);
+      
+      case 'export_recording':
+        return await exportRecording(params);
+      
+      case 'import_devtools_recording':
+        return await importDevtoolsRecording(params);
+      
+      case 'export_devtools_recording':
+        return await exportDevtoolsRecording(params);
       
       // ===== EXTENSION MANAGEMENT TOOLS =====
       case 'list_extensions':
@@ -700,7 +940,7 @@ async function executeToolCall(tool, params) {
         return await sendCDPCommand(tab.id, params.method, params.params || {});
       
       case 'get_event_listeners':
-        return await getEventListeners(tab.id, params.selector);
+        return await getEventListeners(tab.id, frameId, params.selector);
       
       case 'start_network_monitor':
         return await startNetworkMonitoring(tab.id);
@@ -718,10 +958,10 @@ async function executeToolCall(tool, params) {
         return await takeHeapSnapshot(tab.id);
       
       case 'set_dom_breakpoint':
-        return await setDOMBreakpoint(tab.id, params.selector, params.type || 'subtree-modified');
+        return await setDOMBreakpoint(tab.id, frameId, params.selector, params.type || 'subtree-modified');
       
       case 'remove_dom_breakpoint':
-        return await removeDOMBreakpoint(tab.id, params.selector, params.type || 'subtree-modified');
+        return await removeDOMBreakpoint(tab.id, frameId, params.selector, params.type || 'subtree-modified');
       
       case 'start_css_coverage':
         return await startCSSCoverage(tab.id);
@@ -742,7 +982,7 @@ async function executeToolCall(tool, params) {
         return await getPerformanceMetrics(tab.id);
       
       case 'get_accessibility_tree':
-        return await getAccessibilityTree(tab.id, params.selector);
+        return await getAccessibilityTree(tab.id, frameId, params.selector);
       
       case 'get_layer_tree':
         return await getLayerTree(tab.id);
@@ -809,139 +1049,1291 @@ async function navigateTab(url, tabId) {
   }
 }
 
-async function takeScreenshot(options = {}) {
+async function takeScreenshot(options = {}) {
+  try {
+    if (!agentPermissions.screenshot && agentEnabled) {
+      return { error: 'Screenshots not permitted' };
+    }
+
+    // Full page, element and clipped captures go through CDP, which renders beyond the viewport
+    // without scrolling; so do scaled and transparent ones
+    if (options.fullPage || options.selector || options.clip || options.scale || options.omitBackground) {
+      return await captureWithDebugger(options);
+    }
+    
+    // Standard viewport capture (fast for just what's visible); it only sees the active tab
+    // of a window, so a tool call aimed at a background tab goes through CDP instead
+    const tab = options.tabId ? await chrome.tabs.get(options.tabId) : null;
+    if (tab && !tab.active) return await captureWithDebugger(options);
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab ? tab.windowId : null, {
+      format: options.format || 'png',
+      quality: options.quality || 90
+    });
+    
+    return { success: true, dataUrl };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Limit max dimensions to avoid memory issues
+const MAX_CAPTURE_DIMENSION = 16384;
+
+// options: fullPage, selector (in options.frameId), clip {x, y, width, height} in viewport CSS pixels,
+// padding around the element or clip, scale (device pixel ratio of the image), omitBackground
+async function captureWithDebugger(options) {
+  const tabId = options.tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+  if (!tabId) return { error: 'No active tab' };
+  
+  const attachRes = await attachDebugger(tabId);
+  if (attachRes.error && !attachRes.already) return attachRes;
+  
+  // Enable Page domain to get layout metrics
+  await sendCDPCommand(tabId, 'Page.enable');
+  const layout = await sendCDPCommand(tabId, 'Page.getLayoutMetrics');
+  if (layout?.error) return { error: layout.error };
+  
+  const region = await getCaptureRegion(tabId, options.frameId || 0, options, layout);
+  if (region.error) return region;
+  
+  // Clip is in document coordinates, so a tall element is captured whole wherever the page is scrolled
+  const { pageX, pageY } = layout.cssVisualViewport;
+  const contentSize = layout.cssContentSize || layout.contentSize;
+  const padding = Math.max(0, Number(options.padding) || 0);
+  const rect = region.document ? region.rect : { ...region.rect, x: region.rect.x + pageX, y: region.rect.y + pageY };
+  const x = Math.max(0, rect.x - padding);
+  const y = Math.max(0, rect.y - padding);
+  const clip = {
+    x,
+    y,
+    width: Math.min(rect.x + rect.width + padding, contentSize.width, x + MAX_CAPTURE_DIMENSION) - x,
+    height: Math.min(rect.y + rect.height + padding, contentSize.height, y + MAX_CAPTURE_DIMENSION) - y
+  };
+  if (clip.width <= 0 || clip.height <= 0) return { error: 'Capture area is outside the page' };
+  
+  const scale = Number(options.scale) > 0 ? Number(options.scale) : 1;
+  // Transparency needs PNG
+  const format = options.format === 'jpeg' && !options.omitBackground ? 'jpeg' : 'png';
+  
+  if (options.omitBackground) {
+    const override = await sendCDPCommand(tabId, 'Emulation.setDefaultBackgroundColorOverride', { color: { r: 0, g: 0, b: 0, a: 0 } });
+    if (override?.error) return { error: override.error };
+  }
+  try {
+    const result = await sendCDPCommand(tabId, 'Page.captureScreenshot', {
+      format,
+      ...(format === 'jpeg' && { quality: options.quality || 80 }),
+      captureBeyondViewport: true,
+      fromSurface: true,
+      clip: { ...clip, scale }
+    });
+    if (result?.error) return { error: result.error };
+    
+    return {
+      success: true,
+      dataUrl: `data:image/${format};base64,${result.data}`,
+      dimensions: { width: Math.round(clip.width * scale), height: Math.round(clip.height * scale) },
+      clip,
+      ...(options.fullPage && !options.selector && !options.clip && { fullPage: true }),
+      ...(region.healed && { healed: region.healed })
+    };
+  } finally {
+    if (options.omitBackground) await sendCDPCommand(tabId, 'Emulation.setDefaultBackgroundColorOverride', {});
+  }
+}
+
+// The area to capture: rect in viewport coordinates of the top frame, or in document coordinates when document is set
+async function getCaptureRegion(tabId, frameId, options, layout) {
+  if (options.selector) return await getElementCaptureRect(tabId, frameId, options.selector);
+  
+  if (options.clip) {
+    const { x = 0, y = 0, width, height } = options.clip;
+    if (!(width > 0 && height > 0)) return { error: 'clip needs a positive width and height' };
+    const offset = await getFrameOffset(tabId, frameId);
+    if (offset.error) return offset;
+    return { rect: { x: x + offset.x, y: y + offset.y, width, height } };
+  }
+  
+  if (options.fullPage) {
+    const contentSize = layout.cssContentSize || layout.contentSize;
+    return { rect: { x: 0, y: 0, width: contentSize.width, height: contentSize.height }, document: true };
+  }
+  
+  // Scaled or transparent capture of the viewport
+  const { clientWidth, clientHeight } = layout.cssVisualViewport;
+  return { rect: { x: 0, y: 0, width: clientWidth, height: clientHeight } };
+}
+
+async function getElementCaptureRect(tabId, frameId, selector) {
+  const marked = await forwardAgentAction({ type: 'MARK_CAPTURE_TARGET', selector }, tabId, frameId);
+  if (marked?.error) return marked;
+  
+  try {
+    // Box model quads are already in top-frame viewport coordinates, iframes included
+    const box = await withMarkedNode(tabId, `[data-apex-capture="${marked.marker}"]`,
+      nodeId => sendCDPCommand(tabId, 'DOM.getBoxModel', { nodeId }));
+    if (box?.model) return { rect: quadBounds(box.model.border), healed: marked.healed };
+    
+    // Out-of-process frames aren't in this target's DOM; their own rect, moved into the top frame, stands in
+    const offset = await getFrameOffset(tabId, frameId);
+    if (offset.error) return offset;
+    const { x, y, width, height } = marked.rect;
+    return { rect: { x: x + offset.x, y: y + offset.y, width, height }, healed: marked.healed };
+  } finally {
+    await forwardAgentAction({ type: 'UNMARK_CAPTURE_TARGET', marker: marked.marker }, tabId, frameId);
+  }
+}
+
+// Bounding box of a CDP quad [x1, y1, x2, y2, x3, y3, x4, y4]; transforms can make it a non-rectangle
+function quadBounds(quad) {
+  const xs = [quad[0], quad[2], quad[4], quad[6]];
+  const ys = [quad[1], quad[3], quad[5], quad[7]];
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+// Set-of-marks: numbered boxes drawn over the interactive elements are captured with the page
+// and removed again; the marks map each number to its ref and selector
+async function takeAnnotatedScreenshot(tabId, frameId, params = {}) {
+  if (!agentPermissions.screenshot && agentEnabled) {
+    return { error: 'Screenshots not permitted' };
+  }
+  
+  const shown = await forwardAgentAction({ type: 'SHOW_MARKS', options: { fullPage: params.fullPage || false } }, tabId, frameId);
+  if (shown?.error) return shown;
+  try {
+    const screenshot = await takeScreenshot({ fullPage: params.fullPage, format: params.format, quality: params.quality, tabId, frameId });
+    if (screenshot.error) return screenshot;
+    return { ...screenshot, marks: prefixRefs(shown, frameId).marks };
+  } finally {
+    await forwardAgentAction({ type: 'HIDE_MARKS' }, tabId, frameId);
+  }
+}
+
+async function executeScript(tabId, script) {
+  try {
+    if (!agentPermissions.scripts && agentEnabled) {
+      return { error: 'Script execution not permitted' };
+    }
+    
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+    if (!targetTabId) return { error: 'No target tab' };
+    
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: targetTabId },
+      func: (code) => { try { return eval(code); } catch (e) { return { error: e.message }; } },
+      args: [script]
+    });
+    
+    return { success: true, result: results[0]?.result };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+async function getTabInfo(tabId) {
+  try {
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+    if (!targetTabId) return { error: 'No target tab' };
+    
+    const tab = await chrome.tabs.get(targetTabId);
+    return { id: tab.id, url: tab.url, title: tab.title, active: tab.active, status: tab.status };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+async function forwardAgentAction(action, tabId, frameId = 0) {
+  try {
+    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+    if (!targetTabId) return { error: 'No target tab' };
+    
+    // Check if tab exists and is accessible
+    try {
+      const tab = await chrome.tabs.get(targetTabId);
+      // Skip chrome:// and edge:// URLs as content scripts don't run there
+      if (tab.url?.startsWith('chrome://') || tab.url?.startsWith('edge://') || tab.url?.startsWith('about:')) {
+        return { error: 'Cannot access browser internal pages. Navigate to a regular website first.' };
+      }
+    } catch (tabError) {
+      return { error: `Tab not accessible: ${tabError.message}` };
+    }
+    
+    // Send message with timeout (use resolve to avoid unhandled rejection).
+    // The content script runs in every frame, so always address a single one
+    const result = await Promise.race([
+      chrome.tabs.sendMessage(targetTabId, { type: 'AGENT_ACTION', action }, { frameId }).catch(e => ({ error: e.message })),
+      new Promise((resolve) => setTimeout(() => resolve({ error: 'Content script timeout (10s)' }), 10000))
+    ]);
+    
+    chrome.runtime.sendMessage({
+      type: 'AGENT_ACTIVITY',
+      action: { type: action.type, details: JSON.stringify(action).slice(0, 100) }
+    }).catch(() => {});
+    
+    return result;
+  } catch (error) {
+    // More descriptive error for common issues
+    if (error.message.includes('Receiving end does not exist') || error.message.includes('Could not establish connection')) {
+      return { error: 'Content script not loaded. Try refreshing the page or navigate to a different website.' };
+    }
+    return { error: error.message };
+  }
+}
+
+// ============ FRAMES ============
+// Tools take a `frame` param: a frameId, a frame URL pattern ("https://pay.example.com/*"),
+// an <iframe> selector in the top document, or an array of selectors for nested frames
+async function listFrames(tabId) {
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    if (!frames) return { error: 'Tab not accessible' };
+    return {
+      success: true,
+      frames: frames
+        .sort((a, b) => a.frameId - b.frameId)
+        .map(({ frameId, parentFrameId, url, errorOccurred }) => ({ frameId, parentFrameId, url, errorOccurred }))
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Returns { frameId } or { error }; no frame means the top document
+async function resolveFrameId(tabId, frame) {
+  if (frame === undefined || frame === null || frame === '') return { frameId: 0 };
+  
+  const { frames, error } = await listFrames(tabId);
+  if (error) return { error };
+  
+  if (typeof frame === 'number' || (typeof frame === 'string' && /^\d+$/.test(frame))) {
+    const frameId = Number(frame);
+    if (!frames.some(f => f.frameId === frameId)) return { error: `No frame with id ${frameId}` };
+    return { frameId };
+  }
+  
+  if (typeof frame === 'object' && !Array.isArray(frame)) {
+    if (frame.frameId !== undefined) return resolveFrameId(tabId, Number(frame.frameId));
+    if (frame.url) return matchFrameUrl(frames, frame.url);
+    if (frame.selector) return resolveFrameId(tabId, [frame.selector]);
+    return { error: 'Frame must have a frameId, url or selector' };
+  }
+  
+  if (typeof frame === 'string' && (frame.includes('://') || frame.startsWith('*'))) {
+    return matchFrameUrl(frames, frame);
+  }
+  
+  // Each selector is resolved inside the frame found by the previous one
+  let frameId = 0;
+  for (const selector of [].concat(frame)) {
+    const result = await forwardAgentAction({ type: 'GET_FRAME_ID', selector }, tabId, frameId);
+    if (result?.error) return { error: result.error };
+    frameId = result.frameId;
+  }
+  return { frameId };
+}
+
+// "*" matches anything; a pattern without one matches URLs that start with it
+function matchFrameUrl(frames, pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  const regex = new RegExp(`^${source}${pattern.includes('*') ? '$' : ''}`);
+  // The top document rarely is the intended target, so subframes win ties
+  const match = frames.find(f => f.frameId !== 0 && regex.test(f.url)) || frames.find(f => regex.test(f.url));
+  return match ? { frameId: match.frameId } : { error: `No frame matches ${pattern}` };
+}
+
+// Position of a frame's viewport in the tab, summed up through its ancestor <iframe>s
+async function getFrameOffset(tabId, frameId) {
+  const offset = { x: 0, y: 0 };
+  if (!frameId) return offset;
+  
+  const { frames, error } = await listFrames(tabId);
+  if (error) return { error };
+  
+  let frame = frames.find(f => f.frameId === frameId);
+  while (frame && frame.frameId !== 0) {
+    const result = await forwardAgentAction({ type: 'GET_FRAME_OFFSET', frameId: frame.frameId }, tabId, frame.parentFrameId);
+    if (result?.error) return { error: result.error };
+    offset.x += result.x;
+    offset.y += result.y;
+    frame = frames.find(f => f.frameId === frame.parentFrameId);
+  }
+  return offset;
+}
+
+// Top-level snapshot plus one snapshot per subframe; element rects are relative to their own frame.
+// Paging, budgets and diffs apply to each frame on its own; a region is looked up in the top document only.
+async function getFramesSnapshot(tabId, options = {}) {
+  const snapshot = await forwardAgentAction({ type: 'GET_SNAPSHOT', options }, tabId, 0);
+  if (snapshot?.error || options.region) return snapshot;
+  
+  const { frames = [] } = await listFrames(tabId);
+  const subframes = frames.filter(f => f.frameId !== 0 && !f.errorOccurred && /^(https?|file):|^about:blank/.test(f.url));
+  if (!subframes.length) return snapshot;
+  
+  snapshot.frames = await Promise.all(subframes.map(async ({ frameId, parentFrameId, url }) => {
+    const result = await forwardAgentAction({ type: 'GET_SNAPSHOT', options }, tabId, frameId);
+    if (result?.error) return { frameId, parentFrameId, url, error: result.error };
+    return { ...prefixRefs(result, frameId), frameId, parentFrameId, url };
+  }));
+  return snapshot;
+}
+
+// Refs are only unique within a frame, so subframe refs carry their frame: "f3:e5"
+function prefixRefs(snapshot, frameId) {
+  if (!frameId) return snapshot;
+  const prefixed = { ...snapshot };
+  const prefix = node => {
+    const copy = { ...node };
+    ['ref', 'region', 'parent'].forEach(key => {
+      if (copy[key]) copy[key] = `f${frameId}:${copy[key]}`;
+    });
+    if (copy.children) copy.children = copy.children.map(prefix);
+    return copy;
+  };
+  ['elements', 'nodes', 'added', 'changed', 'removed', 'marks'].forEach(key => {
+    if (snapshot[key]) prefixed[key] = snapshot[key].map(prefix);
+  });
+  return prefixed;
+}
+
+// "e5" or "f3:e5" from a snapshot, as a ref/ selector and the frame it belongs to
+function parseRef(value) {
+  const match = typeof value === 'string' && value.match(/^(?:f(\d+):)?(e\d+)$/);
+  if (!match) return null;
+  return { selector: `ref/${match[2]}`, frameId: match[1] === undefined ? undefined : Number(match[1]) };
+}
+
+// ============ FILE UPLOAD ============
+// Files come as base64 content, plus their path when the MCP server read them from disk.
+// Paths go through DOM.setFileInputFiles so the browser attaches the real file, as a user
+// pick would; without them, or when the debugger can't reach the input (out-of-process
+// iframes), the page gets the contents through a DataTransfer instead.
+async function uploadFiles(tabId, frameId, params) {
+  const { selector, files = [] } = params;
+  if (!selector) return { error: 'Missing selector' };
+  if (!files.length) return { error: 'No files to upload' };
+  if (files.some(file => !file.path && typeof file.content !== 'string')) {
+    return { error: 'Each file needs a path or base64 content' };
+  }
+  
+  if (files.every(file => file.path)) {
+    const result = await setFileInputPaths(tabId, frameId, selector, files.map(file => file.path));
+    if (!result.error || files.some(file => typeof file.content !== 'string')) return result;
+  }
+  
+  return await forwardAgentAction({ type: 'SET_INPUT_FILES', selector, files }, tabId, frameId);
+}
+
+async function setFileInputPaths(tabId, frameId, selector, paths) {
+  const marked = await forwardAgentAction({ type: 'MARK_FILE_INPUT', selector, count: paths.length }, tabId, frameId);
+  if (marked?.error) return marked;
+  
+  let result;
+  try {
+    result = await setMarkedInputFiles(tabId, marked.marker, paths);
+  } finally {
+    const unmarked = await forwardAgentAction({ type: 'UNMARK_FILE_INPUT', marker: marked.marker }, tabId, frameId);
+    if (result && !result.error) result.files = unmarked?.files;
+  }
+  return result.error ? result : { ...result, healed: marked.healed };
+}
+
+async function setMarkedInputFiles(tabId, marker, paths) {
+  const result = await withMarkedNode(tabId, `input[data-apex-upload="${marker}"]`, async nodeId => {
+    // Chrome fires input and change itself, as for a user's pick
+    const set = await sendCDPCommand(tabId, 'DOM.setFileInputFiles', { files: paths, nodeId });
+    if (set?.error) return set;
+    return { success: true, method: 'cdp' };
+  });
+  return result || { error: 'File input not reachable through the debugger' };
+}
+
+// Runs fn on the node of an element a content script marked; null when the debugger can't find it.
+// Search covers shadow roots and same-process iframes, wherever the element lives.
+async function withMarkedNode(tabId, query, fn) {
+  const doc = await sendCDPCommand(tabId, 'DOM.getDocument', { depth: 0 });
+  if (doc?.error) return doc;
+  
+  const search = await sendCDPCommand(tabId, 'DOM.performSearch', { query });
+  if (search?.error) return search;
+  
+  try {
+    if (!search.resultCount) return null;
+    const found = await sendCDPCommand(tabId, 'DOM.getSearchResults', { searchId: search.searchId, fromIndex: 0, toIndex: 1 });
+    if (found?.error) return found;
+    return await fn(found.nodeIds[0]);
+  } finally {
+    await sendCDPCommand(tabId, 'DOM.discardSearchResults', { searchId: search.searchId });
+  }
+}
+
+// Runs fn with a plain CSS query for the element a selector, ref or mark resolves to, for tools
+// that look elements up through the debugger or in the page's own world
+async function withMarkedElement(tabId, frameId, selector, fn) {
+  const marked = await forwardAgentAction({ type: 'MARK_ELEMENT', selector }, tabId, frameId);
+  if (marked?.error) return marked;
+  
+  try {
+    const result = await fn(`[data-apex-target="${marked.marker}"]`);
+    return marked.healed && result && !result.error ? { ...result, healed: marked.healed } : result;
+  } finally {
+    await forwardAgentAction({ type: 'UNMARK_ELEMENT', marker: marked.marker }, tabId, frameId);
+  }
+}
+
+// withMarkedNode for the element a selector, ref or mark resolves to
+async function withElementNode(tabId, frameId, selector, fn) {
+  return await withMarkedElement(tabId, frameId, selector, async query => {
+    const result = await withMarkedNode(tabId, query, fn);
+    return result || { error: `Element not reachable through the debugger: ${selector}` };
+  });
+}
+
+// ============ RECORDING SESSIONS ============
+// Recordings live in IndexedDB; content scripts send entries here and the
+// popup/MCP read them back by session. currentSessionId is the session open in
+// the popup and the default for replay/export.
+let activeSessionId = null;
+let recordQueue = Promise.resolve();
+
+// The background owns the recording: which tabs take part, pause state and
+// options. Every tab opened from a recorded tab during a flow joins it, and
+// all their events land in one session timeline tagged with tabId/frameId.
+let recordingControl = null;
+
+async function getRecordingControl() {
+  if (!recordingControl) {
+    const { recordingControl: stored } = await chrome.storage.local.get('recordingControl');
+    recordingControl = {
+      active: false,
+      paused: false,
+      options: {},
+      tabIds: [],
+      lastActiveTabId: null,
+      ...stored
+    };
+  }
+  return recordingControl;
+}
+
+async function saveRecordingControl() {
+  const { active, paused } = recordingControl;
+  await chrome.storage.local.set({ recordingControl, isRecording: active, isPaused: paused });
+}
+
+function sendToRecordingTab(tabId, message) {
+  return chrome.tabs.sendMessage(tabId, message).catch(() => {
+    // Content script not loaded yet - it asks for GET_RECORDING_STATE when it starts
+  });
+}
+
+async function startRecording(params = {}) {
+  const control = await getRecordingControl();
+  if (control.active) return { error: 'Already recording' };
+  
+  const tabId = params.tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+  if (!tabId) return { error: 'No tab to record' };
+  
+  const { session } = await startRecordingSession({ name: params.name, url: params.url });
+  Object.assign(control, {
+    active: true,
+    paused: false,
+    options: params.options || {},
+    tabIds: [tabId],
+    lastActiveTabId: tabId
+  });
+  await saveRecordingControl();
+  await sendToRecordingTab(tabId, { type: 'START_RECORDING', options: control.options });
+  if (control.options.captureNetwork) await startNetworkCapture(tabId);
+  
+  return { success: true, session };
+}
+
+async function stopRecording() {
+  const control = await getRecordingControl();
+  const tabIds = control.tabIds;
+  Object.assign(control, { active: false, paused: false, tabIds: [], lastActiveTabId: null });
+  await saveRecordingControl();
+  
+  await Promise.all(tabIds.map(tabId => sendToRecordingTab(tabId, { type: 'STOP_RECORDING' })));
+  await Promise.all(tabIds.map(tabId => stopNetworkCapture(tabId)));
+  return await stopRecordingSession();
+}
+
+async function setRecordingPaused(paused) {
+  const control = await getRecordingControl();
+  if (!control.active) return { error: 'Not recording' };
+  
+  control.paused = paused;
+  await saveRecordingControl();
+  await Promise.all(control.tabIds.map(tabId =>
+    sendToRecordingTab(tabId, { type: paused ? 'PAUSE_RECORDING' : 'RESUME_RECORDING' })
+  ));
+  return { success: true, paused };
+}
+
+async function updateRecordingOptions(options = {}) {
+  const control = await getRecordingControl();
+  control.options = { ...control.options, ...options };
+  await saveRecordingControl();
+  
+  if (control.active) {
+    await Promise.all(control.tabIds.map(tabId =>
+      sendToRecordingTab(tabId, { type: 'UPDATE_OPTIONS', options: control.options })
+    ));
+    await Promise.all(control.tabIds.map(tabId =>
+      control.options.captureNetwork ? startNetworkCapture(tabId) : stopNetworkCapture(tabId)
+    ));
+  }
+  return { success: true };
+}
+
+// Assert mode lives in the page: the next click there opens the assertion panel
+async function setAssertMode(enabled, tabId) {
+  const control = await getRecordingControl();
+  if (enabled && (!control.active || control.paused)) return { error: 'Assertions can only be added while recording' };
+  
+  tabId = tabId || control.lastActiveTabId;
+  if (!tabId) return { error: 'No recording tab' };
+  try {
+    return await chrome.tabs.sendMessage(tabId, { type: 'SET_ASSERT_MODE', enabled }, { frameId: 0 });
+  } catch (e) {
+    return { error: `Assert mode unavailable on this page: ${e.message}` };
+  }
+}
+
+async function addRecordingTab(tabId) {
+  const control = await getRecordingControl();
+  if (control.tabIds.includes(tabId)) return;
+  
+  control.tabIds.push(tabId);
+  await saveRecordingControl();
+  await sendToRecordingTab(tabId, { type: 'START_RECORDING', options: control.options });
+  if (control.paused) await sendToRecordingTab(tabId, { type: 'PAUSE_RECORDING' });
+  if (control.options.captureNetwork) await startNetworkCapture(tabId);
+}
+
+// Content scripts ask on load whether their tab is part of the flow
+async function getTabRecordingState(sender) {
+  const control = await getRecordingControl();
+  const inFlow = control.active && control.tabIds.includes(sender.tab?.id);
+  return { isRecording: inFlow, isPaused: inFlow && control.paused, options: control.options };
+}
+
+async function recordTabEntry(entry, sender) {
+  const control = await getRecordingControl();
+  const tabId = sender.tab?.id;
+  if (!control.active || !control.tabIds.includes(tabId)) return { success: false };
+  
+  await recordEntry({ ...entry, tabId, frameId: sender.frameId ?? 0 });
+  return { success: true };
+}
+
+// Tab lifecycle events that belong to the flow
+async function recordTabEvent(action, tabId, details, extra = {}) {
+  const control = await getRecordingControl();
+  if (!control.active || control.paused) return;
+  
+  await recordEntry({
+    type: 'TAB',
+    action,
+    details,
+    timestamp: Date.now(),
+    tabId,
+    frameId: 0,
+    ...extra
+  });
+}
+
+// The session being recorded, restored from storage after a service worker restart
+async function getActiveSessionId() {
+  if (!activeSessionId) {
+    ({ activeSessionId = null } = await chrome.storage.local.get('activeSessionId'));
+  }
+  return activeSessionId;
+}
+
+async function getCurrentSessionId() {
+  const { currentSessionId = null } = await chrome.storage.local.get('currentSessionId');
+  return currentSessionId;
+}
+
+function broadcastSessionsChanged() {
+  chrome.runtime.sendMessage({ type: 'SESSIONS_CHANGED' }).catch(() => {});
+}
+
+async function startRecordingSession(params = {}) {
+  const session = await createSession({ name: params.name, url: params.url });
+  activeSessionId = session.id;
+  await chrome.storage.local.set({ activeSessionId: session.id, currentSessionId: session.id });
+  broadcastSessionsChanged();
+  return { success: true, session };
+}
+
+async function stopRecordingSession() {
+  const id = await getActiveSessionId();
+  if (!id) return { success: true };
+  
+  // Let entries already in flight land in the session before closing it
+  await recordQueue;
+  activeSessionId = null;
+  await chrome.storage.local.set({ activeSessionId: null });
+  const session = await updateSession(id, { endedAt: Date.now() }).catch(() => null);
+  broadcastSessionsChanged();
+  return { success: true, session };
+}
+
+// Entries are written one at a time, in the order they arrive, with emails and tokens masked
+// in their text and URLs whichever side built them
+function recordEntry(entry) {
+  entry = redactEntry({ ...entry });
+  recordQueue = recordQueue.then(async () => {
+    let sessionId = await getActiveSessionId();
+    if (!sessionId || !(await getSession(sessionId))) {
+      // Late entries after recording stopped have no session to go to
+      if (!(await getRecordingControl()).active) return;
+      // A tab still recording after its session was deleted starts a new one
+      ({ session: { id: sessionId } } = await startRecordingSession({ url: entry.url }));
+    }
+    const { ids: [id] } = await appendEntry(sessionId, entry);
+    const stored = { id, ...entry };
+    trackRecordedInteraction(sessionId, stored);
+    chrome.runtime.sendMessage({ type: 'LOG_ENTRY', sessionId, entry: stored }).catch(() => {});
+  }).catch(e => console.log('Failed to record entry:', e));
+  
+  return recordQueue;
+}
+
+// Entries of a session, defaulting to the one open in the popup
+async function getRecordLog(sessionId) {
+  const id = sessionId || await getCurrentSessionId();
+  return id ? await getSessionEntries(id) : [];
+}
+
+async function listRecordingSessions() {
+  return {
+    success: true,
+    currentSessionId: await getCurrentSessionId(),
+    activeSessionId: await getActiveSessionId(),
+    sessions: await listSessions()
+  };
+}
+
+async function getRecordingSession(params = {}) {
+  const id = params.sessionId || await getCurrentSessionId();
+  if (!id) return { error: 'No recording session' };
+  
+  const session = await getSession(id);
+  if (!session) return { error: `Session not found: ${id}` };
+  
+  const offset = params.offset || 0;
+  const entries = await getSessionEntries(id, { offset, limit: params.limit });
+  return { success: true, session, offset, entries };
+}
+
+async function openRecordingSession(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) return { error: `Session not found: ${sessionId}` };
+  
+  await chrome.storage.local.set({ currentSessionId: sessionId });
+  return { success: true, session, entries: await getSessionEntries(sessionId) };
+}
+
+async function renameRecordingSession(sessionId, name) {
+  if (!name?.trim()) return { error: 'Name is required' };
+  
+  try {
+    const session = await renameSession(sessionId, name.trim());
+    broadcastSessionsChanged();
+    return { success: true, session };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+async function deleteRecordingSession(sessionId) {
+  if (sessionId === await getActiveSessionId()) {
+    return { error: 'Stop recording before deleting this session' };
+  }
+  
+  await deleteSession(sessionId);
+  if (sessionId === await getCurrentSessionId()) {
+    await chrome.storage.local.set({ currentSessionId: null });
+  }
+  broadcastSessionsChanged();
+  return { success: true };
+}
+
+async function clearRecordingSession(sessionId) {
+  const id = sessionId || await getCurrentSessionId();
+  if (!id) return { success: true };
+  
+  await clearSessionEntries(id);
+  broadcastSessionsChanged();
+  return { success: true };
+}
+
+// Recordings used to be a 500-entry array in chrome.storage; move it into a session once
+async function migrateRecordLog() {
+  const { recordLog } = await chrome.storage.local.get('recordLog');
+  if (!Array.isArray(recordLog)) return;
+  
+  if (recordLog.length > 0) {
+    const session = await createSession({ name: 'Recording (before sessions)', url: recordLog[0].url });
+    await appendEntries(session.id, recordLog);
+    await chrome.storage.local.set({ currentSessionId: session.id });
+  }
+  await chrome.storage.local.remove('recordLog');
+}
+
+// ============ RECORDING NETWORK CAPTURE ============
+// With captureNetwork on, CDP Network events of recorded tabs are attached to
+// the interaction (click/key) that preceded them in the same tab.
+const NETWORK_ATTRIBUTION_WINDOW = 5000;
+const NETWORK_INTERACTION_TYPES = ['CLICK', 'KEYBOARD'];
+const MAX_REQUESTS_PER_INTERACTION = 50;
+
+let recordingNetwork = new Map(); // tabId -> { attachedByRecorder, requests: Map, interaction, orphans: [] }
+
+async function startNetworkCapture(tabId) {
+  if (recordingNetwork.has(tabId)) return;
+  
+  const alreadyAttached = !!debuggerAttached.get(tabId)?.attached;
+  const result = await enableCDPDomain(tabId, 'Network');
+  if (result?.error) {
+    console.log(`Network capture unavailable for tab ${tabId}: ${result.error}`);
+    return;
+  }
+  
+  recordingNetwork.set(tabId, {
+    attachedByRecorder: !alreadyAttached,
+    requests: new Map(),
+    interaction: null,
+    orphans: []
+  });
+}
+
+async function stopNetworkCapture(tabId) {
+  const capture = recordingNetwork.get(tabId);
+  if (!capture) return;
+  
+  recordingNetwork.delete(tabId);
+  if (capture.interaction) await flushInteractionNetwork(capture.interaction);
+  // Leave the debugger alone if agent tools were already using it
+  if (capture.attachedByRecorder) await detachDebugger(tabId);
+}
+
+// Called for every recorded entry; interactions become the owner of later requests
+function trackRecordedInteraction(sessionId, entry) {
+  const capture = recordingNetwork.get(entry.tabId);
+  if (!capture || !NETWORK_INTERACTION_TYPES.includes(entry.type)) return;
+  
+  if (capture.interaction) flushInteractionNetwork(capture.interaction);
+  
+  // The click message can arrive after the requests it triggered, so adopt recent ones
+  const interaction = { sessionId, id: entry.id, timestamp: entry.timestamp, requests: [], flushTimer: null };
+  capture.orphans
+    .filter(req => req.wallTime >= entry.timestamp)
+    .forEach(req => addInteractionRequest(interaction, req));
+  capture.orphans = [];
+  capture.interaction = interaction;
+  scheduleNetworkFlush(interaction);
+}
+
+function addInteractionRequest(interaction, req) {
+  if (interaction.requests.length >= MAX_REQUESTS_PER_INTERACTION) return;
+  req.owner = interaction;
+  interaction.requests.push(req);
+}
+
+function captureRecordingNetwork(tabId, method, params) {
+  const capture = recordingNetwork.get(tabId);
+  if (!capture) return;
+  
+  if (method === 'Network.requestWillBeSent') {
+    const req = {
+      requestId: params.requestId,
+      url: params.request.url,
+      method: params.request.method,
+      type: params.type,
+      wallTime: Math.round(params.wallTime * 1000),
+      startTime: params.timestamp,
+      owner: null
+    };
+    capture.requests.set(params.requestId, req);
+    
+    const { interaction } = capture;
+    if (interaction && req.wallTime >= interaction.timestamp && req.wallTime - interaction.timestamp <= NETWORK_ATTRIBUTION_WINDOW) {
+      addInteractionRequest(interaction, req);
+      scheduleNetworkFlush(interaction);
+    } else {
+      capture.orphans = [...capture.orphans.filter(r => req.wallTime - r.wallTime < 2000), req].slice(-20);
+    }
+    return;
+  }
+  
+  const req = capture.requests.get(params.requestId);
+  if (!req) return;
+  
+  if (method === 'Network.responseReceived') {
+    req.status = params.response.status;
+    req.statusText = params.response.statusText;
+    req.mimeType = params.response.mimeType;
+  } else if (method === 'Network.loadingFinished') {
+    req.duration = Math.round((params.timestamp - req.startTime) * 1000);
+    req.size = params.encodedDataLength;
+    capture.requests.delete(params.requestId);
+  } else if (method === 'Network.loadingFailed') {
+    req.duration = Math.round((params.timestamp - req.startTime) * 1000);
+    req.error = params.canceled ? 'canceled' : params.errorText;
+    capture.requests.delete(params.requestId);
+  } else {
+    return;
+  }
+  
+  if (req.owner) scheduleNetworkFlush(req.owner);
+}
+
+// Batch updates so a burst of requests is one IndexedDB write
+function scheduleNetworkFlush(interaction) {
+  clearTimeout(interaction.flushTimer);
+  interaction.flushTimer = setTimeout(() => flushInteractionNetwork(interaction), 500);
+}
+
+async function flushInteractionNetwork(interaction) {
+  clearTimeout(interaction.flushTimer);
+  if (interaction.requests.length === 0) return;
+  
+  // Request URLs carry tokens in their query strings as often as page URLs do
+  const network = interaction.requests.map(({ url, method, type, status, statusText, mimeType, duration, size, error, wallTime }) => ({
+    url: redactUrl(url),
+    method, type, status, statusText, mimeType, duration, size, error,
+    offset: wallTime - interaction.timestamp
+  }));
+  
   try {
-    if (!agentPermissions.screenshot && agentEnabled) {
-      return { error: 'Screenshots not permitted' };
-    }
+    await updateEntry(interaction.id, { network });
+    chrome.runtime.sendMessage({
+      type: 'LOG_ENTRY_UPDATED',
+      sessionId: interaction.sessionId,
+      id: interaction.id,
+      changes: { network }
+    }).catch(() => {});
+  } catch (e) {
+    // Entry was cleared or its session deleted
+  }
+}
 
-    // Full page screenshot using CDP - captures entire scrollable page instantly
-    if (options.fullPage) {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (!tab) return { error: 'No active tab' };
-
-      // Ensure debugger is attached
-      const attachRes = await attachDebugger(tab.id);
-      if (attachRes.error && !attachRes.already) return attachRes;
-
-      // Enable Page domain to get layout metrics
-      await sendCDPCommand(tab.id, 'Page.enable');
-      
-      const layout = await sendCDPCommand(tab.id, 'Page.getLayoutMetrics');
-      if (layout?.error) return { error: layout.error };
-
-      const { contentSize } = layout;
-      
-      // Limit max dimensions to avoid memory issues (max 16384px)
-      const maxDimension = 16384;
-      const width = Math.min(contentSize.width, maxDimension);
-      const height = Math.min(contentSize.height, maxDimension);
-      
-      // Capture the full content in one shot
-      const result = await sendCDPCommand(tab.id, 'Page.captureScreenshot', {
-        format: options.format === 'jpeg' ? 'jpeg' : 'png',
-        quality: options.quality || 80,
-        captureBeyondViewport: true,
-        fromSurface: true,
-        clip: {
-          x: 0,
-          y: 0,
-          width: width,
-          height: height,
-          scale: 1
-        }
-      });
+// ============ RECORDING REPLAY ============
+// Re-executes a recorded interaction log step by step through the agent actions
 
-      if (result?.error) return { error: result.error };
-      
-      return { 
-        success: true, 
-        dataUrl: `data:image/${options.format || 'png'};base64,${result.data}`,
-        dimensions: { width, height },
-        fullPage: true
-      };
-    }
-    
-    // Standard viewport capture (fast for just what's visible)
-    const dataUrl = await chrome.tabs.captureVisibleTab(null, {
-      format: options.format || 'png',
-      quality: options.quality || 90
-    });
-    
-    return { success: true, dataUrl };
-  } catch (error) {
-    return { error: error.message };
+let replayState = {
+  status: 'idle', // idle | playing | paused | done | stopped | failed
+  steps: [],
+  index: 0,
+  tabId: null,
+  tabs: new Map(),
+  openedTabs: [],
+  results: [],
+  options: {},
+  pauseAfterStep: false
+};
+let replayResumeResolver = null;
+let replayDonePromise = null;
+
+const REPLAY_DEFAULTS = {
+  delay: 500,
+  stepTimeout: 5000,
+  stopOnError: true,
+  paused: false
+};
+
+function getReplayStatus() {
+  const { status, steps, index, results, tabId } = replayState;
+  const current = steps[index];
+  return {
+    status,
+    tabId,
+    index,
+    total: steps.length,
+    current: current ? { kind: current.kind, details: current.details, logIndex: current.logIndex } : null,
+    passed: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length,
+    results
+  };
+}
+
+function broadcastReplayStatus() {
+  const status = getReplayStatus();
+  chrome.runtime.sendMessage({ type: 'REPLAY_STATUS_CHANGED', status: { ...status, results: status.results.slice(-1) } }).catch(() => {});
+}
+
+async function startReplay(log, options = {}) {
+  if (replayState.status === 'playing' || replayState.status === 'paused') {
+    return { error: 'A replay is already running' };
+  }
+  
+  const { isRecording } = await chrome.storage.local.get('isRecording');
+  if (isRecording) {
+    return { error: 'Stop recording before replaying' };
+  }
+  
+  const entries = log || await getRecordLog();
+  const steps = buildRecordingSteps(entries);
+  if (steps.length === 0) {
+    return { error: 'Recording has no replayable steps' };
   }
+  
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return { error: 'No active tab' };
+  
+  const opts = { ...REPLAY_DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) opts[key] = value;
+  });
+  // The recording's first tab is the one replay starts in; tabs opened later are matched
+  // with the tabs the replayed steps open, recorded tabId -> live tabId
+  const [firstTabId] = recordingTabIds(entries);
+  replayState = {
+    status: opts.paused ? 'paused' : 'playing',
+    steps,
+    index: 0,
+    tabId: tab.id,
+    tabs: new Map(firstTabId === undefined ? [] : [[firstTabId, tab.id]]),
+    openedTabs: [],
+    results: [],
+    options: opts,
+    pauseAfterStep: false
+  };
+  
+  broadcastReplayStatus();
+  replayDonePromise = runReplay();
+  
+  return { success: true, total: steps.length, tabId: tab.id };
 }
 
-async function executeScript(tabId, script) {
-  try {
-    if (!agentPermissions.scripts && agentEnabled) {
-      return { error: 'Script execution not permitted' };
+async function runReplay() {
+  while (replayState.index < replayState.steps.length) {
+    if (replayState.status === 'paused') {
+      await new Promise(resolve => { replayResumeResolver = resolve; });
     }
+    if (replayState.status === 'stopped') break;
     
-    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
-    if (!targetTabId) return { error: 'No target tab' };
+    const step = replayState.steps[replayState.index];
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await executeReplayStep(step, replayState.tabId, replayState.options);
+    } catch (error) {
+      result = { error: error.message };
+    }
     
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: targetTabId },
-      func: (code) => { try { return eval(code); } catch (e) { return { error: e.message }; } },
-      args: [script]
+    // A stop requested mid-step wins over the step outcome
+    if (replayState.status === 'stopped') break;
+    
+    replayState.results.push({
+      index: replayState.index,
+      logIndex: step.logIndex,
+      kind: step.kind,
+      details: step.details,
+      success: !result?.error,
+      error: result?.error,
+      healed: result?.healed,
+      elapsed: Date.now() - startTime
     });
+    replayState.index++;
     
-    return { success: true, result: results[0]?.result };
-  } catch (error) {
-    return { error: error.message };
+    if (result?.error && replayState.options.stopOnError) {
+      replayState.status = 'failed';
+      broadcastReplayStatus();
+      return getReplayStatus();
+    }
+    
+    if (replayState.pauseAfterStep) {
+      replayState.pauseAfterStep = false;
+      replayState.status = 'paused';
+    }
+    
+    broadcastReplayStatus();
+    
+    if (replayState.status === 'playing' && replayState.index < replayState.steps.length) {
+      await new Promise(r => setTimeout(r, replayState.options.delay));
+    }
+  }
+  
+  if (replayState.status !== 'stopped') {
+    replayState.status = 'done';
   }
+  broadcastReplayStatus();
+  return getReplayStatus();
 }
 
-async function getTabInfo(tabId) {
-  try {
-    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
-    if (!targetTabId) return { error: 'No target tab' };
-    
-    const tab = await chrome.tabs.get(targetTabId);
-    return { id: tab.id, url: tab.url, title: tab.title, active: tab.active, status: tab.status };
-  } catch (error) {
-    return { error: error.message };
+// Tab steps move replay to the tab the recording moved to
+async function replayTabStep(step, options) {
+  if (step.action === 'open') {
+    const openerTabId = replayState.tabs.get(step.openerTabId) ?? replayState.tabId;
+    const tab = await waitForOpenedTab(openerTabId, options.stepTimeout);
+    if (!tab) return { error: `No tab was opened from tab ${openerTabId}` };
+    replayState.tabs.set(step.tabId, tab.id);
+    replayState.tabId = tab.id;
+    return { success: true, tabId: tab.id };
   }
+  
+  const liveTabId = replayState.tabs.get(step.tabId);
+  if (!liveTabId) return { error: `Tab ${step.tabId} of the recording was not opened during replay` };
+  
+  if (step.action === 'switch') {
+    await chrome.tabs.update(liveTabId, { active: true });
+    replayState.tabId = liveTabId;
+    return { success: true, tabId: liveTabId };
+  }
+  
+  // The page may have closed itself already
+  await chrome.tabs.remove(liveTabId).catch(() => {});
+  replayState.tabs.delete(step.tabId);
+  return { success: true };
 }
 
-async function forwardAgentAction(action, tabId) {
-  try {
-    const targetTabId = tabId || (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
-    if (!targetTabId) return { error: 'No target tab' };
-    
-    // Check if tab exists and is accessible
-    try {
-      const tab = await chrome.tabs.get(targetTabId);
-      // Skip chrome:// and edge:// URLs as content scripts don't run there
-      if (tab.url?.startsWith('chrome://') || tab.url?.startsWith('edge://') || tab.url?.startsWith('about:')) {
-        return { error: 'Cannot access browser internal pages. Navigate to a regular website first.' };
-      }
-    } catch (tabError) {
-      return { error: `Tab not accessible: ${tabError.message}` };
+// Tabs the replayed steps opened are collected by the onCreated listener as they appear
+async function waitForOpenedTab(openerTabId, timeout) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const index = replayState.openedTabs.findIndex(tab => tab.openerTabId === openerTabId);
+    if (index >= 0) return replayState.openedTabs.splice(index, 1)[0];
+    await new Promise(r => setTimeout(r, 100));
+  }
+  return null;
+}
+
+async function executeReplayStep(step, tabId, options) {
+  const timeout = options.stepTimeout;
+  
+  if (step.kind === 'tab') return await replayTabStep(step, options);
+  
+  // Steps recorded in another tab of the flow run in the tab replay opened for it
+  if (step.tabId !== null && step.tabId !== undefined) {
+    const liveTabId = replayState.tabs.get(step.tabId);
+    if (!liveTabId) return { error: `Tab ${step.tabId} of the recording was not opened during replay` };
+    tabId = replayState.tabId = liveTabId;
+  }
+  
+  // Steps recorded in an iframe run in whichever frame now shows the same page
+  let frameId = 0;
+  if (step.frameUrl) {
+    const frame = await resolveFrameId(tabId, { url: step.frameUrl.split(/[?#]/)[0] });
+    if (frame.error) return frame;
+    frameId = frame.frameId;
+  }
+  
+  if (step.kind === 'navigate') {
+    // A preceding click may already be loading the page - give it a chance first
+    await waitForTabComplete(tabId, timeout);
+    const tab = await chrome.tabs.get(tabId);
+    if (step.redacted ? redactedUrlPattern(stripHash(step.url)).test(stripHash(tab.url)) : stripHash(tab.url) === stripHash(step.url)) {
+      return { success: true, url: tab.url };
+    }
+    if (step.redacted) {
+      const redacted = resolveRedactedValue(step, options.values);
+      return redacted.error ? redacted : await navigateTab(redacted.value, tabId);
+    }
+    return await navigateTab(step.url, tabId);
+  }
+  
+  // Fail before waiting on the field when the value to type was never recorded
+  const redacted = step.redacted ? resolveRedactedValue(step, options.values) : null;
+  if (redacted?.error) return redacted;
+  
+  // Assertions poll for their condition themselves, so skip the visibility prewait
+  if (step.kind === 'assert') {
+    return await forwardAgentAction({ type: 'ASSERT', assertion: step.assertion, options: { timeout } }, tabId, frameId);
+  }
+  
+  // The recorded alternates and fingerprint let the page heal a selector that no longer matches;
+  // once healed, the step runs against the selector that worked
+  let selector = step.selector;
+  let healed = null;
+  if (selector && selector !== 'window') {
+    const found = await forwardAgentAction({
+      type: 'WAIT_FOR_ELEMENT',
+      selector,
+      options: { timeout, visible: step.kind !== 'scroll', selectors: step.selectors, fingerprint: step.fingerprint }
+    }, tabId, frameId);
+    if (found?.error) return found;
+    if (found?.healed) {
+      healed = found.healed;
+      selector = healed.selector;
+    }
+  }
+  
+  let result;
+  switch (step.kind) {
+    case 'click':
+      result = await forwardAgentAction({
+        type: 'CLICK',
+        selector,
+        options: { button: step.button, doubleClick: step.doubleClick, trusted: useTrustedInput(options) }
+      }, tabId, frameId);
+      break;
+    
+    case 'type': {
+      // Only type the appended suffix when the field already holds the recorded start value
+      const text = redacted ? redacted.value : step.after;
+      const append = step.before && text.startsWith(step.before);
+      result = await forwardAgentAction({
+        type: 'TYPE',
+        selector,
+        text: append ? text.slice(step.before.length) : text,
+        options: { clear: !append, delay: 10, trusted: useTrustedInput(options) }
+      }, tabId, frameId);
+      break;
     }
     
-    // Send message with timeout (use resolve to avoid unhandled rejection)
-    const result = await Promise.race([
-      chrome.tabs.sendMessage(targetTabId, { type: 'AGENT_ACTION', action }).catch(e => ({ error: e.message })),
-      new Promise((resolve) => setTimeout(() => resolve({ error: 'Content script timeout (10s)' }), 10000))
-    ]);
-    
-    chrome.runtime.sendMessage({
-      type: 'AGENT_ACTIVITY',
-      action: { type: action.type, details: JSON.stringify(action).slice(0, 100) }
-    }).catch(() => {});
+    case 'key':
+      result = await forwardAgentAction({
+        type: 'PRESS_KEY',
+        key: step.key,
+        options: { selector, modifiers: step.modifiers, trusted: useTrustedInput(options) }
+      }, tabId, frameId);
+      break;
+    
+    case 'scroll':
+      result = await forwardAgentAction({
+        type: 'SCROLL',
+        selector,
+        options: { to: step.to }
+      }, tabId, frameId);
+      break;
     
-    return result;
-  } catch (error) {
-    // More descriptive error for common issues
-    if (error.message.includes('Receiving end does not exist') || error.message.includes('Could not establish connection')) {
-      return { error: 'Content script not loaded. Try refreshing the page or navigate to a different website.' };
+    default:
+      return { error: `Unknown replay step: ${step.kind}` };
+  }
+  
+  // Clicks and keys may trigger navigation - let the page settle before the next step
+  await waitForTabComplete(tabId, timeout);
+  return healed && !result?.error ? { ...result, healed } : result;
+}
+
+async function waitForTabComplete(tabId, timeout) {
+  const deadline = Date.now() + timeout;
+  // Give a just-triggered navigation time to start before checking status
+  await new Promise(r => setTimeout(r, 100));
+  while (Date.now() < deadline) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.status === 'complete') return true;
+    } catch (e) {
+      return false;
     }
-    return { error: error.message };
+    await new Promise(r => setTimeout(r, 100));
+  }
+  return false;
+}
+
+function stripHash(url = '') {
+  return url.split('#')[0];
+}
+
+function pauseReplay() {
+  if (replayState.status !== 'playing') return { error: 'No replay is playing' };
+  replayState.status = 'paused';
+  broadcastReplayStatus();
+  return { success: true };
+}
+
+function resumeReplay() {
+  if (replayState.status !== 'paused') return { error: 'Replay is not paused' };
+  replayState.status = 'playing';
+  broadcastReplayStatus();
+  replayResumeResolver?.();
+  replayResumeResolver = null;
+  return { success: true };
+}
+
+function stepReplay() {
+  if (replayState.status !== 'paused') return { error: 'Replay must be paused to step' };
+  replayState.pauseAfterStep = true;
+  return resumeReplay();
+}
+
+function stopReplay() {
+  if (replayState.status !== 'playing' && replayState.status !== 'paused') {
+    return { error: 'No replay is running' };
+  }
+  replayState.status = 'stopped';
+  broadcastReplayStatus();
+  replayResumeResolver?.();
+  replayResumeResolver = null;
+  return { success: true };
+}
+
+async function replayRecording(params = {}) {
+  const started = await startReplay(params.log || await getRecordLog(params.sessionId), {
+    delay: params.delay,
+    stepTimeout: params.stepTimeout,
+    stopOnError: params.stopOnError,
+    trusted: params.trusted,
+    values: params.values
+  });
+  if (started.error) return started;
+  if (params.wait === false) return started;
+  
+  return await replayDonePromise;
+}
+
+// ============ RECORDING EXPORT ============
+async function exportRecording(params = {}) {
+  const log = params.log || await getRecordLog(params.sessionId);
+  if (log.length === 0) return { error: 'Recording is empty' };
+  
+  const result = generateScript(log, params.format || 'playwright', { name: params.name });
+  if (result.error) return result;
+  
+  return {
+    success: true,
+    format: result.format,
+    filename: `apex-agent-recording.${result.extension}`,
+    code: result.code
+  };
+}
+
+// Chrome DevTools Recorder user flows
+async function exportDevtoolsRecording(params = {}) {
+  const log = params.log || await getRecordLog(params.sessionId);
+  if (log.length === 0) return { error: 'Recording is empty' };
+  if (recordingTabIds(log).length > 1) {
+    return { error: 'Recording spans several tabs; Recorder flows run in a single page' };
+  }
+  
+  return { success: true, flow: toRecorderFlow(log, { title: params.title }) };
+}
+
+async function importDevtoolsRecording(params = {}) {
+  const { isRecording } = await chrome.storage.local.get('isRecording');
+  if (isRecording) return { error: 'Stop recording before importing' };
+  if (!params.flow) return { error: 'flow is required' };
+  
+  const result = fromRecorderFlow(params.flow);
+  if (result.error) return result;
+  if (result.entries.length === 0) return { error: 'No importable steps in flow', skipped: result.skipped };
+  
+  let sessionId = params.append ? await getCurrentSessionId() : null;
+  if (!sessionId || !(await getSession(sessionId))) {
+    sessionId = (await createSession({ name: result.title || 'Imported recording', url: result.entries[0]?.url })).id;
   }
+  const { session } = await appendEntries(sessionId, result.entries);
+  await chrome.storage.local.set({ currentSessionId: sessionId });
+  broadcastSessionsChanged();
+  
+  return {
+    success: true,
+    sessionId,
+    title: result.title,
+    imported: result.entries.length,
+    total: session.entryCount,
+    skipped: result.skipped
+  };
 }
 
 // ============ EXTENSION MANAGEMENT ============
@@ -2389,6 +3781,68 @@ async function sendCDPCommand(tabId, method, params = {}) {
   }
 }
 
+// ============ TRUSTED INPUT ============
+// Content scripts describe real input as CDP Input commands in their frame's coordinates;
+// dispatching them through the debugger gives the page isTrusted events
+function useTrustedInput(params = {}) {
+  return params.trusted ?? !!agentPermissions.trustedInput;
+}
+
+// With interceptDrags, a native HTML5 drag started by the mouse is handed to us by Chrome
+// (Input.dragIntercepted) and finished with drag events, since CDP mouse moves can't carry it
+async function dispatchTrustedInput(tabId, frameId, commands = [], options = {}) {
+  if (!tabId) return { error: 'No target tab' };
+  
+  const offset = await getFrameOffset(tabId, frameId);
+  if (offset.error) return offset;
+  
+  let drag = null;
+  const dragListener = (source, method, params) => {
+    if (source.tabId === tabId && method === 'Input.dragIntercepted') drag = { data: params.data, entered: false };
+  };
+  if (options.interceptDrags) {
+    const intercept = await sendCDPCommand(tabId, 'Input.setInterceptDrags', { enabled: true });
+    if (intercept?.error) return { error: `Trusted input failed: ${intercept.error}` };
+    chrome.debugger.onEvent.addListener(dragListener);
+  }
+  
+  try {
+    for (const { method, params = {}, delay } of commands) {
+      if (!method?.startsWith('Input.')) return { error: `Not an input command: ${method}` };
+      
+      const mapped = offsetInput(params, offset);
+      if (drag && method === 'Input.dispatchMouseEvent' && mapped.type !== 'mousePressed') {
+        const type = mapped.type === 'mouseReleased' ? 'drop' : (drag.entered ? 'dragOver' : 'dragEnter');
+        const dragged = await sendCDPCommand(tabId, 'Input.dispatchDragEvent', { type, x: mapped.x, y: mapped.y, data: drag.data });
+        if (dragged?.error) return { error: `Trusted input failed: ${dragged.error}` };
+        drag.entered = true;
+        // The button still has to come up after the drop
+        if (type !== 'drop') {
+          if (delay) await new Promise(r => setTimeout(r, delay));
+          continue;
+        }
+      }
+      
+      const result = await sendCDPCommand(tabId, method, mapped);
+      if (result?.error) return { error: `Trusted input failed: ${result.error}` };
+      if (delay) await new Promise(r => setTimeout(r, delay));
+    }
+    return { success: true, nativeDrag: drag ? true : undefined };
+  } finally {
+    if (options.interceptDrags) {
+      chrome.debugger.onEvent.removeListener(dragListener);
+      await sendCDPCommand(tabId, 'Input.setInterceptDrags', { enabled: false });
+    }
+  }
+}
+
+function offsetInput(params, { x, y }) {
+  if (params.touchPoints) {
+    return { ...params, touchPoints: params.touchPoints.map(point => ({ ...point, x: point.x + x, y: point.y + y })) };
+  }
+  return params.x === undefined ? params : { ...params, x: params.x + x, y: params.y + y };
+}
+
 async function enableCDPDomain(tabId, domain) {
   const tabData = debuggerAttached.get(tabId);
   if (tabData?.domains?.has(domain)) {
@@ -2403,54 +3857,39 @@ async function enableCDPDomain(tabId, domain) {
 }
 
 // CDP-based Event Listeners
-async function getEventListeners(tabId, selector) {
+async function getEventListeners(tabId, frameId, selector) {
   try {
     await enableCDPDomain(tabId, 'DOM');
     await enableCDPDomain(tabId, 'DOMDebugger');
     
-    // Get document
-    const doc = await sendCDPCommand(tabId, 'DOM.getDocument', { depth: 0 });
-    if (doc?.error) return doc;
-    
-    // Query for element
-    const nodeResult = await sendCDPCommand(tabId, 'DOM.querySelector', {
-      nodeId: doc.root.nodeId,
-      selector: selector
-    });
-    
-    if (nodeResult?.error || !nodeResult?.nodeId) {
-      return { error: `Element not found: ${selector}` };
-    }
-    
-    // Resolve to object for getEventListeners
-    const objResult = await sendCDPCommand(tabId, 'DOM.resolveNode', {
-      nodeId: nodeResult.nodeId
-    });
-    
-    if (objResult?.error) return objResult;
-    
-    // Get event listeners
-    const listeners = await sendCDPCommand(tabId, 'DOMDebugger.getEventListeners', {
-      objectId: objResult.object.objectId,
-      depth: 1,
-      pierce: true
+    return await withElementNode(tabId, frameId, selector, async nodeId => {
+      // Resolve to object for getEventListeners
+      const objResult = await sendCDPCommand(tabId, 'DOM.resolveNode', { nodeId });
+      if (objResult?.error) return objResult;
+      
+      // Get event listeners
+      const listeners = await sendCDPCommand(tabId, 'DOMDebugger.getEventListeners', {
+        objectId: objResult.object.objectId,
+        depth: 1,
+        pierce: true
+      });
+      
+      if (listeners?.error) return listeners;
+      
+      return {
+        selector,
+        listeners: listeners.listeners?.map(l => ({
+          type: l.type,
+          useCapture: l.useCapture,
+          passive: l.passive,
+          once: l.once,
+          handler: l.handler?.description?.slice(0, 200),
+          scriptId: l.scriptId,
+          lineNumber: l.lineNumber,
+          columnNumber: l.columnNumber
+        })) || []
+      };
     });
-    
-    if (listeners?.error) return listeners;
-    
-    return {
-      selector,
-      listeners: listeners.listeners?.map(l => ({
-        type: l.type,
-        useCapture: l.useCapture,
-        passive: l.passive,
-        once: l.once,
-        handler: l.handler?.description?.slice(0, 200),
-        scriptId: l.scriptId,
-        lineNumber: l.lineNumber,
-        columnNumber: l.columnNumber
-      })) || []
-    };
   } catch (error) {
     return { error: error.message };
   }
@@ -2514,54 +3953,34 @@ async function takeHeapSnapshot(tabId) {
 }
 
 // CDP DOM breakpoints
-async function setDOMBreakpoint(tabId, selector, type = 'subtree-modified') {
+async function setDOMBreakpoint(tabId, frameId, selector, type = 'subtree-modified') {
   try {
     await enableCDPDomain(tabId, 'DOM');
     await enableCDPDomain(tabId, 'DOMDebugger');
     
-    const doc = await sendCDPCommand(tabId, 'DOM.getDocument', { depth: 0 });
-    if (doc?.error) return doc;
-    
-    const nodeResult = await sendCDPCommand(tabId, 'DOM.querySelector', {
-      nodeId: doc.root.nodeId,
-      selector: selector
-    });
-    
-    if (!nodeResult?.nodeId) {
-      return { error: `Element not found: ${selector}` };
-    }
-    
-    await sendCDPCommand(tabId, 'DOMDebugger.setDOMBreakpoint', {
-      nodeId: nodeResult.nodeId,
-      type: type // 'subtree-modified', 'attribute-modified', 'node-removed'
+    return await withElementNode(tabId, frameId, selector, async nodeId => {
+      await sendCDPCommand(tabId, 'DOMDebugger.setDOMBreakpoint', {
+        nodeId,
+        type: type // 'subtree-modified', 'attribute-modified', 'node-removed'
+      });
+      
+      return { success: true, selector, type };
     });
-    
-    return { success: true, selector, type };
   } catch (error) {
     return { error: error.message };
   }
 }
 
-async function removeDOMBreakpoint(tabId, selector, type = 'subtree-modified') {
+async function removeDOMBreakpoint(tabId, frameId, selector, type = 'subtree-modified') {
   try {
-    const doc = await sendCDPCommand(tabId, 'DOM.getDocument', { depth: 0 });
-    if (doc?.error) return doc;
-    
-    const nodeResult = await sendCDPCommand(tabId, 'DOM.querySelector', {
-      nodeId: doc.root.nodeId,
-      selector: selector
-    });
-    
-    if (!nodeResult?.nodeId) {
-      return { error: `Element not found: ${selector}` };
-    }
-    
-    await sendCDPCommand(tabId, 'DOMDebugger.removeDOMBreakpoint', {
-      nodeId: nodeResult.nodeId,
-      type: type
+    return await withElementNode(tabId, frameId, selector, async nodeId => {
+      await sendCDPCommand(tabId, 'DOMDebugger.removeDOMBreakpoint', {
+        nodeId,
+        type: type
+      });
+      
+      return { success: true, selector, type };
     });
-    
-    return { success: true, selector, type };
   } catch (error) {
     return { error: error.message };
   }
@@ -2637,19 +4056,18 @@ async function getPerformanceMetrics(tabId) {
 }
 
 // CDP Accessibility
-async function getAccessibilityTree(tabId, selector) {
+async function getAccessibilityTree(tabId, frameId, selector) {
   try {
     await enableCDPDomain(tabId, 'Accessibility');
     await enableCDPDomain(tabId, 'DOM');
     
-    let nodeId = null;
+    // An element's node comes with its ancestors, siblings and children
     if (selector) {
-      const doc = await sendCDPCommand(tabId, 'DOM.getDocument', { depth: 0 });
-      const nodeResult = await sendCDPCommand(tabId, 'DOM.querySelector', {
-        nodeId: doc.root.nodeId,
-        selector
+      return await withElementNode(tabId, frameId, selector, async nodeId => {
+        const partial = await sendCDPCommand(tabId, 'Accessibility.getPartialAXTree', { nodeId, fetchRelatives: true });
+        if (partial?.error) return partial;
+        return { tree: partial?.nodes?.slice(0, 50) || [] };
       });
-      nodeId = nodeResult?.nodeId;
     }
     
     const tree = await sendCDPCommand(tabId, 'Accessibility.getFullAXTree', {
@@ -2691,6 +4109,8 @@ let animations = new Map();
 chrome.debugger.onEvent.addListener((source, method, params) => {
   const tabId = source.tabId;
   
+  if (method.startsWith('Network.')) captureRecordingNetwork(tabId, method, params);
+  
   // Network events
   if (method === 'Network.requestWillBeSent') {
     const requests = networkRequests.get(tabId) || [];
@@ -2782,22 +4202,55 @@ chrome.runtime.onConnectExternal.addListener((port) => {
   });
 });
 
-chrome.webNavigation.onCompleted.addListener((details) => {
-  if (details.frameId === 0) {
-    chrome.storage.local.get('isRecording', ({ isRecording }) => {
-      if (isRecording) {
-        chrome.storage.local.get('recordLog', ({ recordLog = [] }) => {
-          recordLog.push({
-            type: 'NAVIGATION',
-            details: `Page loaded: ${details.url}`,
-            timestamp: Date.now(),
-            url: details.url
-          });
-          chrome.storage.local.set({ recordLog });
-        });
-      }
-    });
-  }
+chrome.webNavigation.onCompleted.addListener(async (details) => {
+  if (details.frameId !== 0) return;
+  
+  const control = await getRecordingControl();
+  if (!control.active || control.paused || !control.tabIds.includes(details.tabId)) return;
+  
+  recordEntry({
+    type: 'NAVIGATION',
+    details: `Page loaded: ${details.url}`,
+    timestamp: Date.now(),
+    url: details.url,
+    tabId: details.tabId,
+    frameId: details.frameId
+  });
+});
+
+// Popups and new tabs opened from a recorded tab join the flow
+chrome.tabs.onCreated.addListener(async (tab) => {
+  if (replayState.status === 'playing' || replayState.status === 'paused') replayState.openedTabs.push(tab);
+  
+  const control = await getRecordingControl();
+  if (!control.active || !control.tabIds.includes(tab.openerTabId)) return;
+  
+  await addRecordingTab(tab.id);
+  const url = tab.pendingUrl || tab.url || '';
+  await recordTabEvent('open', tab.id, `Opened tab ${tab.id}${url ? `: ${url}` : ''}`, { openerTabId: tab.openerTabId, url });
+});
+
+// Switching between tabs of the flow; other tabs the user visits stay out of it
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  const control = await getRecordingControl();
+  if (!control.active || !control.tabIds.includes(tabId) || control.lastActiveTabId === tabId) return;
+  
+  const previousTabId = control.lastActiveTabId;
+  control.lastActiveTabId = tabId;
+  await saveRecordingControl();
+  
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  await recordTabEvent('switch', tabId, `Switched to tab ${tabId}${tab?.title ? `: ${tab.title}` : ''}`, { previousTabId, url: tab?.url || '' });
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const control = await getRecordingControl();
+  if (!control.active || !control.tabIds.includes(tabId)) return;
+  
+  await recordTabEvent('close', tabId, `Closed tab ${tabId}`);
+  recordingNetwork.delete(tabId);
+  control.tabIds = control.tabIds.filter(id => id !== tabId);
+  await saveRecordingControl();
 });
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
@@ -7,15 +7,24 @@
   // State
   let isRecording = false;
   let isPaused = false;
+  // Also injected into iframes; page-level UI and navigation belong to the top frame
+  const isTopFrame = window === window.top;
   let options = {
     trackClicks: true,
     trackKeyboard: true,
     trackScroll: true,
     trackDOMChanges: true,
     skipDynamic: true,
-    dynamicThreshold: 500
+    dynamicThreshold: 500,
+    redactSelectors: []
   };
 
+  // Redaction
+  const REDACTED = '[redacted]';
+  const SENSITIVE_AUTOCOMPLETE = ['current-password', 'new-password', 'one-time-code'];
+  const SENSITIVE_NAME = /pass(word|code)|secret|token|otp|cvv|cvc|card.?num|ssn/i;
+  const inputStartValues = new WeakMap();
+
   // DOM Observer
   let mutationObserver = null;
   let pendingMutations = [];
@@ -29,6 +38,12 @@
   let agentTooltip = null;
   let recordingIndicator = null;
 
+  // Assert mode
+  let assertMode = false;
+  let assertOutline = null;
+  let assertPanel = null;
+  const ASSERT_BLOCKED_EVENTS = ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'dblclick', 'contextmenu'];
+
   // Initialize
   function init() {
     setupMessageListener();
@@ -60,6 +75,9 @@
           options = { ...options, ...message.options };
           sendResponse({ success: true });
           break;
+        case 'SET_ASSERT_MODE':
+          sendResponse(setAssertMode(message.enabled));
+          break;
         case 'AGENT_ACTION':
           handleAgentAction(message.action).then(sendResponse);
           return true;
@@ -75,14 +93,18 @@
     });
   }
 
-  // Check if recording was in progress
+  // Check if this tab is part of a recording in progress (the background decides)
   async function checkRecordingState() {
-    const { isRecording: recording, isPaused: paused, recordingOptions } = 
-      await chrome.storage.local.get(['isRecording', 'isPaused', 'recordingOptions']);
+    let state = null;
+    try {
+      state = await chrome.runtime.sendMessage({ type: 'GET_RECORDING_STATE' });
+    } catch (e) {
+      return;
+    }
     
-    if (recording) {
-      startRecording(recordingOptions || options);
-      if (paused) {
+    if (state?.isRecording) {
+      startRecording(state.options || options);
+      if (state.isPaused) {
         pauseRecording();
       }
     }
@@ -94,8 +116,6 @@
     isRecording = true;
     isPaused = false;
     
-    chrome.storage.local.set({ recordingOptions: options });
-    
     if (options.trackClicks) {
       document.addEventListener('click', handleClick, true);
       document.addEventListener('dblclick', handleDoubleClick, true);
@@ -117,13 +137,16 @@
     
     window.addEventListener('beforeunload', handleBeforeUnload);
     
-    showRecordingIndicator();
-    logEvent('NAVIGATION', `Recording started on ${window.location.href}`);
+    if (isTopFrame) {
+      showRecordingIndicator();
+      logEvent('NAVIGATION', `Recording started on ${window.location.href}`);
+    }
   }
 
   function stopRecording() {
     isRecording = false;
     isPaused = false;
+    setAssertMode(false);
     
     document.removeEventListener('click', handleClick, true);
     document.removeEventListener('dblclick', handleDoubleClick, true);
@@ -182,48 +205,50 @@
 
   // Event Handlers
   function handleClick(event) {
-    if (!isRecording || isPaused) return;
+    if (!isRecording || isPaused || assertMode || isInAgentUI(event.target)) return;
     
-    const target = event.target;
-    const selector = getUniqueSelector(target);
+    const target = getEventTarget(event);
     const position = { x: event.clientX, y: event.clientY };
     
     logEvent('CLICK', `Clicked ${getElementDescription(target)}`, {
-      selector,
+      ...getSelectorFields(target),
       position,
+      offset: { x: event.offsetX, y: event.offsetY },
       button: event.button
     });
   }
 
   function handleDoubleClick(event) {
-    if (!isRecording || isPaused) return;
+    if (!isRecording || isPaused || assertMode || isInAgentUI(event.target)) return;
     
-    const target = event.target;
+    const target = getEventTarget(event);
     
     logEvent('CLICK', `Double-clicked ${getElementDescription(target)}`, {
-      selector: getUniqueSelector(target),
+      ...getSelectorFields(target),
       doubleClick: true
     });
   }
 
   function handleRightClick(event) {
-    if (!isRecording || isPaused) return;
+    if (!isRecording || isPaused || assertMode || isInAgentUI(event.target)) return;
     
-    const target = event.target;
+    const target = getEventTarget(event);
     
     logEvent('CLICK', `Right-clicked ${getElementDescription(target)}`, {
-      selector: getUniqueSelector(target),
+      ...getSelectorFields(target),
       rightClick: true
     });
   }
 
   function handleKeyDown(event) {
-    if (!isRecording || isPaused) return;
+    if (!isRecording || isPaused || assertMode || isInAgentUI(event.target)) return;
+    
+    const target = getEventTarget(event);
     
     // Skip if typing in input (handled by input event)
     // Check if target is an Element before calling matches
-    if (event.target && event.target.matches && 
-        event.target.matches('input, textarea, [contenteditable]') && 
+    if (target && target.matches && 
+        target.matches('input, textarea, [contenteditable]') && 
         !event.ctrlKey && !event.metaKey && !event.altKey &&
         event.key.length === 1) {
       return;
@@ -235,23 +260,27 @@
     if (event.altKey) modifiers.push('Alt');
     if (event.shiftKey) modifiers.push('Shift');
     
-    const keyCombo = [...modifiers, event.key].join('+');
+    // Printable keys typed into a sensitive field are part of its value
+    const redacted = event.key.length === 1 && isSensitiveField(target);
+    const key = redacted ? REDACTED : event.key;
+    const keyCombo = [...modifiers, key].join('+');
     
     logEvent('KEYBOARD', `Key: ${keyCombo}`, {
-      key: event.key,
-      code: event.code,
+      key,
+      code: redacted ? undefined : event.code,
       modifiers,
-      target: getUniqueSelector(event.target)
+      ...getSelectorFields(target, 'target'),
+      redacted: redacted || undefined
     });
   }
 
   let inputDebounceTimer = null;
-  let inputBuffer = { element: null, value: '', startValue: '' };
+  let inputBuffer = { element: null, target: null, selectors: [], fingerprint: null, value: '', startValue: '', sensitive: false };
 
   function handleInput(event) {
-    if (!isRecording || isPaused) return;
+    if (!isRecording || isPaused || assertMode || isInAgentUI(event.target)) return;
     
-    const target = event.target;
+    const target = getEventTarget(event);
     const selector = getUniqueSelector(target);
     const currentValue = target.value || target.textContent || '';
     
@@ -261,10 +290,12 @@
       }
       inputBuffer = {
         element: selector,
+        ...getSelectorFields(target, 'target'),
         value: currentValue,
-        startValue: inputBuffer.element === selector ? inputBuffer.startValue : (target.dataset.prevValue || '')
+        startValue: inputBuffer.element === selector ? inputBuffer.startValue : (inputStartValues.get(target) || ''),
+        sensitive: isSensitiveField(target)
       };
-      target.dataset.prevValue = currentValue;
+      inputStartValues.set(target, currentValue);
     } else {
       inputBuffer.value = currentValue;
     }
@@ -272,16 +303,20 @@
     clearTimeout(inputDebounceTimer);
     inputDebounceTimer = setTimeout(() => {
       flushInputBuffer();
-      target.dataset.prevValue = currentValue;
+      inputStartValues.set(target, currentValue);
     }, 500);
   }
 
   function flushInputBuffer() {
     if (inputBuffer.element && inputBuffer.value !== inputBuffer.startValue) {
-      logEvent('KEYBOARD', `Typed in ${inputBuffer.element}`, {
-        target: inputBuffer.element,
-        before: inputBuffer.startValue,
-        after: inputBuffer.value
+      const { sensitive, target, selectors, fingerprint } = inputBuffer;
+      logEvent('KEYBOARD', `Typed in ${target}`, {
+        target,
+        selectors,
+        fingerprint,
+        before: sensitive && inputBuffer.startValue ? REDACTED : inputBuffer.startValue,
+        after: sensitive ? REDACTED : inputBuffer.value,
+        redacted: sensitive || undefined
       });
       inputBuffer.startValue = inputBuffer.value;
     }
@@ -303,12 +338,12 @@
     
     clearTimeout(scrollDebounceTimer);
     scrollDebounceTimer = setTimeout(() => {
-      const selector = target === window ? 'window' : getUniqueSelector(target);
+      const selectorFields = target === window ? { target: 'window' } : getSelectorFields(target, 'target');
       const deltaY = Math.abs(scrollTop - scrollStartPosition.top);
       const direction = scrollTop > scrollStartPosition.top ? 'down' : 'up';
       
       logEvent('SCROLL', `Scrolled ${direction} ${deltaY}px`, {
-        target: selector,
+        ...selectorFields,
         from: scrollStartPosition,
         to: { top: scrollTop, left: scrollLeft }
       });
@@ -318,10 +353,266 @@
   }
 
   function handleBeforeUnload(event) {
-    if (!isRecording || isPaused) return;
+    if (!isRecording || isPaused || !isTopFrame) return;
     logEvent('NAVIGATION', `Navigating away from ${window.location.href}`);
   }
 
+  // Assert Mode - the next click picks an element to assert on instead of acting on the page
+  function setAssertMode(enabled) {
+    if (enabled && !isRecording) return { error: 'Assert mode needs an active recording' };
+    if (enabled === assertMode) return { success: true, assertMode };
+    
+    assertMode = enabled;
+    if (enabled) {
+      document.addEventListener('mouseover', handleAssertHover, true);
+      document.addEventListener('click', handleAssertClick, true);
+      document.addEventListener('keydown', handleAssertKeyDown, true);
+      ASSERT_BLOCKED_EVENTS.forEach(type => document.addEventListener(type, blockPageEvent, true));
+      showActionTooltip('Assert', 'click an element, Esc to cancel');
+    } else {
+      document.removeEventListener('mouseover', handleAssertHover, true);
+      document.removeEventListener('click', handleAssertClick, true);
+      document.removeEventListener('keydown', handleAssertKeyDown, true);
+      ASSERT_BLOCKED_EVENTS.forEach(type => document.removeEventListener(type, blockPageEvent, true));
+      assertOutline?.classList.remove('visible');
+      closeAssertPanel();
+    }
+    return { success: true, assertMode };
+  }
+
+  function blockPageEvent(event) {
+    if (isInAgentUI(event.target)) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }
+
+  function handleAssertHover(event) {
+    if (isInAgentUI(event.target) || assertPanel.classList.contains('visible')) return;
+    
+    const rect = getEventTarget(event).getBoundingClientRect();
+    Object.assign(assertOutline.style, {
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    assertOutline.classList.add('visible');
+  }
+
+  function handleAssertClick(event) {
+    if (isInAgentUI(event.target)) return;
+    blockPageEvent(event);
+    openAssertPanel(getEventTarget(event));
+  }
+
+  function handleAssertKeyDown(event) {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    setAssertMode(false);
+  }
+
+  function openAssertPanel(element) {
+    const selectorFields = getSelectorFields(element);
+    const { selector } = selectorFields;
+    const countSelector = getCountSelector(element);
+    const attributes = Array.from(element.attributes)
+      .map(attr => attr.name)
+      .filter(name => !name.startsWith('data-debug-hand'));
+    
+    // Defaults for each kind, taken from the page as it is now
+    const defaults = {
+      textEquals: { selector, expected: normalizeText(element.innerText ?? element.textContent) },
+      textContains: { selector, expected: normalizeText(element.innerText ?? element.textContent).slice(0, 40) },
+      visible: { selector, expected: '' },
+      attribute: { selector, expected: attributes.length ? element.getAttribute(attributes[0]) : '' },
+      url: { selector: '', expected: window.location.href },
+      count: { selector: countSelector, expected: String(findAllElements(countSelector).length) }
+    };
+    
+    assertPanel.innerHTML = `
+      <div class="debug-hand-assert-title">Add assertion</div>
+      <select class="debug-hand-assert-kind">
+        <option value="textEquals">Text equals</option>
+        <option value="textContains">Text contains</option>
+        <option value="visible">Is visible</option>
+        <option value="attribute"${attributes.length ? '' : ' disabled'}>Attribute equals</option>
+        <option value="url">URL matches</option>
+        <option value="count">Element count</option>
+      </select>
+      <input class="debug-hand-assert-selector" placeholder="Selector">
+      <select class="debug-hand-assert-attribute">
+        ${attributes.map(name => `<option value="${escapeAttr(name)}">${escapeAttr(name)}</option>`).join('')}
+      </select>
+      <select class="debug-hand-assert-match">
+        <option value="contains">contains</option>
+        <option value="equals">equals</option>
+        <option value="regex">regex</option>
+      </select>
+      <input class="debug-hand-assert-expected" placeholder="Expected value">
+      <div class="debug-hand-assert-actions">
+        <button class="debug-hand-assert-cancel">Cancel</button>
+        <button class="debug-hand-assert-add">Add</button>
+      </div>
+    `;
+    
+    const field = name => assertPanel.querySelector(`.debug-hand-assert-${name}`);
+    const applyKind = () => {
+      const kind = field('kind').value;
+      field('selector').value = defaults[kind].selector;
+      field('expected').value = defaults[kind].expected;
+      field('selector').style.display = kind === 'url' ? 'none' : '';
+      field('attribute').style.display = kind === 'attribute' ? '' : 'none';
+      field('match').style.display = kind === 'url' ? '' : 'none';
+      field('expected').style.display = kind === 'visible' ? 'none' : '';
+    };
+    
+    field('kind').addEventListener('change', applyKind);
+    field('attribute').addEventListener('change', () => {
+      field('expected').value = element.getAttribute(field('attribute').value) ?? '';
+    });
+    field('cancel').addEventListener('click', () => setAssertMode(false));
+    field('add').addEventListener('click', () => {
+      const kind = field('kind').value;
+      const assertion = { kind, selector: field('selector').value.trim(), expected: field('expected').value };
+      if (kind === 'attribute') assertion.attribute = field('attribute').value;
+      if (kind === 'url') {
+        delete assertion.selector;
+        assertion.match = field('match').value;
+      }
+      if (kind === 'visible') delete assertion.expected;
+      if (kind === 'count') assertion.expected = parseInt(assertion.expected, 10) || 0;
+      
+      logEvent('ASSERTION', `Assert ${describeAssertion(assertion)}`, {
+        selector: assertion.selector,
+        selectors: assertion.selector === selector ? selectorFields.selectors : undefined,
+        fingerprint: assertion.selector === selector ? selectorFields.fingerprint : undefined,
+        assertion
+      });
+      setAssertMode(false);
+    });
+    applyKind();
+    
+    // Keep the panel on screen next to the element
+    const rect = element.getBoundingClientRect();
+    const top = rect.bottom + 8 + 220 < window.innerHeight ? rect.bottom + 8 : Math.max(8, rect.top - 228);
+    assertPanel.style.top = `${top}px`;
+    assertPanel.style.left = `${Math.min(Math.max(8, rect.left), window.innerWidth - 268)}px`;
+    assertPanel.classList.add('visible');
+    field('expected').focus();
+  }
+
+  function closeAssertPanel() {
+    if (!assertPanel) return;
+    assertPanel.classList.remove('visible');
+    assertPanel.innerHTML = '';
+  }
+
+  // Selector for the clicked element and its like-for-like siblings (tag + first class)
+  function getCountSelector(element) {
+    let selector = element.tagName.toLowerCase();
+    const className = typeof element.className === 'string' &&
+      element.className.trim().split(/\s+/).find(c => c && !c.startsWith('debug-hand-'));
+    if (className) selector += `.${CSS.escape(className)}`;
+    
+    // A top-level element of a shadow tree has no parent element; count within its host's tree
+    const parent = element.parentElement;
+    const root = element.getRootNode();
+    if (!parent && root instanceof ShadowRoot) return `${getUniqueSelector(root.host)} >>> ${selector}`;
+    return parent && parent !== document.body ? `${getUniqueSelector(parent)} > ${selector}` : selector;
+  }
+
+  function describeAssertion(assertion) {
+    const { kind, selector, expected, attribute, match } = assertion;
+    switch (kind) {
+      case 'textEquals': return `text of ${selector} equals "${expected}"`;
+      case 'textContains': return `text of ${selector} contains "${expected}"`;
+      case 'visible': return `${selector} is visible`;
+      case 'attribute': return `${selector} [${attribute}] equals "${expected}"`;
+      case 'url': return `URL ${match || 'equals'} "${expected}"`;
+      case 'count': return `${selector} count is ${expected}`;
+      default: return kind;
+    }
+  }
+
+  // Evaluates a recorded assertion against the live page; used by replay
+  function checkAssertion(assertion) {
+    const { kind, selector, expected, attribute, match } = assertion;
+    
+    if (kind === 'url') {
+      const actual = window.location.href;
+      let pass = actual === expected;
+      if (match === 'contains') pass = actual.includes(expected);
+      if (match === 'regex') {
+        try {
+          pass = new RegExp(expected).test(actual);
+        } catch (e) {
+          return { pass: false, actual, message: `Invalid regex: ${e.message}` };
+        }
+      }
+      return { pass, actual };
+    }
+    
+    if (kind === 'count') {
+      const actual = findAllElements(selector).length;
+      return { pass: actual === Number(expected), actual };
+    }
+    
+    const element = findElement(selector);
+    if (!element) return { pass: false, actual: null, message: `Element not found: ${selector}` };
+    
+    switch (kind) {
+      case 'textEquals': {
+        const actual = normalizeText(element.innerText ?? element.textContent);
+        return { pass: actual === normalizeText(expected), actual };
+      }
+      case 'textContains': {
+        const actual = normalizeText(element.innerText ?? element.textContent);
+        return { pass: actual.includes(normalizeText(expected)), actual };
+      }
+      case 'visible': {
+        const actual = isVisible(element);
+        return { pass: actual, actual };
+      }
+      case 'attribute': {
+        const actual = element.getAttribute(attribute);
+        return { pass: actual === expected, actual };
+      }
+      default:
+        return { pass: false, actual: null, message: `Unknown assertion: ${kind}` };
+    }
+  }
+
+  async function assertCondition(assertion, options = {}) {
+    const { timeout = 5000 } = options;
+    const startTime = Date.now();
+    
+    // Retry until the page settles into the expected state or time runs out
+    let result = checkAssertion(assertion);
+    while (!result.pass && Date.now() - startTime < timeout) {
+      await new Promise(r => setTimeout(r, 100));
+      result = checkAssertion(assertion);
+    }
+    
+    if (result.pass) {
+      return { success: true, assertion: describeAssertion(assertion), actual: result.actual };
+    }
+    return {
+      error: `Assertion failed: ${describeAssertion(assertion)}${result.message ? ` (${result.message})` : `, got ${JSON.stringify(result.actual)}`}`,
+      actual: result.actual
+    };
+  }
+
+  function normalizeText(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim();
+  }
+
+  function escapeAttr(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+  }
+
   // Mutation Observer
   function startMutationObserver() {
     mutationObserver = new MutationObserver(handleMutations);
@@ -345,6 +636,7 @@
       const target = mutation.target;
       
       if (isAgentUIElement(target)) return false;
+      if (isInAgentUI(target.nodeType === 1 ? target : target.parentElement)) return false;
       if (target.nodeName === 'SCRIPT' || target.nodeName === 'STYLE') return false;
       if (target.id?.startsWith('debug-hand-')) return false;
       if (target.className?.includes?.('debug-hand-')) return false;
@@ -401,6 +693,8 @@
       const changes = [];
       let beforeValue = null;
       let afterValue = null;
+      const target = mutations[0].target;
+      const sensitive = isSensitiveField(target.nodeType === 1 ? target : target.parentElement);
       
       mutations.forEach(mutation => {
         if (mutation.type === 'childList') {
@@ -422,11 +716,9 @@
           }
         } else if (mutation.type === 'attributes') {
           const attr = mutation.attributeName;
-          if (attr !== 'data-prev-value') {
-            beforeValue = mutation.oldValue;
-            afterValue = mutation.target.getAttribute(attr);
-            changes.push(`${attr} changed`);
-          }
+          beforeValue = mutation.oldValue;
+          afterValue = mutation.target.getAttribute(attr);
+          changes.push(`${attr} changed`);
         } else if (mutation.type === 'characterData') {
           beforeValue = mutation.oldValue;
           afterValue = mutation.target.textContent;
@@ -435,11 +727,13 @@
       });
       
       if (changes.length > 0) {
+        const mask = value => sensitive ? REDACTED : truncate(value, 100);
         logEvent('DOM', `${selector}: ${changes.slice(0, 3).join(', ')}`, {
           target: selector,
           changes: changes.slice(0, 5),
-          before: beforeValue ? truncate(beforeValue, 100) : undefined,
-          after: afterValue ? truncate(afterValue, 100) : undefined
+          before: beforeValue ? mask(beforeValue) : undefined,
+          after: afterValue ? mask(afterValue) : undefined,
+          redacted: (sensitive && (beforeValue || afterValue)) ? true : undefined
         });
       }
     });
@@ -457,13 +751,27 @@
       ...extra
     };
     
-    chrome.storage.local.get('recordLog', ({ recordLog = [] }) => {
-      recordLog.push(entry);
-      if (recordLog.length > 500) recordLog = recordLog.slice(-500);
-      chrome.storage.local.set({ recordLog });
-    });
+    // The background masks emails and tokens, then appends it to the active recording session
+    chrome.runtime.sendMessage({ type: 'RECORD_ENTRY', entry }).catch(() => {});
+  }
+
+  // Sensitive fields: password/OTP/card inputs, secret-looking names and user-configured selectors
+  function isSensitiveField(element) {
+    if (!element || element.nodeType !== 1) return false;
+    if (element.type === 'password') return true;
     
-    chrome.runtime.sendMessage({ type: 'LOG_ENTRY', entry }).catch(() => {});
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+    if (autocomplete.some(token => token.startsWith('cc-') || SENSITIVE_AUTOCOMPLETE.includes(token))) return true;
+    
+    if (element.matches('input, textarea') && SENSITIVE_NAME.test(`${element.name || ''} ${element.id || ''}`)) return true;
+    
+    return (options.redactSelectors || []).some(selector => {
+      try {
+        return !!element.closest(selector);
+      } catch (e) {
+        return false;
+      }
+    });
   }
 
   // Agent UI
@@ -487,6 +795,15 @@
     agentTooltip = document.createElement('div');
     agentTooltip.id = 'debug-hand-tooltip';
     document.body.appendChild(agentTooltip);
+    
+    // Assert mode outline and panel, created up front so recording never sees them added
+    assertOutline = document.createElement('div');
+    assertOutline.id = 'debug-hand-assert-outline';
+    document.body.appendChild(assertOutline);
+    
+    assertPanel = document.createElement('div');
+    assertPanel.id = 'debug-hand-assert-panel';
+    document.body.appendChild(assertPanel);
   }
 
   function isAgentUIElement(element) {
@@ -496,6 +813,16 @@
     return false;
   }
 
+  // The element an event started on, even inside an open shadow root (event.target stops at the host)
+  function getEventTarget(event) {
+    const [origin] = event.composedPath?.() || [];
+    return origin?.nodeType === Node.ELEMENT_NODE ? origin : event.target;
+  }
+
+  function isInAgentUI(element) {
+    return !!element?.closest?.('[id^="debug-hand-"]');
+  }
+
   // Agent Actions
   async function handleAgentAction(action) {
     try {
@@ -509,11 +836,39 @@
         case 'SCROLL':
           return await scroll(action.selector, action.options);
         case 'HOVER':
-          return await hover(action.selector);
+          return await hover(action.selector, action.options);
         case 'PRESS_KEY':
           return await pressKey(action.key, action.options);
+        case 'DRAG':
+          return await drag(action.from, action.to, action.options);
+        case 'MOUSE_PATH':
+          return await mousePath(action.points, action.options);
+        case 'LONG_PRESS':
+          return await longPress(action.target, action.options);
+        case 'SELECT_OPTION':
+          return selectOption(action.selector, action.options);
+        case 'SET_CHECKED':
+          return setChecked(action.selector, action.checked, action.options);
+        case 'SET_VALUE':
+          return setValue(action.selector, action.value, action.options);
+        case 'FILL_FORM':
+          return await fillForm(action.fields, action.options);
         case 'GET_SNAPSHOT':
-          return getPageSnapshot();
+          return action.options?.mode === 'a11y'
+            ? getAccessibilitySnapshot(action.options)
+            : getPageSnapshot(action.options);
+        case 'SHOW_MARKS':
+          return await showMarks(action.options);
+        case 'HIDE_MARKS':
+          return hideMarks();
+        case 'MARK_CAPTURE_TARGET':
+          return markCaptureTarget(action.selector);
+        case 'UNMARK_CAPTURE_TARGET':
+          return unmarkCaptureTarget(action.marker);
+        case 'MARK_ELEMENT':
+          return markElement(action.selector);
+        case 'UNMARK_ELEMENT':
+          return unmarkElement(action.marker);
         case 'EVALUATE':
           return await evaluateScript(action.script);
         case 'WAIT':
@@ -528,8 +883,16 @@
           return getComputedStyles(action.selector, action.properties);
         case 'GET_ELEMENT_HTML':
           return getElementHTML(action.selector, action.outer);
+        case 'GET_PAGE_CONTENT':
+          return getPageContent(action.options);
         case 'QUERY_ALL':
           return queryAll(action.selector, action.limit);
+        case 'EXTRACT_TABLE':
+          return extractTable(action.selector, action.options);
+        case 'EXTRACT_LIST':
+          return extractList(action.options);
+        case 'EXTRACT_METADATA':
+          return extractMetadata();
         case 'GET_CONSOLE_LOGS':
           return getConsoleLogs();
         case 'GET_NETWORK_INFO':
@@ -546,6 +909,18 @@
           return await clickByText(action.text, action.options);
         case 'WAIT_FOR_ELEMENT':
           return await waitForElement(action.selector, action.options);
+        case 'ASSERT':
+          return await assertCondition(action.assertion, action.options);
+        case 'GET_FRAME_ID':
+          return getFrameId(action.selector);
+        case 'GET_FRAME_OFFSET':
+          return getFrameOffset(action.frameId);
+        case 'MARK_FILE_INPUT':
+          return markFileInput(action.selector, action.count);
+        case 'UNMARK_FILE_INPUT':
+          return unmarkFileInput(action.marker);
+        case 'SET_INPUT_FILES':
+          return setInputFiles(action.selector, action.files);
         case 'EXECUTE_SAFE':
           return executeSafe(action.code);
         case 'EXECUTE_ON_ELEMENT':
@@ -599,14 +974,106 @@
     return { success: true, x, y };
   }
 
+  // Trusted Input
+  // With options.trusted, actions describe real input as CDP Input commands and the background
+  // dispatches them through the debugger, so the page sees isTrusted events. Coordinates are
+  // relative to this frame's viewport; the background maps them onto the tab.
+  const CDP_BUTTONS = { 0: ['left', 1], 1: ['middle', 4], 2: ['right', 2] };
+  const CDP_MODIFIERS = { alt: 1, ctrl: 2, control: 2, meta: 4, cmd: 4, win: 4, shift: 8 };
+
+  async function dispatchTrustedInput(commands, options = {}) {
+    try {
+      return await chrome.runtime.sendMessage({ type: 'TRUSTED_INPUT', commands, options });
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+
+  // Real pointer events only land on what is actually in the viewport
+  function scrollIntoViewIfNeeded(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.top >= 0 && rect.left >= 0 && rect.bottom <= window.innerHeight && rect.right <= window.innerWidth) return;
+    element.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+  }
+
+  function trustedClickCommands(x, y, button = 0, clickCount = 1) {
+    const [name, buttons] = CDP_BUTTONS[button] || CDP_BUTTONS[0];
+    const commands = [{ method: 'Input.dispatchMouseEvent', params: { type: 'mouseMoved', x, y } }];
+    for (let count = 1; count <= clickCount; count++) {
+      commands.push(
+        { method: 'Input.dispatchMouseEvent', params: { type: 'mousePressed', x, y, button: name, buttons, clickCount: count } },
+        { method: 'Input.dispatchMouseEvent', params: { type: 'mouseReleased', x, y, button: name, buttons: 0, clickCount: count } }
+      );
+    }
+    return commands;
+  }
+
+  // keyDown with text also produces keypress and input, like a real keystroke
+  function trustedKeyCommands(key, { keyCode, modifiers = [], text = '' } = {}) {
+    const params = {
+      key,
+      code: getKeyCode(key),
+      windowsVirtualKeyCode: keyCode ?? (key.length === 1 ? key.toUpperCase().charCodeAt(0) : 0),
+      modifiers: modifiers.reduce((mask, m) => mask | (CDP_MODIFIERS[m] || 0), 0)
+    };
+    const down = text ? { ...params, type: 'keyDown', text, unmodifiedText: text } : { ...params, type: 'rawKeyDown' };
+    return [
+      { method: 'Input.dispatchKeyEvent', params: down },
+      { method: 'Input.dispatchKeyEvent', params: { ...params, type: 'keyUp' } }
+    ];
+  }
+
+  function getKeyCode(key) {
+    if (/^[a-z]$/i.test(key)) return `Key${key.toUpperCase()}`;
+    if (/^[0-9]$/.test(key)) return `Digit${key}`;
+    if (key === ' ') return 'Space';
+    return key.length === 1 ? '' : key;
+  }
+
+  // Printable ASCII goes through key events; anything a keyboard can't produce (emoji, CJK) is inserted as text
+  function trustedTypeCommands(text, delay) {
+    const commands = [];
+    for (const char of text) {
+      if (char === '\n') {
+        commands.push(...trustedKeyCommands('Enter', { keyCode: 13, text: '\r' }));
+      } else if (/^[\x20-\x7e]$/.test(char)) {
+        commands.push(...trustedKeyCommands(char, { text: char }));
+      } else {
+        commands.push({ method: 'Input.insertText', params: { text: char } });
+      }
+      commands[commands.length - 1].delay = delay;
+    }
+    return commands;
+  }
+
+  // Select a field's contents, or put the caret after them
+  function placeCaret(element, selectAll) {
+    if (typeof element.setSelectionRange === 'function') {
+      try {
+        element.setSelectionRange(selectAll ? 0 : element.value.length, element.value.length);
+      } catch (e) {
+        // email/number inputs have no selection range
+        if (selectAll) element.select();
+      }
+    } else if (element.isContentEditable) {
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      if (!selectAll) range.collapse(false);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+  }
+
   async function click(selector, options = {}) {
-    const { button = 0, doubleClick = false, showHighlight = true } = options;
+    const { button = 0, doubleClick = false, showHighlight = true, trusted = false } = options;
     
-    const element = document.querySelector(selector);
+    const { element, healed } = resolveElement(selector, options);
     if (!element) {
       return { error: `Element not found: ${selector}` };
     }
     
+    if (trusted) scrollIntoViewIfNeeded(element);
     const rect = element.getBoundingClientRect();
     const x = rect.left + rect.width / 2;
     const y = rect.top + rect.height / 2;
@@ -619,41 +1086,64 @@
     
     showActionTooltip('Click', getElementDescription(element));
     
-    const eventOptions = {
-      bubbles: true,
-      cancelable: true,
-      clientX: x,
-      clientY: y,
-      button
-    };
-    
-    element.dispatchEvent(new MouseEvent('mousedown', eventOptions));
-    element.dispatchEvent(new MouseEvent('mouseup', eventOptions));
-    element.dispatchEvent(new MouseEvent('click', eventOptions));
-    
-    if (doubleClick) {
-      element.dispatchEvent(new MouseEvent('dblclick', eventOptions));
+    if (trusted) {
+      const result = await dispatchTrustedInput(trustedClickCommands(x, y, button, doubleClick ? 2 : 1));
+      if (result?.error) return result;
+    } else {
+      const eventOptions = {
+        bubbles: true,
+        cancelable: true,
+        clientX: x,
+        clientY: y,
+        button
+      };
+      
+      element.dispatchEvent(new MouseEvent('mousedown', eventOptions));
+      element.dispatchEvent(new MouseEvent('mouseup', eventOptions));
+      element.dispatchEvent(new MouseEvent('click', eventOptions));
+      
+      if (doubleClick) {
+        element.dispatchEvent(new MouseEvent('dblclick', eventOptions));
+      }
+      
+      if (element.focus) element.focus();
     }
     
-    if (element.focus) element.focus();
-    
     return { 
       success: true, 
       element: getElementDescription(element),
-      position: { x, y }
+      position: { x, y },
+      trusted: trusted || undefined,
+      healed: healed || undefined
     };
   }
 
   async function typeText(selector, text, options = {}) {
-    const { delay = 30, clear = false } = options;
+    const { delay = 30, clear = false, trusted = false } = options;
     
-    const element = document.querySelector(selector);
+    const { element, healed } = resolveElement(selector, options);
     if (!element) {
       return { error: `Element not found: ${selector}` };
     }
     
+    // Selects and date/range/color pickers don't take keystrokes
+    if (element.tagName === 'SELECT' || (element.tagName === 'INPUT' && (VALUE_FORMATS[element.type] || element.type === 'range'))) {
+      return setValue(selector, text, options);
+    }
+    
     element.focus();
     
+    // Real keystrokes go wherever the caret is; clearing selects the contents and deletes them
+    if (trusted) {
+      showActionTooltip('Typing', truncate(text, 20));
+      placeCaret(element, clear);
+      const commands = trustedTypeCommands(text, delay);
+      if (clear) commands.unshift(...trustedKeyCommands('Backspace', { keyCode: 8 }));
+      const result = await dispatchTrustedInput(commands);
+      if (result?.error) return result;
+      return { success: true, text, trusted: true, healed: healed || undefined };
+    }
+    
     if (clear) {
       if (element.value !== undefined) {
         element.value = '';
@@ -687,18 +1177,26 @@
       await sleep(delay);
     }
     
-    return { success: true, text };
+    return { success: true, text, healed: healed || undefined };
   }
 
   async function scroll(selector, options = {}) {
-    const { direction = 'down', amount = 300 } = options;
+    const { direction = 'down', amount = 300, to = null } = options;
     
-    const element = selector === 'window' ? window : document.querySelector(selector);
-    if (!element && selector !== 'window') {
+    const { element, healed } = selector === 'window' ? { element: window, healed: null } : resolveElement(selector, options);
+    if (!element) {
       return { error: `Element not found: ${selector}` };
     }
     
     const target = element === window ? window : element;
+    
+    // Absolute position (used when replaying recorded scrolls)
+    if (to) {
+      target.scrollTo({ top: to.top, left: to.left, behavior: 'instant' });
+      showActionTooltip('Scroll', `to ${Math.round(to.top)}px`);
+      return { success: true, to, healed: healed || undefined };
+    }
+    
     const scrollAmount = direction === 'down' || direction === 'right' ? amount : -amount;
     
     if (direction === 'down' || direction === 'up') {
@@ -709,11 +1207,11 @@
     
     showActionTooltip('Scroll', direction);
     
-    return { success: true, direction, amount };
+    return { success: true, direction, amount, healed: healed || undefined };
   }
 
-  async function hover(selector) {
-    const element = document.querySelector(selector);
+  async function hover(selector, options = {}) {
+    const { element, healed } = resolveElement(selector, options);
     if (!element) {
       return { error: `Element not found: ${selector}` };
     }
@@ -728,155 +1226,665 @@
     element.dispatchEvent(new MouseEvent('mouseenter', { bubbles: true }));
     element.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
     
-    return { success: true, element: getElementDescription(element) };
+    return { success: true, element: getElementDescription(element), healed: healed || undefined };
   }
 
-  async function pressKey(key, options = {}) {
-    const { 
-      selector = null, 
-      modifiers = [],
-      repeat = 1,
-      delay = 50 
-    } = options;
-    
-    // Target element or document
-    const element = selector ? document.querySelector(selector) : document.activeElement || document.body;
-    if (selector && !element) {
-      return { error: `Element not found: ${selector}` };
+  // Form Controls
+  // Set controls the way a user's edit would end up: through the native value setter, followed
+  // by input and change so React/Vue/Angular state follows along
+  const VALUE_FORMATS = {
+    date: 'YYYY-MM-DD',
+    time: 'HH:MM',
+    'datetime-local': 'YYYY-MM-DDTHH:MM',
+    month: 'YYYY-MM',
+    week: 'YYYY-W##',
+    color: '#rrggbb'
+  };
+  const CHECKABLE_ROLES = ['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'];
+
+  // The element itself, or the control a <label> points at
+  function getControl(selector, options = {}) {
+    const { element, healed } = resolveElement(selector, options);
+    if (!element) return { error: `Element not found: ${selector}` };
+    return { control: element.tagName === 'LABEL' && element.control ? element.control : element, healed };
+  }
+
+  // Frameworks instrument the value property on the element; the prototype setter is what the browser runs
+  function setNativeValue(element, value) {
+    const proto = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+      : element instanceof HTMLSelectElement ? HTMLSelectElement.prototype
+        : HTMLInputElement.prototype;
+    Object.getOwnPropertyDescriptor(proto, 'value').set.call(element, value);
+  }
+
+  function dispatchValueEvents(element) {
+    element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  function withHealed(result, healed) {
+    return healed && !result.error ? { ...result, healed } : result;
+  }
+
+  function selectOption(selector, options = {}) {
+    const { control, healed, error } = getControl(selector, options);
+    if (error) return { error };
+    return withHealed(selectControlOption(control, options), healed);
+  }
+
+  function setChecked(selector, checked = true, options = {}) {
+    const { control, healed, error } = getControl(selector, options);
+    if (error) return { error };
+    return withHealed(setControlChecked(control, checked), healed);
+  }
+
+  function setValue(selector, value, options = {}) {
+    const { control, healed, error } = getControl(selector, options);
+    if (error) return { error };
+    return withHealed(setControlValue(control, value), healed);
+  }
+
+  function selectControlOption(select, { value, label, index } = {}) {
+    if (select.tagName !== 'SELECT') return { error: `Not a <select>: ${getElementDescription(select)}` };
+    if (select.disabled) return { error: `Select is disabled: ${getElementDescription(select)}` };
+    
+    const wanted = [
+      ...[].concat(value ?? []).map(v => ({ value: String(v) })),
+      ...[].concat(label ?? []).map(l => ({ label: normalizeText(l) })),
+      ...[].concat(index ?? []).map(i => ({ index: Number(i) }))
+    ];
+    if (!wanted.length) return { error: 'Give a value, label or index to select' };
+    if (wanted.length > 1 && !select.multiple) return { error: 'Select takes a single option' };
+    
+    const all = Array.from(select.options);
+    const chosen = [];
+    for (const want of wanted) {
+      // Labels match exactly first, then case-insensitively as a substring
+      const option = want.value !== undefined ? all.find(o => o.value === want.value)
+        : want.label !== undefined
+          ? all.find(o => normalizeText(o.label) === want.label) ||
+            all.find(o => normalizeText(o.label).toLowerCase().includes(want.label.toLowerCase()))
+          : all[want.index];
+      if (!option) {
+        return {
+          error: `No option matching ${JSON.stringify(want)}`,
+          options: all.slice(0, 50).map(o => ({ value: o.value, label: o.label }))
+        };
+      }
+      if (option.disabled) return { error: `Option is disabled: ${option.label}` };
+      chosen.push(option);
     }
     
-    // Key mapping for common names
-    const keyMap = {
-      'enter': 'Enter',
-      'return': 'Enter',
-      'escape': 'Escape',
-      'esc': 'Escape',
-      'tab': 'Tab',
-      'space': ' ',
-      'spacebar': ' ',
-      'backspace': 'Backspace',
-      'delete': 'Delete',
-      'del': 'Delete',
-      'arrowup': 'ArrowUp',
-      'arrowdown': 'ArrowDown',
-      'arrowleft': 'ArrowLeft',
-      'arrowright': 'ArrowRight',
-      'up': 'ArrowUp',
-      'down': 'ArrowDown',
-      'left': 'ArrowLeft',
-      'right': 'ArrowRight',
-      'home': 'Home',
-      'end': 'End',
-      'pageup': 'PageUp',
-      'pagedown': 'PageDown',
-      'f1': 'F1', 'f2': 'F2', 'f3': 'F3', 'f4': 'F4',
-      'f5': 'F5', 'f6': 'F6', 'f7': 'F7', 'f8': 'F8',
-      'f9': 'F9', 'f10': 'F10', 'f11': 'F11', 'f12': 'F12'
-    };
+    select.focus();
+    all.forEach(option => { option.selected = chosen.includes(option); });
+    highlightElement(select);
+    showActionTooltip('Select', chosen.map(o => o.label).join(', '));
+    dispatchValueEvents(select);
     
-    const normalizedKey = keyMap[key?.toLowerCase?.()] || key || 'Enter';
+    return { success: true, selected: chosen.map(o => ({ value: o.value, label: o.label, index: o.index })) };
+  }
+
+  // Clicking toggles the way a user does, so click-driven handlers (React's onChange) run too
+  function setControlChecked(control, checked = true) {
+    const isNative = control.tagName === 'INPUT' && (control.type === 'checkbox' || control.type === 'radio');
+    const role = control.getAttribute('role');
+    if (!isNative && !CHECKABLE_ROLES.includes(role)) {
+      return { error: `Not a checkbox, radio or switch: ${getElementDescription(control)}` };
+    }
+    if (control.disabled || control.getAttribute('aria-disabled') === 'true') {
+      return { error: `Control is disabled: ${getElementDescription(control)}` };
+    }
     
-    // Modifier states
-    const ctrlKey = modifiers.includes('ctrl') || modifiers.includes('control');
-    const shiftKey = modifiers.includes('shift');
-    const altKey = modifiers.includes('alt');
-    const metaKey = modifiers.includes('meta') || modifiers.includes('cmd') || modifiers.includes('win');
+    const isChecked = () => isNative ? control.checked : control.getAttribute('aria-checked') === 'true';
+    const before = isChecked();
+    if (before !== checked) {
+      if (!checked && (control.type === 'radio' || role === 'radio' || role === 'menuitemradio')) {
+        return { error: "A radio button can't be unchecked; check another option instead" };
+      }
+      highlightElement(control.offsetParent ? control : control.parentElement);
+      control.click();
+    }
     
-    // Calculate keyCode for common keys
-    const keyCodes = {
-      'Enter': 13, 'Escape': 27, 'Tab': 9, ' ': 32, 'Backspace': 8, 'Delete': 46,
-      'ArrowUp': 38, 'ArrowDown': 40, 'ArrowLeft': 37, 'ArrowRight': 39,
-      'Home': 36, 'End': 35, 'PageUp': 33, 'PageDown': 34,
-      'F1': 112, 'F2': 113, 'F3': 114, 'F4': 115, 'F5': 116, 'F6': 117,
-      'F7': 118, 'F8': 119, 'F9': 120, 'F10': 121, 'F11': 122, 'F12': 123
-    };
+    if (isChecked() !== checked) return { error: `Page kept the control ${before ? 'checked' : 'unchecked'}` };
+    showActionTooltip(checked ? 'Check' : 'Uncheck', getElementDescription(control));
+    return { success: true, checked, changed: before !== checked };
+  }
+
+  // One entry point for every kind of field: selects, checkboxes, date/range/color inputs, text and contenteditable
+  function setControlValue(control, value) {
+    if (control.tagName === 'SELECT') {
+      const byValue = selectControlOption(control, { value });
+      return byValue.error && !Array.isArray(value) ? selectControlOption(control, { label: value }) : byValue;
+    }
     
-    const keyCode = keyCodes[normalizedKey] || normalizedKey.charCodeAt(0);
+    const type = control.tagName === 'INPUT' ? control.type : null;
+    if (type === 'checkbox' || type === 'radio' || CHECKABLE_ROLES.includes(control.getAttribute('role'))) {
+      return setControlChecked(control, value === true || value === 'true' || value === 'on' || value === 1);
+    }
+    if (type === 'file') return { error: 'Use browser_upload_file for file inputs' };
+    
+    if (control.isContentEditable) {
+      control.focus();
+      placeCaret(control, true);
+      // execCommand goes through the editor's own beforeinput/input handling
+      if (!document.execCommand('insertText', false, String(value))) {
+        control.textContent = String(value);
+        control.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType: 'insertText', data: String(value) }));
+      }
+      showActionTooltip('Set value', truncate(String(value), 20));
+      return { success: true, value: control.textContent };
+    }
     
-    if (element.focus) element.focus();
+    if (control.tagName !== 'INPUT' && control.tagName !== 'TEXTAREA') {
+      return { error: `Not a form field: ${getElementDescription(control)}` };
+    }
+    if (control.disabled || control.readOnly) return { error: `Field is not editable: ${getElementDescription(control)}` };
+    
+    control.focus();
+    const previous = control.value;
+    setNativeValue(control, String(value ?? ''));
+    // The browser drops values that don't parse for the input type; put back what was there
+    if (control.value === '' && String(value ?? '') !== '') {
+      setNativeValue(control, previous);
+      const format = VALUE_FORMATS[type];
+      return { error: `Invalid value for ${type} input${format ? ` (expected ${format})` : ''}: ${value}` };
+    }
+    highlightElement(control);
+    showActionTooltip('Set value', truncate(control.value, 20));
+    dispatchValueEvents(control);
     
-    for (let i = 0; i < repeat; i++) {
-      const keyEventInit = {
-        key: normalizedKey,
-        code: normalizedKey.length === 1 ? `Key${normalizedKey.toUpperCase()}` : normalizedKey,
-        keyCode: keyCode,
-        which: keyCode,
-        ctrlKey,
-        shiftKey,
-        altKey,
-        metaKey,
-        bubbles: true,
-        cancelable: true
-      };
-      
-      element.dispatchEvent(new KeyboardEvent('keydown', keyEventInit));
-      element.dispatchEvent(new KeyboardEvent('keypress', keyEventInit));
-      
-      // Handle special keys that modify input
-      if (normalizedKey === 'Backspace' && element.value !== undefined) {
-        element.value = element.value.slice(0, -1);
-        element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
-      } else if (normalizedKey === 'Delete' && element.value !== undefined) {
-        // Delete forward - simplified
-        element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentForward' }));
-      } else if (normalizedKey.length === 1 && !ctrlKey && !altKey && !metaKey) {
-        // Regular character key
-        if (element.value !== undefined) {
-          element.value += shiftKey ? normalizedKey.toUpperCase() : normalizedKey;
-          element.dispatchEvent(new InputEvent('input', { bubbles: true, data: normalizedKey }));
-        }
+    // Range and number inputs may clamp or step the value, so report what was actually set
+    return { success: true, value: control.value };
+  }
+
+  // Fill Form
+  // Fields are named the way a person would: label, aria-label/labelledby, name or id, placeholder,
+  // or the text next to the field. Exact names win over partial ones, visible fields over hidden.
+  const FORM_FIELD_SELECTOR = [
+    'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"])',
+    'select', 'textarea', '[contenteditable=""]', '[contenteditable="true"]',
+    '[role="textbox"]', '[role="combobox"]', '[role="checkbox"]', '[role="switch"]', '[role="radio"]'
+  ].join(',');
+
+  async function fillForm(fields = {}, options = {}) {
+    const { form = null, submit = false } = options;
+    
+    const scope = form ? findElement(form) : document;
+    if (!scope) return { error: `Form not found: ${form}` };
+    const controls = deepQuerySelectorAll(scope, FORM_FIELD_SELECTOR);
+    
+    const report = [];
+    const filled = new Set();
+    let lastControl = null;
+    for (const [field, value] of Object.entries(fields)) {
+      const match = findFormField(controls.filter(control => !filled.has(control)), field);
+      if (!match) {
+        report.push({ field, error: 'No matching field' });
+        continue;
       }
       
-      element.dispatchEvent(new KeyboardEvent('keyup', keyEventInit));
-      
-      if (i < repeat - 1) {
-        await sleep(delay);
+      // A radio group is named once and the value picks the option; true/false targets the matched radio itself
+      const control = isRadio(match.control) && typeof value !== 'boolean'
+        ? findRadioOption(controls, match.control, value)
+        : match.control;
+      if (!control) {
+        report.push({ field, matchedBy: match.by, error: `No option "${value}" in radio group` });
+        continue;
       }
+      
+      const result = isRadio(control) && typeof value !== 'boolean' ? setControlChecked(control, true) : setControlValue(control, value);
+      report.push({
+        field,
+        matchedBy: match.by,
+        name: match.name,
+        selector: getBestSelector(control),
+        ...(result.error ? { error: result.error } : { value: result.value ?? result.selected ?? result.checked })
+      });
+      if (!result.error) lastControl = control;
+      filled.add(match.control);
+      await sleep(50);
     }
     
-    showActionTooltip('Key', `${modifiers.length ? modifiers.join('+') + '+' : ''}${normalizedKey}${repeat > 1 ? ` x${repeat}` : ''}`);
-    
-    return { 
-      success: true, 
-      key: normalizedKey,
-      modifiers,
-      repeat,
-      target: element.tagName?.toLowerCase() || 'document'
-    };
+    const failed = report.filter(entry => entry.error).length;
+    const result = { success: failed === 0, filled: report.length - failed, failed, fields: report };
+    if (submit) {
+      result.submitted = failed
+        ? { error: 'Not submitted: some fields could not be filled' }
+        : submitForm(scope.tagName === 'FORM' ? scope : lastControl?.form || lastControl?.closest('form'));
+    }
+    return result;
   }
 
-  function getPageSnapshot() {
-    const snapshot = {
-      url: window.location.href,
-      title: document.title,
-      viewport: {
-        width: window.innerWidth,
+  function findFormField(controls, field) {
+    const wanted = normalizeText(field).toLowerCase();
+    let best = null;
+    controls.forEach(control => {
+      for (const [by, name, rank] of getFieldNames(control)) {
+        const exact = name === wanted;
+        if (!exact && !name.includes(wanted)) continue;
+        // Exact before partial, then the stronger kind of name, then visible fields
+        const score = (exact ? 100 : 0) - rank * 10 + (isVisible(control) ? 5 : 0);
+        if (!best || score > best.score) best = { control, by, name, score };
+      }
+    });
+    return best;
+  }
+
+  // Ways a field can be named, strongest first
+  function getFieldNames(control) {
+    const labelledBy = (control.getAttribute('aria-labelledby') || '').split(/\s+/)
+      .map(id => id && control.getRootNode().getElementById?.(id)?.textContent)
+      .join(' ');
+    const legend = isRadio(control) ? control.closest('fieldset')?.querySelector('legend')?.textContent : '';
+    return [
+      ['label', isLabelable(control) ? getLabelText(control) : ''],
+      ['aria-label', control.getAttribute('aria-label')],
+      ['aria-labelledby', labelledBy],
+      ['legend', legend],
+      ['name', control.getAttribute('name')],
+      ['id', control.id],
+      ['placeholder', control.getAttribute('placeholder')],
+      ['nearby text', getNearbyText(control)]
+    ]
+      .map(([by, name], rank) => [by, normalizeText(name).toLowerCase(), rank])
+      .filter(([, name]) => name);
+  }
+
+  // Unlabelled fields usually sit right after their caption: "<div>Email</div><input>"
+  function getNearbyText(control) {
+    let node = control;
+    for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+      let sibling = node.previousElementSibling;
+      while (sibling && !normalizeText(sibling.textContent)) sibling = sibling.previousElementSibling;
+      if (sibling) {
+        if (sibling.matches(FORM_FIELD_SELECTOR) || sibling.querySelector(FORM_FIELD_SELECTOR)) return '';
+        const text = normalizeText(sibling.textContent);
+        return text.length <= 80 ? text : '';
+      }
+    }
+    return '';
+  }
+
+  function isRadio(control) {
+    return (control.tagName === 'INPUT' && control.type === 'radio') || control.getAttribute('role') === 'radio';
+  }
+
+  function findRadioOption(controls, radio, value) {
+    const wanted = normalizeText(value).toLowerCase();
+    const group = radio.name
+      ? controls.filter(c => c.tagName === 'INPUT' && c.type === 'radio' && c.name === radio.name && c.form === radio.form)
+      : Array.from(radio.closest('[role="radiogroup"]')?.querySelectorAll('[role="radio"]') || [radio]);
+    return group.find(option => normalizeText(option.value).toLowerCase() === wanted) ||
+      group.find(option => normalizeText(getAccessibleName(option)).toLowerCase() === wanted) ||
+      null;
+  }
+
+  // requestSubmit runs validation and submit handlers like a real submit button
+  function submitForm(form) {
+    if (!form) return { error: 'No form to submit' };
+    
+    const submitter = form.querySelector('button:not([type]), button[type="submit"], input[type="submit"]');
+    try {
+      form.requestSubmit(submitter);
+    } catch (e) {
+      return { error: e.message };
+    }
+    return { success: true, form: getElementDescription(form) };
+  }
+
+  // Pointer Gestures
+  // Real mouse/touch input through the Input domain, with the agent cursor following along.
+  // A point is a selector (element centre), { x, y } in viewport pixels, or { selector, x, y }
+  // for an offset inside the element.
+  function resolvePoint(target, options = {}) {
+    const point = typeof target === 'string' ? { selector: target } : target;
+    if (!point) return { error: 'Missing point' };
+    
+    if (!point.selector) {
+      if (typeof point.x !== 'number' || typeof point.y !== 'number') {
+        return { error: 'A point needs a selector or x and y' };
+      }
+      return { x: point.x, y: point.y, element: document.elementFromPoint(point.x, point.y) };
+    }
+    
+    const { element, healed } = resolveElement(point.selector, options);
+    if (!element) return { error: `Element not found: ${point.selector}` };
+    if (options.scroll !== false) scrollIntoViewIfNeeded(element);
+    
+    const rect = element.getBoundingClientRect();
+    return {
+      x: rect.left + (point.x ?? rect.width / 2),
+      y: rect.top + (point.y ?? rect.height / 2),
+      element,
+      healed
+    };
+  }
+
+  function mouseCommand(type, { x, y }, button = 0, extra = {}) {
+    const [name, buttons] = CDP_BUTTONS[button] || CDP_BUTTONS[0];
+    const params = { type, x, y, ...extra };
+    if (type !== 'mouseMoved' || extra.buttons) params.button = name;
+    if (type === 'mousePressed' || type === 'mouseReleased') params.clickCount = 1;
+    if (type === 'mousePressed') params.buttons = buttons;
+    return { method: 'Input.dispatchMouseEvent', params };
+  }
+
+  async function animateCursor(points, duration) {
+    for (const point of points) {
+      await moveMouse(point.x, point.y, { duration: duration / points.length });
+    }
+  }
+
+  async function drag(from, to, options = {}) {
+    const { mode = 'pointer', steps = 10, duration = 300, button = 0 } = options;
+    
+    const start = resolvePoint(from, options);
+    if (start.error) return start;
+    const end = resolvePoint(to, { ...options, scroll: false });
+    if (end.error) return end;
+    
+    await moveMouse(start.x, start.y);
+    if (start.element) highlightElement(start.element);
+    showActionTooltip('Drag', `${describePoint(start)} → ${describePoint(end)}`);
+    
+    if (mode === 'html5') {
+      const dropped = dispatchHtml5Drag(start, end);
+      await moveMouse(end.x, end.y, { duration });
+      return { success: true, mode, from: { x: start.x, y: start.y }, to: { x: end.x, y: end.y }, dropped };
+    }
+    
+    // Small interpolated moves get past the distance threshold drag libraries wait for
+    const path = [];
+    for (let i = 1; i <= steps; i++) {
+      path.push({ x: start.x + (end.x - start.x) * i / steps, y: start.y + (end.y - start.y) * i / steps });
+    }
+    const [, buttons] = CDP_BUTTONS[button] || CDP_BUTTONS[0];
+    const commands = [
+      mouseCommand('mouseMoved', start),
+      mouseCommand('mousePressed', start, button),
+      ...path.map(point => ({ ...mouseCommand('mouseMoved', point, button, { buttons }), delay: duration / steps })),
+      mouseCommand('mouseReleased', end, button)
+    ];
+    
+    const [result] = await Promise.all([
+      dispatchTrustedInput(commands, { interceptDrags: true }),
+      animateCursor(path, duration)
+    ]);
+    if (result?.error) return result;
+    
+    return {
+      success: true,
+      mode,
+      from: { x: start.x, y: start.y },
+      to: { x: end.x, y: end.y },
+      nativeDrag: result.nativeDrag,
+      healed: start.healed || end.healed || undefined
+    };
+  }
+
+  // Synthetic HTML5 drag and drop for pages where the debugger can't be used; returns whether the target accepted the drop
+  function dispatchHtml5Drag(start, end) {
+    const source = start.element?.closest('[draggable="true"]') || start.element;
+    const target = end.element;
+    if (!source || !target) return false;
+    
+    const dataTransfer = new DataTransfer();
+    const init = ({ x, y }) => ({ bubbles: true, cancelable: true, composed: true, clientX: x, clientY: y, dataTransfer });
+    
+    source.dispatchEvent(new DragEvent('dragstart', init(start)));
+    source.dispatchEvent(new DragEvent('drag', init(start)));
+    target.dispatchEvent(new DragEvent('dragenter', init(end)));
+    // A cancelled dragover is how a drop target says it accepts the drop
+    const accepted = !target.dispatchEvent(new DragEvent('dragover', init(end)));
+    if (accepted) target.dispatchEvent(new DragEvent('drop', init(end)));
+    source.dispatchEvent(new DragEvent('dragend', init(end)));
+    return accepted;
+  }
+
+  // Points may set down: true/false to press or release the button there; otherwise it keeps its state
+  async function mousePath(points = [], options = {}) {
+    const { button = 0, delay = 16 } = options;
+    if (!points.length) return { error: 'Mouse path needs at least one point' };
+    
+    const resolved = [];
+    for (const [i, point] of points.entries()) {
+      const position = resolvePoint(point, { ...options, scroll: i === 0 });
+      if (position.error) return { error: `Point ${i}: ${position.error}` };
+      resolved.push({ ...position, down: point.down, delay: point.delay ?? delay });
+    }
+    
+    const [, buttons] = CDP_BUTTONS[button] || CDP_BUTTONS[0];
+    const commands = [];
+    let pressed = false;
+    resolved.forEach(point => {
+      commands.push(mouseCommand('mouseMoved', point, button, pressed ? { buttons } : {}));
+      if (point.down === true && !pressed) {
+        commands.push(mouseCommand('mousePressed', point, button));
+        pressed = true;
+      } else if (point.down === false && pressed) {
+        commands.push(mouseCommand('mouseReleased', point, button));
+        pressed = false;
+      }
+      commands[commands.length - 1].delay = point.delay;
+    });
+    if (pressed) commands.push(mouseCommand('mouseReleased', resolved[resolved.length - 1], button));
+    
+    await moveMouse(resolved[0].x, resolved[0].y);
+    showActionTooltip('Mouse path', `${resolved.length} points`);
+    
+    const total = resolved.reduce((sum, point) => sum + point.delay, 0);
+    const [result] = await Promise.all([
+      dispatchTrustedInput(commands, { interceptDrags: true }),
+      animateCursor(resolved.slice(1), total)
+    ]);
+    if (result?.error) return result;
+    
+    return { success: true, points: resolved.map(({ x, y, down }) => ({ x, y, down })), nativeDrag: result.nativeDrag };
+  }
+
+  async function longPress(target, options = {}) {
+    const { duration = 800, button = 0, touch = false } = options;
+    
+    const point = resolvePoint(target, options);
+    if (point.error) return point;
+    
+    await moveMouse(point.x, point.y);
+    if (point.element) highlightElement(point.element);
+    showActionTooltip('Long press', `${describePoint(point)} ${duration}ms`);
+    
+    const commands = touch
+      ? [
+        { method: 'Input.dispatchTouchEvent', params: { type: 'touchStart', touchPoints: [{ x: point.x, y: point.y }] }, delay: duration },
+        { method: 'Input.dispatchTouchEvent', params: { type: 'touchEnd', touchPoints: [] } }
+      ]
+      : [
+        mouseCommand('mouseMoved', point),
+        { ...mouseCommand('mousePressed', point, button), delay: duration },
+        mouseCommand('mouseReleased', point, button)
+      ];
+    
+    const result = await dispatchTrustedInput(commands);
+    if (result?.error) return result;
+    
+    return {
+      success: true,
+      element: point.element ? getElementDescription(point.element) : null,
+      position: { x: point.x, y: point.y },
+      duration,
+      touch: touch || undefined,
+      healed: point.healed || undefined
+    };
+  }
+
+  function describePoint(point) {
+    return point.element ? getElementDescription(point.element) : `${Math.round(point.x)},${Math.round(point.y)}`;
+  }
+
+  async function pressKey(key, options = {}) {
+    const { 
+      selector = null, 
+      modifiers = [],
+      repeat = 1,
+      delay = 50,
+      trusted = false
+    } = options;
+    
+    // Target element or document
+    const { element, healed } = selector
+      ? resolveElement(selector, options)
+      : { element: document.activeElement || document.body, healed: null };
+    if (!element) {
+      return { error: `Element not found: ${selector}` };
+    }
+    
+    // Key mapping for common names
+    const keyMap = {
+      'enter': 'Enter',
+      'return': 'Enter',
+      'escape': 'Escape',
+      'esc': 'Escape',
+      'tab': 'Tab',
+      'space': ' ',
+      'spacebar': ' ',
+      'backspace': 'Backspace',
+      'delete': 'Delete',
+      'del': 'Delete',
+      'arrowup': 'ArrowUp',
+      'arrowdown': 'ArrowDown',
+      'arrowleft': 'ArrowLeft',
+      'arrowright': 'ArrowRight',
+      'up': 'ArrowUp',
+      'down': 'ArrowDown',
+      'left': 'ArrowLeft',
+      'right': 'ArrowRight',
+      'home': 'Home',
+      'end': 'End',
+      'pageup': 'PageUp',
+      'pagedown': 'PageDown',
+      'f1': 'F1', 'f2': 'F2', 'f3': 'F3', 'f4': 'F4',
+      'f5': 'F5', 'f6': 'F6', 'f7': 'F7', 'f8': 'F8',
+      'f9': 'F9', 'f10': 'F10', 'f11': 'F11', 'f12': 'F12'
+    };
+    
+    const normalizedKey = keyMap[key?.toLowerCase?.()] || key || 'Enter';
+    
+    // Modifier states
+    const ctrlKey = modifiers.includes('ctrl') || modifiers.includes('control');
+    const shiftKey = modifiers.includes('shift');
+    const altKey = modifiers.includes('alt');
+    const metaKey = modifiers.includes('meta') || modifiers.includes('cmd') || modifiers.includes('win');
+    
+    // Calculate keyCode for common keys
+    const keyCodes = {
+      'Enter': 13, 'Escape': 27, 'Tab': 9, ' ': 32, 'Backspace': 8, 'Delete': 46,
+      'ArrowUp': 38, 'ArrowDown': 40, 'ArrowLeft': 37, 'ArrowRight': 39,
+      'Home': 36, 'End': 35, 'PageUp': 33, 'PageDown': 34,
+      'F1': 112, 'F2': 113, 'F3': 114, 'F4': 115, 'F5': 116, 'F6': 117,
+      'F7': 118, 'F8': 119, 'F9': 120, 'F10': 121, 'F11': 122, 'F12': 123
+    };
+    
+    const keyCode = keyCodes[normalizedKey] || normalizedKey.charCodeAt(0);
+    
+    if (element.focus) element.focus();
+    
+    if (trusted) {
+      // Keys that type something carry their text; Enter types a line break
+      const printable = normalizedKey.length === 1 && !ctrlKey && !altKey && !metaKey;
+      const text = normalizedKey === 'Enter' ? '\r' : printable ? (shiftKey ? normalizedKey.toUpperCase() : normalizedKey) : '';
+      const commands = [];
+      for (let i = 0; i < repeat; i++) {
+        commands.push(...trustedKeyCommands(normalizedKey, { keyCode: keyCodes[normalizedKey], modifiers, text }));
+        if (i < repeat - 1) commands[commands.length - 1].delay = delay;
+      }
+      const result = await dispatchTrustedInput(commands);
+      if (result?.error) return result;
+    } else {
+      for (let i = 0; i < repeat; i++) {
+        const keyEventInit = {
+          key: normalizedKey,
+          code: normalizedKey.length === 1 ? `Key${normalizedKey.toUpperCase()}` : normalizedKey,
+          keyCode: keyCode,
+          which: keyCode,
+          ctrlKey,
+          shiftKey,
+          altKey,
+          metaKey,
+          bubbles: true,
+          cancelable: true
+        };
+        
+        element.dispatchEvent(new KeyboardEvent('keydown', keyEventInit));
+        element.dispatchEvent(new KeyboardEvent('keypress', keyEventInit));
+        
+        // Handle special keys that modify input
+        if (normalizedKey === 'Backspace' && element.value !== undefined) {
+          element.value = element.value.slice(0, -1);
+          element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+        } else if (normalizedKey === 'Delete' && element.value !== undefined) {
+          // Delete forward - simplified
+          element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentForward' }));
+        } else if (normalizedKey.length === 1 && !ctrlKey && !altKey && !metaKey) {
+          // Regular character key
+          if (element.value !== undefined) {
+            element.value += shiftKey ? normalizedKey.toUpperCase() : normalizedKey;
+            element.dispatchEvent(new InputEvent('input', { bubbles: true, data: normalizedKey }));
+          }
+        }
+        
+        element.dispatchEvent(new KeyboardEvent('keyup', keyEventInit));
+        
+        if (i < repeat - 1) {
+          await sleep(delay);
+        }
+      }
+    }
+    
+    showActionTooltip('Key', `${modifiers.length ? modifiers.join('+') + '+' : ''}${normalizedKey}${repeat > 1 ? ` x${repeat}` : ''}`);
+    
+    return { 
+      success: true, 
+      key: normalizedKey,
+      modifiers,
+      repeat,
+      target: element.tagName?.toLowerCase() || 'document',
+      trusted: trusted || undefined,
+      healed: healed || undefined
+    };
+  }
+
+  const INTERACTIVE_SELECTOR = [
+    'a[href]', 'button', 'input', 'select', 'textarea',
+    '[role="button"]', '[role="link"]', '[role="checkbox"]',
+    '[role="radio"]', '[role="tab"]', '[onclick]', '[tabindex]'
+  ].join(',');
+
+  function getPageSnapshot(options = {}) {
+    const scope = getSnapshotScope('elements', options);
+    if (scope.error) return scope;
+    
+    const snapshot = {
+      url: window.location.href,
+      title: document.title,
+      viewport: {
+        width: window.innerWidth,
         height: window.innerHeight
       },
       scroll: {
         x: window.scrollX,
         y: window.scrollY
-      },
-      elements: []
+      }
     };
     
-    const interactiveSelectors = [
-      'a[href]', 'button', 'input', 'select', 'textarea',
-      '[role="button"]', '[role="link"]', '[role="checkbox"]',
-      '[role="radio"]', '[role="tab"]', '[onclick]', '[tabindex]'
-    ];
-    
-    const elements = document.querySelectorAll(interactiveSelectors.join(','));
-    
-    elements.forEach((el, index) => {
-      if (!isVisible(el)) return;
-      
+    const elements = deepQuerySelectorAll(scope.root, INTERACTIVE_SELECTOR).filter(el => {
+      if (!isVisible(el)) return false;
+      return !options.viewportOnly || intersectsViewport(el.getBoundingClientRect());
+    });
+    const selectorIndex = buildSelectorIndex();
+    const toEntry = el => {
       const rect = el.getBoundingClientRect();
-      if (rect.width === 0 || rect.height === 0) return;
-      
-      snapshot.elements.push({
-        ref: `e${index}`,
-        selector: getUniqueSelector(el),
+      return {
+        ref: rememberRef(el),
+        selector: rememberSnapshotSelector(el, selectorIndex),
         tag: el.tagName.toLowerCase(),
         type: el.type || null,
         text: truncate(el.textContent?.trim(), 100),
@@ -891,10 +1899,508 @@
           width: Math.round(rect.width),
           height: Math.round(rect.height)
         }
+      };
+    };
+    
+    const current = new Map(elements.map(el => [getElementRef(el), {
+      item: el,
+      signature: getElementSignature(el),
+      summary: { ref: getElementRef(el), tag: el.tagName.toLowerCase(), text: truncate(el.textContent?.trim(), 60) }
+    }]));
+    const previous = swapSnapshotBaseline(scope.key, current);
+    if (options.diff && previous) return { ...snapshot, ...diffSnapshot(previous, current, toEntry) };
+    
+    const { items, ...paging } = paginateElements(elements, options, toEntry, scope.root);
+    return { ...snapshot, ...paging, elements: items };
+  }
+
+  // What a diff compares for an element; position is left out so scrolling isn't a change
+  function getElementSignature(el) {
+    return JSON.stringify([
+      el.tagName, el.type, el.textContent?.trim().slice(0, 100), el.value, el.checked, el.disabled, el.href,
+      ...['aria-label', 'aria-expanded', 'aria-pressed', 'aria-checked', 'aria-selected'].map(name => el.getAttribute(name))
+    ]);
+  }
+
+  // Snapshot Refs
+  // Each element gets its ref the first time a snapshot shows it and keeps it for the page's
+  // lifetime; tools take it as `ref/e12`. A re-rendered element heals from its fingerprint.
+  let nextRef = 1;
+  const refByElement = new WeakMap();
+  const elementByRef = new Map();
+
+  function getElementRef(element) {
+    let ref = refByElement.get(element);
+    if (!ref) {
+      ref = `e${nextRef++}`;
+      refByElement.set(element, ref);
+      elementByRef.set(ref, new WeakRef(element));
+    }
+    return ref;
+  }
+
+  function getRefElement(ref) {
+    const element = elementByRef.get(ref)?.deref();
+    return element?.isConnected ? element : null;
+  }
+
+  function rememberRef(element) {
+    const ref = getElementRef(element);
+    rememberElement(`ref/${ref}`, element);
+    return ref;
+  }
+
+  // Accessibility Snapshot
+  // The page as assistive technology sees it: role, accessible name, state and nesting.
+  // Elements without a role of their own are flattened into their parent.
+  const FLATTENED_ROLES = new Set(['presentation', 'none', 'generic', 'rowgroup']);
+  const VALUE_ROLES = new Set(['textbox', 'searchbox', 'combobox', 'spinbutton', 'slider']);
+  // Only refs an agent would act on are fingerprinted for healing; the rest would crowd them out
+  const ACTIONABLE_ROLES = new Set([
+    ...VALUE_ROLES, 'button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'option', 'treeitem', 'listbox'
+  ]);
+
+  function getAccessibilitySnapshot(options = {}) {
+    const scope = getSnapshotScope('a11y', options);
+    if (scope.error) return scope;
+    
+    const snapshot = { url: window.location.href, title: document.title, mode: 'a11y' };
+    let nodes = [];
+    if (scope.root !== document) nodes = getA11yNodes(scope.root, options);
+    else if (document.body) nodes = getA11yChildren(document.body, options);
+    
+    const items = flattenSnapshotTree(nodes);
+    const current = new Map(items.map(item => {
+      const { children, ...node } = item.node;
+      const parent = getParentRef(item);
+      const summary = node.ref ? { ref: node.ref, role: node.role, name: node.name } : { parent, role: node.role, name: node.name };
+      // Text has no ref, so it is known by its content under the nearest element that has one
+      return [node.ref || `${parent}>${node.name}`, { item, signature: JSON.stringify(node), summary }];
+    }));
+    const previous = swapSnapshotBaseline(scope.key, current);
+    if (options.diff && previous) {
+      return { ...snapshot, ...diffSnapshot(previous, current, item => {
+        const { children, ...node } = item.node;
+        const parent = getParentRef(item);
+        return parent ? { ...node, parent } : node;
+      }) };
+    }
+    
+    return { ...snapshot, ...paginateTree(items, options) };
+  }
+
+  function getA11yChildren(element, options = {}) {
+    return getRenderedChildNodes(element).flatMap(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        const text = normalizeText(child.textContent);
+        return text ? [{ role: 'text', name: truncate(text, 200) }] : [];
+      }
+      return child.nodeType === Node.ELEMENT_NODE ? getA11yNodes(child, options) : [];
+    });
+  }
+
+  // The element's own node with its subtree, or its children alone when it has no role
+  function getA11yNodes(element, options = {}) {
+    if (SKIPPED_TAGS.has(element.tagName) || isInAgentUI(element)) return [];
+    if (element.getAttribute('aria-hidden') === 'true' || element.hidden) return [];
+    
+    const style = getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden') return [];
+    if (options.viewportOnly) {
+      const rect = element.getBoundingClientRect();
+      if (rect.width && rect.height && !intersectsViewport(rect)) return [];
+    }
+    
+    const node = getA11yNode(element);
+    // A name computed from content already says what the text inside says
+    const children = getA11yChildren(element, options).filter(c => !(node?.nameFromContent && c.role === 'text'));
+    if (!node) return children;
+    delete node.nameFromContent;
+    if (children.length) node.children = children;
+    return [node];
+  }
+
+  // Children as rendered: a shadow root replaces the light DOM, and slots show what is assigned to them
+  function getRenderedChildNodes(element) {
+    if (element.tagName === 'SLOT') {
+      const assigned = element.assignedNodes({ flatten: true });
+      return assigned.length ? assigned : Array.from(element.childNodes);
+    }
+    return Array.from((element.shadowRoot || element).childNodes);
+  }
+
+  function getA11yNode(element) {
+    if (element.tagName === 'IFRAME') return { ref: getElementRef(element), role: 'iframe', name: element.title || element.name || '' };
+    const isPassword = element.tagName === 'INPUT' && element.type === 'password';
+    const role = isPassword ? 'textbox' : getAriaRole(element);
+    if (!role || FLATTENED_ROLES.has(role)) return null;
+    
+    const ref = ACTIONABLE_ROLES.has(role) ? rememberRef(element) : getElementRef(element);
+    const node = { ref, role, name: truncate(getAccessibleName(element), 200) };
+    node.nameFromContent = NAME_FROM_CONTENT.has(role) && !element.hasAttribute('aria-label') && !element.hasAttribute('aria-labelledby');
+    
+    const aria = name => element.getAttribute(`aria-${name}`);
+    const native = element.tagName === 'INPUT' && (element.type === 'checkbox' || element.type === 'radio');
+    if (native) node.checked = element.indeterminate ? 'mixed' : element.checked;
+    else if (aria('checked')) node.checked = aria('checked') === 'mixed' ? 'mixed' : aria('checked') === 'true';
+    if (aria('pressed')) node.pressed = aria('pressed') === 'mixed' ? 'mixed' : aria('pressed') === 'true';
+    if (aria('expanded')) node.expanded = aria('expanded') === 'true';
+    if (aria('selected') === 'true' || (element.tagName === 'OPTION' && element.selected)) node.selected = true;
+    if (element.disabled || aria('disabled') === 'true') node.disabled = true;
+    if (element.required || aria('required') === 'true') node.required = true;
+    if (element === document.activeElement) node.focused = true;
+    if (role === 'heading') node.level = Number(aria('level')) || Number(element.tagName.slice(1)) || 2;
+    if (role === 'link' && element.href) node.url = truncate(element.href, 200);
+    
+    if (VALUE_ROLES.has(role)) {
+      const value = element.tagName === 'SELECT'
+        ? Array.from(element.selectedOptions).map(o => o.label).join(', ')
+        : element.isContentEditable ? element.textContent : (element.value ?? aria('valuenow'));
+      if (value) node.value = isSensitiveField(element) ? REDACTED : truncate(String(value), 200);
+    }
+    return node;
+  }
+
+  // Snapshot Options
+  // Large pages are cut down to what the agent asked for: `region` scopes to one element,
+  // `viewportOnly` drops what is scrolled out of view, `offset`/`limit` page through the rest,
+  // and `maxTokens` folds long runs of repeated items (feed entries, grid rows) into summaries
+  // before ending the page where the budget runs out. `diff` reports what changed since the
+  // last snapshot of the same mode and scope instead.
+  const SUMMARY_MIN_REPEATS = 6;
+  const SUMMARY_KEEP = 3;
+  const MAX_SNAPSHOT_BASELINES = 10;
+
+  // Last snapshot per mode and scope: key -> { signature, summary }
+  const snapshotBaselines = new Map();
+
+  function getSnapshotScope(mode, options) {
+    const key = `${mode}|${options.region || ''}|${options.viewportOnly ? 'viewport' : 'page'}`;
+    if (!options.region) return { root: document, key };
+    
+    const root = findElement(options.region);
+    return root ? { root, key } : { error: `Region not found: ${options.region}` };
+  }
+
+  function intersectsViewport(rect) {
+    return rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+  }
+
+  function estimateTokens(value) {
+    return Math.ceil(JSON.stringify(value).length / 4);
+  }
+
+  function swapSnapshotBaseline(key, current) {
+    const previous = snapshotBaselines.get(key) || null;
+    snapshotBaselines.delete(key);
+    snapshotBaselines.set(key, new Map(Array.from(current, ([k, { signature, summary }]) => [k, { signature, summary }])));
+    if (snapshotBaselines.size > MAX_SNAPSHOT_BASELINES) {
+      snapshotBaselines.delete(snapshotBaselines.keys().next().value);
+    }
+    return previous;
+  }
+
+  function diffSnapshot(previous, current, report) {
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+    current.forEach(({ item, signature }, key) => {
+      const before = previous.get(key);
+      if (!before) added.push(report(item));
+      else if (before.signature !== signature) changed.push(report(item));
+      else unchanged++;
+    });
+    const removed = Array.from(previous).filter(([key]) => !current.has(key)).map(([, { summary }]) => summary);
+    return { diff: true, added, changed, removed, unchanged };
+  }
+
+  // Keeps the first SUMMARY_KEEP items of every group of at least SUMMARY_MIN_REPEATS sharing a key,
+  // with one summary standing where the rest began
+  function summarizeRepeats(list, keyOf, makeSummary, stats) {
+    const groups = new Map();
+    list.forEach(item => {
+      const key = keyOf(item);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    
+    const summaries = new Map();
+    const hidden = new Set();
+    groups.forEach(group => {
+      if (group.length < SUMMARY_MIN_REPEATS) return;
+      const rest = group.slice(SUMMARY_KEEP);
+      summaries.set(rest[0], makeSummary(rest, group[0]));
+      rest.forEach(item => hidden.add(item));
+      stats.summarized = (stats.summarized || 0) + rest.length;
+    });
+    return list.flatMap(item => summaries.has(item) ? [summaries.get(item)] : hidden.has(item) ? [] : [item]);
+  }
+
+  // How many items fit the budget; a page always shows at least one
+  function countWithinBudget(items, maxTokens, tokensOf) {
+    let used = 0;
+    for (let i = 0; i < items.length; i++) {
+      used += tokensOf(items[i]);
+      if (used > maxTokens && i > 0) return i;
+    }
+    return items.length;
+  }
+
+  function getPageWindow(total, options) {
+    const offset = Math.min(Math.max(0, Number(options.offset) || 0), total);
+    const end = options.limit > 0 ? Math.min(total, offset + Number(options.limit)) : total;
+    return { offset, end };
+  }
+
+  function paginateElements(elements, options, toEntry, root) {
+    const { offset, end } = getPageWindow(elements.length, options);
+    const result = { total: elements.length, offset };
+    let nextOffset = end < elements.length ? end : null;
+    let items = elements.slice(offset, end).map((el, i) => ({ el, index: offset + i }));
+    
+    const entries = new Map();
+    const entryOf = item => {
+      if (!item.el) return item.entry;
+      if (!entries.has(item.el)) entries.set(item.el, toEntry(item.el));
+      return entries.get(item.el);
+    };
+    
+    if (options.maxTokens && estimateTokens(items.map(entryOf)) > options.maxTokens) {
+      const containers = new Map();
+      items = summarizeRepeats(items, item => getRepeatKey(item.el, root, containers), (rest, first) => ({
+        index: rest[0].index,
+        entry: {
+          summary: `${rest.length} more <${first.el.tagName.toLowerCase()}> in repeated items`,
+          count: rest.length,
+          region: getElementRef(getRepeatItem(first.el, root, containers).parentElement)
+        }
+      }), result);
+      
+      const kept = countWithinBudget(items, options.maxTokens, item => estimateTokens(entryOf(item)));
+      if (kept < items.length) {
+        nextOffset = items[kept].index;
+        items = items.slice(0, kept);
+        result.truncated = true;
+      }
+    }
+    
+    if (nextOffset !== null) result.nextOffset = nextOffset;
+    return { ...result, items: items.map(entryOf) };
+  }
+
+  // Pages run over the tree in document order; ancestors of the nodes shown come along as context
+  function paginateTree(items, options) {
+    const { offset, end } = getPageWindow(items.length, options);
+    const result = { total: items.length, offset };
+    let nextOffset = end < items.length ? end : null;
+    const treeIndex = new WeakMap();
+    let nodes = buildSnapshotTree(items.slice(offset, end), treeIndex);
+    
+    if (options.maxTokens && estimateTokens(nodes) > options.maxTokens) {
+      nodes = summarizeTree(nodes, null, treeIndex, result);
+      const flat = flattenSnapshotTree(nodes);
+      const kept = countWithinBudget(flat, options.maxTokens, ({ node: { children, ...node } }) => estimateTokens(node));
+      if (kept < flat.length) {
+        nextOffset = Math.max(treeIndex.get(flat[kept].node), offset + 1);
+        nodes = buildSnapshotTree(flat.slice(0, kept), treeIndex);
+        result.truncated = true;
+      }
+    }
+    
+    if (nextOffset !== null) result.nextOffset = nextOffset;
+    return { ...result, nodes };
+  }
+
+  // Document-order list of the tree, each item with its parent item and position
+  function flattenSnapshotTree(nodes, parent = null, list = []) {
+    nodes.forEach(node => {
+      const item = { node, parent, index: list.length };
+      list.push(item);
+      if (node.children) flattenSnapshotTree(node.children, item, list);
+    });
+    return list;
+  }
+
+  // Rebuilds a tree from some of its flattened items, adding the ancestors they need
+  function buildSnapshotTree(items, treeIndex) {
+    const copies = new Map();
+    const roots = [];
+    const copy = item => {
+      if (copies.has(item)) return copies.get(item);
+      const { children, ...node } = item.node;
+      copies.set(item, node);
+      treeIndex.set(node, treeIndex.get(item.node) ?? item.index);
+      if (!item.parent) roots.push(node);
+      else (copy(item.parent).children ||= []).push(node);
+      return node;
+    };
+    items.forEach(copy);
+    return roots;
+  }
+
+  function summarizeTree(nodes, parentRef, treeIndex, stats) {
+    const list = summarizeRepeats(nodes, node => node.role !== 'text' && node.role !== 'summary' ? node.role : null, (rest, first) => {
+      const summary = { role: 'summary', name: `${rest.length} more ${first.role}`, count: rest.length };
+      if (parentRef) summary.region = parentRef;
+      treeIndex.set(summary, treeIndex.get(rest[0]));
+      return summary;
+    }, stats);
+    list.forEach(node => {
+      if (node.children) node.children = summarizeTree(node.children, node.ref || parentRef, treeIndex, stats);
+    });
+    return list;
+  }
+
+  function getParentRef(item) {
+    for (let parent = item.parent; parent; parent = parent.parent) {
+      if (parent.node.ref) return parent.node.ref;
+    }
+    return null;
+  }
+
+  // Elements in the same position of repeated items (feed entries, rows, cards) share a key
+  function getRepeatKey(element, root, containers) {
+    const item = getRepeatItem(element, root, containers);
+    if (!item) return null;
+    return `${getElementRef(item.parentElement)}|${element.tagName}|${element.getAttribute('role') || ''}|${element.type || ''}`;
+  }
+
+  // The nearest ancestor with at least SUMMARY_MIN_REPEATS siblings of the same tag and class
+  function getRepeatItem(element, root, containers) {
+    for (let node = element, depth = 0; node?.parentElement && node !== root && depth < 10; node = node.parentElement, depth++) {
+      const parent = node.parentElement;
+      if (!containers.has(parent)) {
+        const counts = new Map();
+        Array.from(parent.children).forEach(child => {
+          const shape = getShapeKey(child);
+          counts.set(shape, (counts.get(shape) || 0) + 1);
+        });
+        containers.set(parent, counts);
+      }
+      if (containers.get(parent).get(getShapeKey(node)) >= SUMMARY_MIN_REPEATS) return node;
+    }
+    return null;
+  }
+
+  function getShapeKey(element) {
+    return `${element.tagName}.${typeof element.className === 'string' ? element.className.trim() : ''}`;
+  }
+
+  // Set-of-Marks
+  // Numbered boxes over the interactive elements for an annotated screenshot. The background
+  // captures while they are shown and removes them again; until the next annotated screenshot,
+  // `mark/17` selects what box 17 was drawn on.
+  const MARK_COLORS = ['#ef4444', '#3b82f6', '#22c55e', '#f59e0b', '#a855f7', '#ec4899', '#14b8a6', '#f97316'];
+  let markRefs = new Map();
+  let marksOverlay = null;
+
+  async function showMarks(options = {}) {
+    hideMarks();
+    const selectorIndex = buildSelectorIndex();
+    const elements = deepQuerySelectorAll(document, INTERACTIVE_SELECTOR).filter(el =>
+      isVisible(el) && !isInAgentUI(el) && (options.fullPage || (intersectsViewport(el.getBoundingClientRect()) && !isCovered(el)))
+    );
+    
+    marksOverlay = document.createElement('div');
+    marksOverlay.id = 'debug-hand-marks';
+    markRefs = new Map();
+    // Numbers from the previous screenshot mean nothing now, so they must not heal to lookalikes
+    [...elementMemory.keys()].filter(key => key.startsWith('mark/')).forEach(key => elementMemory.delete(key));
+    const marks = elements.map((el, index) => {
+      const mark = index + 1;
+      const rect = el.getBoundingClientRect();
+      const color = MARK_COLORS[index % MARK_COLORS.length];
+      const box = document.createElement('div');
+      box.className = 'debug-hand-mark';
+      Object.assign(box.style, {
+        left: `${rect.left + window.scrollX}px`,
+        top: `${rect.top + window.scrollY}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+        borderColor: color
       });
+      const label = document.createElement('span');
+      label.className = 'debug-hand-mark-label';
+      label.textContent = mark;
+      label.style.background = color;
+      box.appendChild(label);
+      marksOverlay.appendChild(box);
+      
+      const ref = rememberRef(el);
+      markRefs.set(mark, ref);
+      rememberElement(`mark/${mark}`, el);
+      return {
+        mark,
+        ref,
+        selector: rememberSnapshotSelector(el, selectorIndex),
+        tag: el.tagName.toLowerCase(),
+        role: getAriaRole(el),
+        name: truncate(getAccessibleName(el), 80),
+        rect: { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) }
+      };
     });
+    document.documentElement.appendChild(marksOverlay);
     
-    return snapshot;
+    // Let the boxes paint before the background captures
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    return { success: true, marks };
+  }
+
+  function hideMarks() {
+    marksOverlay?.remove();
+    marksOverlay = null;
+    return { success: true };
+  }
+
+  // Something else (a modal, a sticky header) is on top of the element's centre
+  function isCovered(element) {
+    if (isInShadowTree(element)) return false;
+    const rect = element.getBoundingClientRect();
+    const hit = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+    return !!hit && !element.contains(hit) && !hit.contains(element);
+  }
+
+  // Element Screenshots
+  // The background measures the marked element through DOM.getBoxModel; the rect here stands in
+  // when the debugger can't reach it. Nothing is highlighted, so the capture stays clean.
+  function markCaptureTarget(selector) {
+    const { element, healed } = resolveElement(selector);
+    if (!element) return { error: `Element not found: ${selector}` };
+    
+    const rect = element.getBoundingClientRect();
+    if (!rect.width || !rect.height) return { error: `Element has no size: ${selector}` };
+    
+    const marker = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    element.setAttribute('data-apex-capture', marker);
+    return {
+      success: true,
+      marker,
+      rect: { x: rect.left, y: rect.top, width: rect.width, height: rect.height },
+      healed: healed || undefined
+    };
+  }
+
+  function unmarkCaptureTarget(marker) {
+    deepQuerySelectorAll(document, `[data-apex-capture="${marker}"]`).forEach(el => el.removeAttribute('data-apex-capture'));
+    return { success: true };
+  }
+
+  // Debugger and page-world tools only take plain CSS; the element a ref, mark or >>> selector
+  // resolves to here is tagged so they can find it by attribute
+  function markElement(selector) {
+    const { element, healed } = resolveElement(selector);
+    if (!element) return { error: `Element not found: ${selector}` };
+    
+    const marker = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    element.setAttribute('data-apex-target', marker);
+    return { success: true, marker, healed: healed || undefined };
+  }
+
+  function unmarkElement(marker) {
+    deepQuerySelectorAll(document, `[data-apex-target="${marker}"]`).forEach(el => el.removeAttribute('data-apex-target'));
+    return { success: true };
   }
 
   async function evaluateScript(script) {
@@ -925,7 +2431,7 @@
     } else if (condition.selector) {
       return new Promise(resolve => {
         const check = () => {
-          if (document.querySelector(condition.selector)) {
+          if (findElement(condition.selector)) {
             resolve({ success: true, found: condition.selector });
           } else if (Date.now() - startTime > timeout) {
             resolve({ error: `Timeout waiting for element: ${condition.selector}` });
@@ -970,7 +2476,7 @@
   });
 
   function inspectElement(selector) {
-    const el = document.querySelector(selector);
+    const el = findElement(selector);
     if (!el) return { error: `Element not found: ${selector}` };
     
     const rect = el.getBoundingClientRect();
@@ -1068,7 +2574,7 @@
   }
 
   function getDOMTree(selector, depth = 3) {
-    const root = selector ? document.querySelector(selector) : document.body;
+    const root = selector ? findElement(selector) : document.body;
     if (!root) return { error: `Element not found: ${selector}` };
     
     function buildTree(el, currentDepth) {
@@ -1084,13 +2590,21 @@
         children: []
       };
       
+      // Open shadow roots are listed apart from the light DOM children they render
+      const shadowChildren = el.shadowRoot ? Array.from(el.shadowRoot.children) : [];
+      if (el.shadowRoot) node.shadowRoot = [];
+      
       if (currentDepth < depth) {
+        for (const child of shadowChildren) {
+          const childNode = buildTree(child, currentDepth + 1);
+          if (childNode) node.shadowRoot.push(childNode);
+        }
         for (const child of el.children) {
           const childNode = buildTree(child, currentDepth + 1);
           if (childNode) node.children.push(childNode);
         }
-      } else if (el.children.length > 0) {
-        node.childCount = el.children.length;
+      } else if (el.children.length > 0 || shadowChildren.length > 0) {
+        node.childCount = el.children.length + shadowChildren.length;
       }
       
       return node;
@@ -1100,7 +2614,7 @@
   }
 
   function getComputedStyles(selector, properties = null) {
-    const el = document.querySelector(selector);
+    const el = findElement(selector);
     if (!el) return { error: `Element not found: ${selector}` };
     
     const styles = window.getComputedStyle(el);
@@ -1137,44 +2651,635 @@
       }
     });
     
-    return allStyles;
-  }
-
-  function getElementHTML(selector, outer = true) {
-    const el = document.querySelector(selector);
-    if (!el) return { error: `Element not found: ${selector}` };
+    return allStyles;
+  }
+
+  function getElementHTML(selector, outer = true) {
+    const el = findElement(selector);
+    if (!el) return { error: `Element not found: ${selector}` };
+    
+    return {
+      html: outer ? el.outerHTML : el.innerHTML,
+      length: outer ? el.outerHTML.length : el.innerHTML.length
+    };
+  }
+
+  // Readable Content
+  // A page as Markdown (or plain text) for reading. The main content is picked readability-style:
+  // a single <article> or <main> if the page has one, otherwise the block whose paragraphs score
+  // highest once link-heavy areas are discounted. Navigation, sidebars, ads and form controls are
+  // dropped on the way, and the result splits into sections at headings.
+  const BOILERPLATE_TAGS = new Set([
+    'NAV', 'ASIDE', 'FOOTER', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'DIALOG',
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'CANVAS', 'svg'
+  ]);
+  const BOILERPLATE_ROLES = new Set(['navigation', 'complementary', 'banner', 'contentinfo', 'search', 'dialog', 'menu', 'menubar', 'toolbar']);
+  const UNLIKELY_CONTENT = /comment|share|social|related|promo|advert|sponsor|cookie|consent|newsletter|subscribe|popup|modal/i;
+  // Navigation-sounding blocks only go when they are mostly links
+  const NAVIGATION_HINT = /nav|menu|sidebar|footer|breadcrumb|masthead|\btoc\b/i;
+  const CONTENT_HINT = /article|content|post|entry|main|story|body|text|blog|docs?\b/i;
+  const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FIGURE', 'FIGCAPTION', 'ADDRESS',
+    'DETAILS', 'SUMMARY', 'CENTER', 'TR', 'TD', 'TH', 'CAPTION'
+  ]);
+  const MIN_CONTENT_LENGTH = 200;
+  const DEFAULT_CONTENT_LENGTH = 20000;
+  // Marks where a heading starts in the converted text, so sections can be cut there in either format
+  const HEADING_MARK = /\u0001(\d+)\u0001/;
+
+  function getPageContent(options = {}) {
+    const { format = 'markdown', selector, section, sectionLevel = 2, maxLength = DEFAULT_CONTENT_LENGTH } = options;
+    let root = document.body;
+    if (selector) {
+      root = findElement(selector);
+      if (!root) return { error: `Element not found: ${selector}` };
+    } else if (!options.full) {
+      root = findMainContent();
+    }
+    if (!root) return { error: 'Page has no body' };
+    
+    const sections = convertContent(root, { plain: format === 'text', sectionLevel });
+    const outline = sections.map(({ heading, level, content }, index) => ({ index, heading, level, length: content.length }));
+    let picked = sections;
+    if (section !== undefined && section !== null && section !== '') {
+      const wanted = normalizeText(String(section)).toLowerCase();
+      const match = typeof section === 'number'
+        ? sections[section]
+        : sections.find(s => s.heading?.toLowerCase() === wanted) || sections.find(s => s.heading?.toLowerCase().includes(wanted));
+      if (!match) return { error: `Section not found: ${section}`, sections: outline };
+      picked = [match];
+    }
+    
+    let content = picked.map(s => s.content).join('\n\n');
+    const result = {
+      url: window.location.href,
+      title: document.title,
+      format,
+      root: root === document.body ? 'body' : getUniqueSelector(root),
+      length: content.length
+    };
+    if (picked.length === 1 && sections.length > 1) result.section = outline[sections.indexOf(picked[0])];
+    if (content.length > maxLength) {
+      // End at a paragraph break when one is reasonably close
+      const cut = content.lastIndexOf('\n\n', maxLength);
+      content = content.slice(0, cut > maxLength / 2 ? cut : maxLength).trimEnd();
+      result.truncated = true;
+      if (sections.length > 1) result.sections = outline;
+    }
+    result.content = content;
+    return result;
+  }
+
+  function findMainContent() {
+    if (!document.body) return null;
+    const landmarks = deepQuerySelectorAll(document, 'main, [role="main"], article').filter(el => isVisible(el) && !isInAgentUI(el));
+    const articles = landmarks.filter(el => el.tagName === 'ARTICLE');
+    // One article is the content; several (a feed) are better read through the main landmark
+    if (articles.length === 1 && getTextLength(articles[0]) >= MIN_CONTENT_LENGTH) return articles[0];
+    const main = landmarks.find(el => el.tagName !== 'ARTICLE');
+    if (main && getTextLength(main) >= MIN_CONTENT_LENGTH) return main;
+    return scoreContentBlocks() || document.body;
+  }
+
+  // Each paragraph scores its parent (and half that for the grandparent) by length and commas
+  function scoreContentBlocks() {
+    const scores = new Map();
+    const add = (element, points) => {
+      if (element && element !== document.documentElement) scores.set(element, (scores.get(element) || 0) + points);
+    };
+    deepQuerySelectorAll(document.body, 'p, pre, td, blockquote').forEach(paragraph => {
+      const text = normalizeText(paragraph.textContent);
+      if (text.length < 25 || isInAgentUI(paragraph)) return;
+      const points = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+      add(paragraph.parentElement, points);
+      add(paragraph.parentElement?.parentElement, points / 2);
+    });
+    
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      const hint = getClassAndId(element);
+      if (CONTENT_HINT.test(hint)) score += 25;
+      if (UNLIKELY_CONTENT.test(hint) || NAVIGATION_HINT.test(hint)) score -= 25;
+      score *= 1 - getLinkDensity(element);
+      if (score > bestScore) {
+        best = element;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  function getTextLength(element) {
+    return normalizeText(element.textContent).length;
+  }
+
+  function getLinkDensity(element) {
+    const length = getTextLength(element);
+    if (!length) return 0;
+    const linked = Array.from(element.querySelectorAll('a')).reduce((sum, a) => sum + getTextLength(a), 0);
+    return Math.min(linked / length, 1);
+  }
+
+  function getClassAndId(element) {
+    return `${typeof element.className === 'string' ? element.className : ''} ${element.id}`;
+  }
+
+  function isBoilerplate(element) {
+    if (BOILERPLATE_TAGS.has(element.tagName) || isInAgentUI(element)) return true;
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+    if (BOILERPLATE_ROLES.has(element.getAttribute('role'))) return true;
+    // A page header is a banner; an article's own header holds its title
+    if (element.tagName === 'HEADER' && !element.parentElement?.closest('article, main, section, [role="main"]')) return true;
+    
+    const hint = getClassAndId(element);
+    if (hint.trim() && !CONTENT_HINT.test(hint)) {
+      if (UNLIKELY_CONTENT.test(hint)) return true;
+      if (NAVIGATION_HINT.test(hint) && getLinkDensity(element) > 0.5) return true;
+    }
+    return getComputedStyle(element).display === 'none';
+  }
+
+  // Converts root and splits the result into sections at headings up to sectionLevel
+  function convertContent(root, { plain, sectionLevel }) {
+    const ctx = { plain, listDepth: 0, headings: [] };
+    const parts = convertChildren(root, ctx).split(HEADING_MARK);
+    const sections = [{ heading: null, level: 0, content: parts[0] }];
+    for (let i = 1; i < parts.length; i += 2) {
+      const heading = ctx.headings[Number(parts[i])];
+      if (heading.level <= sectionLevel) sections.push({ heading: heading.text, level: heading.level, content: parts[i + 1] });
+      else sections[sections.length - 1].content += parts[i + 1];
+    }
+    return sections
+      .map(s => ({ ...s, content: tidyContent(s.content) }))
+      .filter(s => s.content);
+  }
+
+  function convertChildren(element, ctx) {
+    return getRenderedChildNodes(element).map(child => convertNode(child, ctx)).join('');
+  }
+
+  function convertNode(node, ctx) {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+    if (node.nodeType !== Node.ELEMENT_NODE || isBoilerplate(node)) return '';
+    
+    const { plain } = ctx;
+    const tag = node.tagName;
+    switch (tag) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+        const text = normalizeText(convertChildren(node, ctx));
+        if (!text) return '';
+        const level = Number(tag[1]);
+        ctx.headings.push({ level, text: normalizeText(node.textContent) });
+        return `\n\n\u0001${ctx.headings.length - 1}\u0001${plain ? '' : `${'#'.repeat(level)} `}${text}\n\n`;
+      }
+      case 'BR':
+        return '\n';
+      case 'HR':
+        return plain ? '\n\n' : '\n\n---\n\n';
+      case 'A': {
+        const text = convertChildren(node, ctx);
+        const href = node.href;
+        if (plain || !text.trim() || !href || href.startsWith('javascript:')) return text;
+        return wrapInline(text, '[', `](${href})`);
+      }
+      case 'STRONG': case 'B':
+        return plain ? convertChildren(node, ctx) : wrapInline(convertChildren(node, ctx), '**', '**');
+      case 'EM': case 'I':
+        return plain ? convertChildren(node, ctx) : wrapInline(convertChildren(node, ctx), '_', '_');
+      case 'DEL': case 'S':
+        return plain ? convertChildren(node, ctx) : wrapInline(convertChildren(node, ctx), '~~', '~~');
+      case 'CODE': {
+        const code = node.textContent;
+        if (plain || !code.trim()) return code;
+        return code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``;
+      }
+      case 'PRE': {
+        const code = node.textContent.replace(/\n+$/, '');
+        if (plain) return `\n\n${code}\n\n`;
+        const language = `${node.className} ${node.querySelector('code')?.className || ''}`.match(/(?:language|lang)-([\w+#-]+)/)?.[1] || '';
+        return `\n\n\`\`\`${language}\n${code}\n\`\`\`\n\n`;
+      }
+      case 'BLOCKQUOTE': {
+        const quote = tidyContent(convertChildren(node, ctx));
+        return plain ? `\n\n${quote}\n\n` : `\n\n${quote.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n`;
+      }
+      case 'UL': case 'OL':
+        return convertList(node, ctx);
+      case 'TABLE':
+        return convertTable(node, ctx);
+      case 'IMG': {
+        const alt = normalizeText(node.alt || '');
+        if (!alt) return '';
+        return plain ? alt : `![${alt}](${node.src})`;
+      }
+      case 'DT':
+        return plain ? `\n${convertChildren(node, ctx).trim()}\n` : `\n${wrapInline(convertChildren(node, ctx).trim(), '**', '**')}\n`;
+      case 'DD':
+        return `${plain ? '  ' : ': '}${convertChildren(node, ctx).trim()}\n`;
+      default:
+        return BLOCK_TAGS.has(tag) ? `\n\n${convertChildren(node, ctx).trim()}\n\n` : convertChildren(node, ctx);
+    }
+  }
+
+  // Keeps the whitespace around inline text outside its markers: "a **b** c", not "a** b **c"
+  function wrapInline(text, open, close) {
+    const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${before}${open}${inner}${close}${after}` : text;
+  }
+
+  function convertList(list, ctx) {
+    const ordered = list.tagName === 'OL';
+    let number = Number(list.getAttribute('start')) || 1;
+    const indent = '  '.repeat(ctx.listDepth);
+    const items = Array.from(list.children)
+      .filter(item => item.tagName === 'LI' && !isBoilerplate(item))
+      .map(item => {
+        const marker = ordered ? `${number++}.` : '-';
+        const body = convertChildren(item, { ...ctx, listDepth: ctx.listDepth + 1 }).replace(/\n{2,}/g, '\n').trim();
+        return body ? `${indent}${marker} ${body}` : '';
+      })
+      .filter(Boolean);
+    if (!items.length) return '';
+    return ctx.listDepth ? `\n${items.join('\n')}\n` : `\n\n${items.join('\n')}\n\n`;
+  }
+
+  // Data tables become GFM tables with the first row as header; layout tables are read as blocks
+  function convertTable(table, ctx) {
+    const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cell =>
+      normalizeText(convertChildren(cell, { ...ctx, listDepth: 0 }).replace(new RegExp(HEADING_MARK, 'g'), '')).replace(/\|/g, '\\|')
+    ));
+    const width = Math.max(0, ...rows.map(row => row.length));
+    if (table.getAttribute('role') === 'presentation' || width < 2) return `\n\n${convertChildren(table, ctx).trim()}\n\n`;
+    if (ctx.plain) return `\n\n${rows.map(row => row.join('\t')).join('\n')}\n\n`;
+    
+    const [header, ...body] = rows.map(row => [...row, ...Array(width - row.length).fill('')]);
+    const lines = [`| ${header.join(' | ')} |`, `|${' --- |'.repeat(width)}`, ...body.map(row => `| ${row.join(' | ')} |`)];
+    return `\n\n${lines.join('\n')}\n\n`;
+  }
+
+  // Trims lines and blank runs, leaving list indentation and code blocks as they are
+  function tidyContent(text) {
+    let fenced = false;
+    return text.split('\n').map(line => {
+      if (line.startsWith('```')) {
+        fenced = !fenced;
+        return line;
+      }
+      if (fenced) return line;
+      return /^\s*(?:-|\d+\.) /.test(line) ? line.trimEnd() : line.trim();
+    }).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  function queryAll(selector, limit = 20) {
+    const elements = findAllElements(selector);
+    const results = [];
+    
+    for (let i = 0; i < Math.min(elements.length, limit); i++) {
+      const el = elements[i];
+      const rect = el.getBoundingClientRect();
+      
+      results.push({
+        index: i,
+        selector: getUniqueSelector(el),
+        tag: el.tagName.toLowerCase(),
+        id: el.id || null,
+        class: el.className || null,
+        text: truncate(el.textContent?.trim(), 50),
+        visible: isVisible(el),
+        rect: { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) }
+      });
+    }
+    
+    return {
+      total: elements.length,
+      showing: results.length,
+      elements: results
+    };
+  }
+
+  // Structured Data
+  // Tables, repeated items and page metadata as JSON, for tasks that want the data rather than the markup
+  const GRID_SELECTOR = '[role="grid"], [role="table"], [role="treegrid"]';
+  const GRID_CELL_SELECTOR = '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]';
+  const DEFAULT_EXTRACT_LIMIT = 500;
+
+  // Rows as objects keyed by header; spanned cells repeat their value in every row and column they cover
+  function extractTable(selector, options = {}) {
+    const { limit = DEFAULT_EXTRACT_LIMIT, links = false } = options;
+    let table = selector ? findElement(selector) : findDataTable();
+    if (!table) return { error: selector ? `Element not found: ${selector}` : 'No table found on the page' };
+    if (table.tagName !== 'TABLE' && !table.matches(GRID_SELECTOR)) {
+      table = table.querySelector(`table, ${GRID_SELECTOR}`) || table.closest(`table, ${GRID_SELECTOR}`);
+      if (!table) return { error: `No table or grid at ${selector}` };
+    }
+    
+    const aria = table.tagName !== 'TABLE';
+    const rows = aria ? getGridRows(table) : getTableRows(table);
+    const matrix = layoutTableCells(rows, links);
+    const width = Math.max(0, ...matrix.map(row => row.length));
+    
+    // Header rows: a <thead>, or leading rows made only of header cells
+    let headerCount = 0;
+    while (headerCount < rows.length && (rows[headerCount].head || rows[headerCount].cells.every(cell => cell.header))) headerCount++;
+    if (headerCount === rows.length) headerCount = Math.min(1, rows.length);
+    
+    const seen = new Map();
+    const headers = Array.from({ length: width }, (_, col) => {
+      const parts = [];
+      matrix.slice(0, headerCount).forEach(row => {
+        const text = cellText(row[col]?.value);
+        if (text && !parts.includes(text)) parts.push(text);
+      });
+      const base = parts.join(' / ') || `Column ${col + 1}`;
+      seen.set(base, (seen.get(base) || 0) + 1);
+      return seen.get(base) > 1 ? `${base} (${seen.get(base)})` : base;
+    });
+    
+    const records = matrix.slice(headerCount)
+      .filter(row => row.some(slot => cellText(slot?.value)))
+      .map(row => Object.fromEntries(headers.map((header, col) => [header, row[col]?.value ?? null])));
+    
+    const result = {
+      source: aria ? 'aria' : 'table',
+      selector: getUniqueSelector(table),
+      headers,
+      total: records.length,
+      rows: records.slice(0, limit)
+    };
+    if (records.length > limit) result.truncated = true;
+    return result;
+  }
+
+  function findDataTable() {
+    const tables = deepQuerySelectorAll(document, 'table').filter(table =>
+      isVisible(table) && table.getAttribute('role') !== 'presentation' &&
+      table.rows.length > 1 && Array.from(table.rows).some(row => row.cells.length > 1)
+    );
+    return tables[0] || deepQuerySelectorAll(document, GRID_SELECTOR).find(isVisible) || null;
+  }
+
+  function getTableRows(table) {
+    return Array.from(table.rows).map(row => ({
+      head: row.parentElement.tagName === 'THEAD',
+      cells: Array.from(row.cells).map(cell => ({
+        element: cell,
+        header: cell.tagName === 'TH',
+        colspan: Math.max(1, cell.colSpan),
+        rowspan: Math.max(1, cell.rowSpan)
+      }))
+    }));
+  }
+
+  // Rows of an ARIA grid built from divs; nested grids keep their own rows
+  function getGridRows(grid) {
+    return Array.from(grid.querySelectorAll('[role="row"]'))
+      .filter(row => row.closest(GRID_SELECTOR) === grid)
+      .map(row => ({
+        head: false,
+        cells: Array.from(row.querySelectorAll(GRID_CELL_SELECTOR))
+          .filter(cell => cell.closest('[role="row"]') === row)
+          .map(cell => ({
+            element: cell,
+            header: cell.getAttribute('role') === 'columnheader',
+            colspan: Math.max(1, Number(cell.getAttribute('aria-colspan')) || 1),
+            rowspan: Math.max(1, Number(cell.getAttribute('aria-rowspan')) || 1),
+            colindex: Number(cell.getAttribute('aria-colindex')) || null
+          }))
+      }));
+  }
+
+  function layoutTableCells(rows, links) {
+    const matrix = rows.map(() => []);
+    rows.forEach((row, r) => {
+      let col = 0;
+      row.cells.forEach(cell => {
+        if (cell.colindex) col = Math.max(col, cell.colindex - 1);
+        while (matrix[r][col]) col++;
+        const slot = { value: readCellValue(cell.element, links) };
+        for (let dr = 0; dr < cell.rowspan && r + dr < rows.length; dr++) {
+          for (let dc = 0; dc < cell.colspan; dc++) matrix[r + dr][col + dc] = slot;
+        }
+        col += cell.colspan;
+      });
+    });
+    return matrix;
+  }
+
+  function readCellValue(cell, links) {
+    const text = normalizeText(cell.innerText ?? cell.textContent);
+    const link = links && cell.querySelector('a[href]');
+    return link ? { text, href: link.href } : text;
+  }
+
+  function cellText(value) {
+    return typeof value === 'object' && value ? value.text : value || '';
+  }
+
+  // Repeated items (cards, rows, list entries) as objects. Fields are mapped from a sample: give the
+  // text (or attribute value) a field shows in the sample item, and the element holding it there is
+  // found in every item. An explicit { selector, attribute } works too.
+  function extractList(options = {}) {
+    const { fields, limit = DEFAULT_EXTRACT_LIMIT } = options;
+    const found = findListItems(options.item, options.container);
+    if (found.error) return found;
+    const { sample, items } = found;
+    
+    const mapping = {};
+    if (fields && Object.keys(fields).length) {
+      for (const [name, spec] of Object.entries(fields)) {
+        const field = typeof spec === 'object' && spec
+          ? { selector: spec.selector || null, attribute: spec.attribute || null }
+          : locateSampleValue(sample, String(spec));
+        if (!field) return { error: `"${spec}" (${name}) not found in the sample item` };
+        mapping[name] = field;
+      }
+    } else {
+      // Without a mapping each item gives its text, first link and first image
+      mapping.text = { selector: null, attribute: null };
+      if (sample.matches('a[href]') || sample.querySelector('a[href]')) mapping.url = { selector: sample.matches('a[href]') ? null : 'a[href]', attribute: 'href' };
+      if (sample.querySelector('img')) mapping.image = { selector: 'img', attribute: 'src' };
+    }
+    
+    const records = items.map(item => Object.fromEntries(
+      Object.entries(mapping).map(([name, field]) => [name, readListField(item, field)])
+    ));
+    const result = {
+      itemSelector: getUniqueSelector(sample),
+      fields: mapping,
+      total: records.length,
+      items: records.slice(0, limit)
+    };
+    if (records.length > limit) result.truncated = true;
+    return result;
+  }
+
+  // The sample item and its like-shaped siblings. A selector inside an item climbs to the repeated unit.
+  function findListItems(itemSelector, containerSelector) {
+    if (itemSelector) {
+      const element = findElement(itemSelector);
+      if (!element) return { error: `Element not found: ${itemSelector}` };
+      for (let node = element; node?.parentElement; node = node.parentElement) {
+        const siblings = Array.from(node.parentElement.children).filter(el => getShapeKey(el) === getShapeKey(node));
+        if (siblings.length > 1) return { sample: node, items: siblings };
+      }
+      return { sample: element, items: [element] };
+    }
+    if (containerSelector) {
+      const container = findElement(containerSelector);
+      if (!container) return { error: `Element not found: ${containerSelector}` };
+      const groups = new Map();
+      Array.from(container.children).forEach(child => {
+        if (SKIPPED_TAGS.has(child.tagName)) return;
+        const shape = getShapeKey(child);
+        if (!groups.has(shape)) groups.set(shape, []);
+        groups.get(shape).push(child);
+      });
+      const items = Array.from(groups.values()).sort((a, b) => b.length - a.length)[0];
+      if (!items) return { error: `No items in ${containerSelector}` };
+      return { sample: items[0], items };
+    }
+    return { error: 'Give an item (one sample item) or a container selector' };
+  }
+
+  const SAMPLE_ATTRIBUTES = ['href', 'src', 'alt', 'title', 'datetime', 'content', 'value', 'aria-label'];
+
+  // Where the sample shows value: the innermost element with exactly that text, then an attribute
+  // holding it, then the innermost element whose text contains it
+  function locateSampleValue(sample, value) {
+    const wanted = normalizeText(value);
+    const elements = [sample, ...sample.querySelectorAll('*')];
+    
+    const exact = elements.find(el => normalizeText(el.textContent) === wanted && isInnermostText(el, wanted));
+    if (exact) return { selector: getRelativeSelector(sample, exact), attribute: null };
+    
+    for (const el of elements) {
+      const attribute = SAMPLE_ATTRIBUTES.find(name => {
+        if (!el.hasAttribute(name)) return false;
+        return el.getAttribute(name) === value || ((name === 'href' || name === 'src') && el[name] === value);
+      });
+      if (attribute) return { selector: getRelativeSelector(sample, el), attribute };
+    }
+    
+    const containing = elements.filter(el => normalizeText(el.textContent).includes(wanted)).pop();
+    return containing ? { selector: getRelativeSelector(sample, containing), attribute: null } : null;
+  }
+
+  // Path from an item down to one of its elements by tag and class, so it applies to sibling items too
+  function getRelativeSelector(item, element) {
+    if (element === item) return null;
+    const path = [];
+    for (let node = element; node && node !== item; node = node.parentElement) {
+      let segment = node.tagName.toLowerCase();
+      const classes = typeof node.className === 'string'
+        ? node.className.trim().split(/\s+/).filter(c => c && !c.startsWith('debug-hand-')).slice(0, 2)
+        : [];
+      if (classes.length) segment += `.${classes.map(c => CSS.escape(c)).join('.')}`;
+      const siblings = Array.from(node.parentElement.children);
+      if (siblings.filter(el => el.matches(segment)).length > 1) {
+        segment += `:nth-of-type(${siblings.filter(el => el.tagName === node.tagName).indexOf(node) + 1})`;
+      }
+      path.unshift(segment);
+    }
+    return `:scope > ${path.join(' > ')}`;
+  }
+
+  function readListField(item, { selector, attribute }) {
+    let element = item;
+    if (selector) {
+      // Items missing a wrapper the sample had still match on the last step
+      const loose = selector.split(' > ').pop().replace(/:nth-of-type\(\d+\)$/, '');
+      element = item.querySelector(selector) || item.querySelector(loose);
+    }
+    if (!element) return null;
+    if (!attribute) return normalizeText(element.innerText ?? element.textContent) || null;
+    if ((attribute === 'href' || attribute === 'src') && element[attribute]) return element[attribute];
+    return element.getAttribute(attribute);
+  }
+
+  function extractMetadata() {
+    const jsonLd = [];
+    const jsonLdErrors = [];
+    document.querySelectorAll('script[type="application/ld+json"]').forEach((script, index) => {
+      try {
+        const data = JSON.parse(script.textContent);
+        jsonLd.push(...(Array.isArray(data) ? data : [data]));
+      } catch (e) {
+        jsonLdErrors.push({ index, error: e.message });
+      }
+    });
+    
+    const openGraph = {};
+    const twitter = {};
+    const meta = {};
+    document.querySelectorAll('meta[content]').forEach(tag => {
+      const key = tag.getAttribute('property') || tag.getAttribute('name');
+      if (!key || tag.closest('[itemscope]')) return;
+      const value = tag.getAttribute('content');
+      if (key.startsWith('og:')) addMetadataValue(openGraph, key.slice(3), value);
+      else if (/^(article|product|book|profile|music|video):/.test(key)) addMetadataValue(openGraph, key, value);
+      else if (key.startsWith('twitter:')) addMetadataValue(twitter, key.slice(8), value);
+      else addMetadataValue(meta, key, value);
+    });
     
-    return {
-      html: outer ? el.outerHTML : el.innerHTML,
-      length: outer ? el.outerHTML.length : el.innerHTML.length
+    const result = {
+      url: window.location.href,
+      title: document.title,
+      lang: document.documentElement.lang || null,
+      canonical: document.querySelector('link[rel="canonical"]')?.href || null,
+      alternates: Array.from(document.querySelectorAll('link[rel~="alternate"][href]')).map(link => ({
+        href: link.href,
+        hreflang: link.hreflang || null,
+        type: link.type || null,
+        title: link.title || null
+      })),
+      meta,
+      openGraph,
+      twitter,
+      jsonLd,
+      microdata: Array.from(document.querySelectorAll('[itemscope]:not([itemprop])')).map(readMicrodataItem)
     };
+    if (jsonLdErrors.length) result.jsonLdErrors = jsonLdErrors;
+    return result;
   }
 
-  function queryAll(selector, limit = 20) {
-    const elements = document.querySelectorAll(selector);
-    const results = [];
-    
-    for (let i = 0; i < Math.min(elements.length, limit); i++) {
-      const el = elements[i];
-      const rect = el.getBoundingClientRect();
-      
-      results.push({
-        index: i,
-        selector: getUniqueSelector(el),
-        tag: el.tagName.toLowerCase(),
-        id: el.id || null,
-        class: el.className || null,
-        text: truncate(el.textContent?.trim(), 50),
-        visible: isVisible(el),
-        rect: { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) }
-      });
+  // Repeated keys (several og:image tags, itemprops) collect into an array
+  function addMetadataValue(target, key, value) {
+    if (!(key in target)) target[key] = value;
+    else if (Array.isArray(target[key])) target[key].push(value);
+    else target[key] = [target[key], value];
+  }
+
+  function readMicrodataItem(scope) {
+    const item = {};
+    if (scope.getAttribute('itemtype')) item['@type'] = scope.getAttribute('itemtype').trim();
+    if (scope.getAttribute('itemid')) item['@id'] = scope.getAttribute('itemid');
+    // Properties belong to the nearest item around them, so nested items keep their own
+    scope.querySelectorAll('[itemprop]').forEach(prop => {
+      if (prop.parentElement.closest('[itemscope]') !== scope) return;
+      const value = prop.hasAttribute('itemscope') ? readMicrodataItem(prop) : readMicrodataValue(prop);
+      prop.getAttribute('itemprop').trim().split(/\s+/).forEach(name => addMetadataValue(item, name, value));
+    });
+    return item;
+  }
+
+  function readMicrodataValue(element) {
+    switch (element.tagName) {
+      case 'META':
+        return element.getAttribute('content');
+      case 'A': case 'AREA': case 'LINK':
+        return element.href;
+      case 'IMG': case 'AUDIO': case 'VIDEO': case 'SOURCE': case 'IFRAME': case 'EMBED': case 'TRACK':
+        return element.src;
+      case 'OBJECT':
+        return element.data;
+      case 'DATA': case 'METER':
+        return element.getAttribute('value');
+      case 'TIME':
+        return element.getAttribute('datetime') || normalizeText(element.textContent);
+      default:
+        return normalizeText(element.textContent);
     }
-    
-    return {
-      total: elements.length,
-      showing: results.length,
-      elements: results
-    };
   }
 
   function getConsoleLogs() {
@@ -1283,16 +3388,21 @@
     };
   }
 
+  // Elements (shadow trees included) with a direct text node containing or equal to text
+  function findElementsWithText(text, { tag = null, exact = false } = {}) {
+    return getPageElements().filter(el => {
+      if (tag && el.tagName.toLowerCase() !== tag.toLowerCase()) return false;
+      return Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE &&
+        (exact ? node.textContent.trim() === text : node.textContent.includes(text)));
+    });
+  }
+
   function findByText(text, tag = null) {
-    const xpath = tag 
-      ? `//${tag}[contains(text(), "${text}")]`
-      : `//*[contains(text(), "${text}")]`;
-    
-    const result = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    const matches = findElementsWithText(text, { tag });
     const elements = [];
     
-    for (let i = 0; i < Math.min(result.snapshotLength, 10); i++) {
-      const el = result.snapshotItem(i);
+    for (let i = 0; i < Math.min(matches.length, 10); i++) {
+      const el = matches[i];
       elements.push({
         selector: getUniqueSelector(el),
         tag: el.tagName.toLowerCase(),
@@ -1302,49 +3412,33 @@
     }
     
     return {
-      found: result.snapshotLength,
+      found: matches.length,
       elements: elements
     };
   }
 
   // Click element by text content
   async function clickByText(text, options = {}) {
-    const { tag = null, exact = false, index = 0 } = options;
-    
-    let xpath;
-    if (exact) {
-      xpath = tag 
-        ? `//${tag}[text()="${text}"]`
-        : `//*[text()="${text}"]`;
-    } else {
-      xpath = tag 
-        ? `//${tag}[contains(text(), "${text}")]`
-        : `//*[contains(text(), "${text}")]`;
-    }
+    const { tag = null, exact = false, index = 0, trusted = false } = options;
     
-    const result = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    const matches = findElementsWithText(text, { tag, exact });
     
-    if (result.snapshotLength === 0) {
+    if (matches.length === 0) {
       return { error: `No element found with text: "${text}"` };
     }
     
     // Filter to visible elements
-    const visibleElements = [];
-    for (let i = 0; i < result.snapshotLength; i++) {
-      const el = result.snapshotItem(i);
-      if (isVisible(el)) {
-        visibleElements.push(el);
-      }
-    }
+    const visibleElements = matches.filter(el => isVisible(el));
     
     if (visibleElements.length === 0) {
-      return { error: `Found ${result.snapshotLength} elements with text "${text}" but none are visible` };
+      return { error: `Found ${matches.length} elements with text "${text}" but none are visible` };
     }
     
     const targetIndex = Math.min(index, visibleElements.length - 1);
     const element = visibleElements[targetIndex];
     
     // Use existing click logic
+    if (trusted) scrollIntoViewIfNeeded(element);
     const rect = element.getBoundingClientRect();
     const x = rect.left + rect.width / 2;
     const y = rect.top + rect.height / 2;
@@ -1352,19 +3446,24 @@
     await moveMouse(x, y);
     highlightElement(element);
     
-    const eventOptions = {
-      bubbles: true,
-      cancelable: true,
-      view: window,
-      clientX: x,
-      clientY: y
-    };
-    
-    element.dispatchEvent(new MouseEvent('mousedown', eventOptions));
-    element.dispatchEvent(new MouseEvent('mouseup', eventOptions));
-    element.dispatchEvent(new MouseEvent('click', eventOptions));
-    
-    if (element.focus) element.focus();
+    if (trusted) {
+      const result = await dispatchTrustedInput(trustedClickCommands(x, y));
+      if (result?.error) return result;
+    } else {
+      const eventOptions = {
+        bubbles: true,
+        cancelable: true,
+        view: window,
+        clientX: x,
+        clientY: y
+      };
+      
+      element.dispatchEvent(new MouseEvent('mousedown', eventOptions));
+      element.dispatchEvent(new MouseEvent('mouseup', eventOptions));
+      element.dispatchEvent(new MouseEvent('click', eventOptions));
+      
+      if (element.focus) element.focus();
+    }
     
     showActionTooltip('Click', `"${text}"`);
     
@@ -1374,7 +3473,94 @@
       element: getElementDescription(element),
       selector: getUniqueSelector(element),
       matchCount: visibleElements.length,
-      clickedIndex: targetIndex
+      clickedIndex: targetIndex,
+      trusted: trusted || undefined
+    };
+  }
+
+  // Frame id of an <iframe>/<frame> element in this document, for targeting it from the background
+  function getFrameId(selector) {
+    const element = findElement(selector);
+    if (!element) return { error: `Frame element not found: ${selector}` };
+    if (element.tagName !== 'IFRAME' && element.tagName !== 'FRAME') {
+      return { error: `Not a frame element: ${selector}` };
+    }
+    
+    const frameId = chrome.runtime.getFrameId(element);
+    if (frameId < 0) return { error: `Frame not loaded yet: ${selector}` };
+    return { success: true, frameId, src: element.src };
+  }
+
+  // File Upload
+  // The background sets files through DOM.setFileInputFiles on the input marked here, or hands the
+  // contents over for a DataTransfer when the debugger can't reach it
+  function getFileInput(selector) {
+    const { element, healed } = resolveElement(selector);
+    if (!element) return { error: `Element not found: ${selector}` };
+    
+    // Labels and custom drop zones usually wrap or point at the real input
+    const input = element.matches('input[type="file"]')
+      ? element
+      : element.control?.type === 'file' ? element.control : element.querySelector('input[type="file"]');
+    if (!input) return { error: `Not a file input: ${selector}` };
+    return { input, healed };
+  }
+
+  function markFileInput(selector, count = 1) {
+    const { input, healed, error } = getFileInput(selector);
+    if (error) return { error };
+    if (count > 1 && !input.multiple) return { error: `File input accepts a single file: ${selector}` };
+    
+    const marker = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    input.setAttribute('data-apex-upload', marker);
+    highlightElement(input.offsetParent ? input : input.parentElement);
+    showActionTooltip('Upload', `${count} file${count === 1 ? '' : 's'}`);
+    return { success: true, marker, healed: healed || undefined };
+  }
+
+  function unmarkFileInput(marker) {
+    const input = deepQuerySelectorAll(document, `input[data-apex-upload="${marker}"]`)[0];
+    if (!input) return { error: 'File input is gone' };
+    
+    input.removeAttribute('data-apex-upload');
+    return { success: true, files: describeFiles(input.files) };
+  }
+
+  function setInputFiles(selector, files = []) {
+    const { input, healed, error } = getFileInput(selector);
+    if (error) return { error };
+    if (files.length > 1 && !input.multiple) return { error: `File input accepts a single file: ${selector}` };
+    
+    const dataTransfer = new DataTransfer();
+    files.forEach(file => {
+      const bytes = Uint8Array.from(atob(file.content), c => c.charCodeAt(0));
+      dataTransfer.items.add(new File([bytes], file.name || 'file', { type: file.mimeType || '' }));
+    });
+    input.files = dataTransfer.files;
+    
+    highlightElement(input.offsetParent ? input : input.parentElement);
+    showActionTooltip('Upload', `${files.length} file${files.length === 1 ? '' : 's'}`);
+    input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    
+    return { success: true, method: 'datatransfer', files: describeFiles(input.files), healed: healed || undefined };
+  }
+
+  function describeFiles(files) {
+    return Array.from(files || []).map(file => ({ name: file.name, size: file.size, type: file.type }));
+  }
+
+  // Where a child frame's viewport starts inside this one, so its coordinates can be mapped to the tab
+  function getFrameOffset(frameId) {
+    const frame = deepQuerySelectorAll(document, 'iframe, frame').find(el => chrome.runtime.getFrameId(el) === frameId);
+    if (!frame) return { error: `Frame ${frameId} not found in ${window.location.href}` };
+    
+    const rect = frame.getBoundingClientRect();
+    const style = getComputedStyle(frame);
+    return {
+      success: true,
+      x: rect.left + frame.clientLeft + parseFloat(style.paddingLeft),
+      y: rect.top + frame.clientTop + parseFloat(style.paddingTop)
     };
   }
 
@@ -1382,10 +3568,22 @@
   async function waitForElement(selector, options = {}) {
     const { timeout = 10000, visible = true } = options;
     const startTime = Date.now();
+    let lastHealAt = 0;
     
     return new Promise(resolve => {
       const check = () => {
-        const element = document.querySelector(selector);
+        // Give the page a moment to render before falling back to healing, then heal at most twice a second
+        const heal = Date.now() - startTime >= HEAL_AFTER && Date.now() - lastHealAt >= 500;
+        if (heal) lastHealAt = Date.now();
+        
+        let found;
+        try {
+          found = resolveElement(selector, { ...options, heal });
+        } catch (e) {
+          resolve({ error: e.message, selector });
+          return;
+        }
+        const { element, healed } = found;
         
         if (element) {
           if (!visible || isVisible(element)) {
@@ -1393,7 +3591,8 @@
               success: true,
               selector: selector,
               element: getElementDescription(element),
-              elapsed: Date.now() - startTime
+              elapsed: Date.now() - startTime,
+              healed: healed || undefined
             });
             return;
           }
@@ -1434,7 +3633,7 @@
   // Execute function on element (CSP-safe)
   function executeOnElement(selector, fnCode) {
     try {
-      const element = document.querySelector(selector);
+      const element = findElement(selector);
       if (!element) {
         return { error: `Element not found: ${selector}` };
       }
@@ -1455,7 +3654,7 @@
   }
 
   function getAttributes(selector) {
-    const el = document.querySelector(selector);
+    const el = findElement(selector);
     if (!el) return { error: `Element not found: ${selector}` };
     
     const attributes = {};
@@ -1483,7 +3682,7 @@
   }
 
   function getEventListeners(selector) {
-    const el = document.querySelector(selector);
+    const el = findElement(selector);
     if (!el) return { error: `Element not found: ${selector}` };
     
     // Check for common event handler attributes
@@ -1513,6 +3712,528 @@
     );
   }
 
+  // Selector Engine
+  // Selectors may carry a prefix for lookups CSS can't express (DevTools Recorder syntax):
+  //   aria/Save[role="button"]  accessible name, optionally narrowed to a role
+  //   text/Sign in              innermost element whose text is exactly the value
+  //   label/Email               form control with that label
+  //   xpath///form/div[2]/input XPath expression
+  //   pierce/button.save        CSS matched inside every open shadow root as well
+  //   ref/e12                   element behind a snapshot ref
+  //   mark/17                   element behind a mark on the last annotated screenshot
+  // Anything without a prefix is plain CSS. `host >>> inner` enters the shadow root of each host
+  // match and resolves the next part there; every part may use any of the forms above.
+  const SELECTOR_PREFIX = /^(aria|text|label|xpath|pierce|ref|mark)\/([\s\S]*)$/;
+  const SHADOW_COMBINATOR = /\s*>>>\s*/;
+
+  // Engines whose matches buildSelectorIndex() counts up front
+  const INDEXED_ENGINES = ['aria', 'text', 'label'];
+
+  // How well each kind of selector survives markup changes
+  const SELECTOR_STABILITY = {
+    testid: 100,
+    id: 90,
+    aria: 80,
+    label: 75,
+    text: 60,
+    css: 40,
+    xpath: 30
+  };
+
+  const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+
+  // Framework-generated ids (React useId, Ember, Radix, hashes) change between renders
+  const GENERATED_ID = /^(?:ember|react-|radix-|headlessui-|mui-|:)|\d{3,}|[0-9a-f]{8,}/i;
+
+  const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'svg']);
+
+  const IMPLICIT_ROLES = {
+    article: 'article', aside: 'complementary', button: 'button', dialog: 'dialog',
+    fieldset: 'group', footer: 'contentinfo', form: 'form', header: 'banner',
+    h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+    hr: 'separator', li: 'listitem', main: 'main', meter: 'meter', nav: 'navigation',
+    ol: 'list', option: 'option', output: 'status', progress: 'progressbar', summary: 'button',
+    table: 'table', tbody: 'rowgroup', td: 'cell', textarea: 'textbox', th: 'columnheader',
+    thead: 'rowgroup', tr: 'row', ul: 'list'
+  };
+
+  const INPUT_ROLES = {
+    button: 'button', checkbox: 'checkbox', image: 'button', number: 'spinbutton',
+    radio: 'radio', range: 'slider', reset: 'button', search: 'searchbox', submit: 'button'
+  };
+
+  // Roles whose accessible name comes from their content
+  const NAME_FROM_CONTENT = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch',
+    'tab', 'tooltip', 'treeitem'
+  ]);
+
+  function findElement(selector, root = document) {
+    if (!SELECTOR_PREFIX.test(selector) && !SHADOW_COMBINATOR.test(selector)) return root.querySelector(selector);
+    return findAllElements(selector, root)[0] || null;
+  }
+
+  function findAllElements(selector, root = document) {
+    const parts = selector.split(SHADOW_COMBINATOR);
+    if (parts.length > 1) {
+      let matches = findAllElements(parts[0], root);
+      parts.slice(1).forEach(part => {
+        const shadowRoots = matches.map(el => el.shadowRoot).filter(Boolean);
+        matches = [...new Set(shadowRoots.flatMap(shadowRoot => findAllElements(part, shadowRoot)))];
+      });
+      return matches;
+    }
+    
+    const match = SELECTOR_PREFIX.exec(selector);
+    if (!match) return Array.from(root.querySelectorAll(selector));
+    
+    const [, engine, value] = match;
+    switch (engine) {
+      case 'pierce':
+        return deepQuerySelectorAll(root, value);
+      case 'xpath': {
+        const result = document.evaluate(value, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const nodes = [];
+        for (let i = 0; i < result.snapshotLength; i++) {
+          if (result.snapshotItem(i).nodeType === 1) nodes.push(result.snapshotItem(i));
+        }
+        return nodes;
+      }
+      case 'aria': {
+        const { name, role } = parseAriaSelector(value);
+        return getPageElements(root).filter(el =>
+          (role ? getAriaRole(el) === role : true) && getAccessibleName(el) === name
+        );
+      }
+      case 'text': {
+        const text = normalizeText(value);
+        return getPageElements(root).filter(el => getShortText(el) === text && isInnermostText(el, text));
+      }
+      case 'label': {
+        const text = normalizeText(value);
+        return getPageElements(root).filter(el => isLabelable(el) && getLabelText(el) === text);
+      }
+      case 'ref':
+      case 'mark': {
+        const element = getRefElement(engine === 'mark' ? markRefs.get(Number(value)) : value);
+        return element && (root === document || root.contains(element)) ? [element] : [];
+      }
+    }
+  }
+
+  function parseAriaSelector(value) {
+    const match = /^([\s\S]*?)(?:\[role="([^"]+)"\])?$/.exec(value);
+    return { name: normalizeText(match[1]), role: match[2] || null };
+  }
+
+  // Every element under root in document order, with open shadow trees right after their host
+  function getPageElements(root = document) {
+    const scope = root === document ? document.body : root;
+    if (!scope) return [];
+    
+    const elements = [];
+    scope.querySelectorAll('*').forEach(el => {
+      if (SKIPPED_TAGS.has(el.tagName) || isInAgentUI(el)) return;
+      elements.push(el);
+      if (el.shadowRoot) elements.push(...getPageElements(el.shadowRoot));
+    });
+    return elements;
+  }
+
+  function deepQuerySelectorAll(root, selector) {
+    const matches = Array.from(root.querySelectorAll(selector));
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) matches.push(...deepQuerySelectorAll(el.shadowRoot, selector));
+    });
+    return matches;
+  }
+
+  function isInShadowTree(element) {
+    return element.getRootNode() instanceof ShadowRoot;
+  }
+
+  // Ranked selector candidates for an element, best first. Pass a selector index when
+  // ranking many elements at once so text lookups don't rescan the page per candidate.
+  function getSelectorCandidates(element, index = null) {
+    if (!element || element.nodeType !== 1) return [];
+    
+    const candidates = [];
+    const add = (strategy, selector, penalty = 0) => {
+      if (selector && !candidates.some(c => c.selector === selector)) {
+        candidates.push({ strategy, selector, penalty });
+      }
+    };
+    
+    // Plain CSS can't see into shadow trees, so attribute and id selectors pierce there
+    const inShadow = isInShadowTree(element);
+    const css = selector => inShadow ? `pierce/${selector}` : selector;
+    
+    TEST_ID_ATTRIBUTES.forEach(attr => {
+      const value = element.getAttribute(attr);
+      if (value) add('testid', css(`[${attr}="${cssString(value)}"]`));
+    });
+    
+    if (element.id && !element.id.startsWith('debug-hand-') && !GENERATED_ID.test(element.id)) {
+      add('id', css(`#${CSS.escape(element.id)}`));
+    }
+    
+    const role = getAriaRole(element);
+    const name = role ? getAccessibleName(element) : '';
+    if (name && name.length <= 80) add('aria', `aria/${name}[role="${role}"]`, name.length > 40 ? 10 : 0);
+    
+    const label = isLabelable(element) ? getLabelText(element) : '';
+    if (label && label.length <= 80) add('label', `label/${label}`);
+    
+    const text = element.matches('input, textarea, select') ? '' : getShortText(element);
+    if (text && isInnermostText(element, text)) add('text', `text/${text}`, text.length > 30 ? 10 : 0);
+    
+    // Structural fallbacks: each positional step makes the path more fragile
+    const cssPath = getUniqueSelector(element);
+    add('css', cssPath, (cssPath.match(/:nth-child/g) || []).length * 5);
+    if (!inShadow) add('xpath', `xpath/${getXPath(element)}`);
+    
+    return candidates
+      .map(candidate => scoreCandidate(candidate, element, index))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  function getBestSelector(element, index = null) {
+    return getSelectorCandidates(element, index)[0]?.selector || getUniqueSelector(element);
+  }
+
+  // Selector fields stored on recorded entries: the best selector, the full ranked list and a
+  // fingerprint replay can heal from
+  function getSelectorFields(element, field = 'selector') {
+    const selectors = getSelectorCandidates(element);
+    return {
+      [field]: selectors[0]?.selector || getUniqueSelector(element),
+      selectors,
+      fingerprint: getElementFingerprint(element)
+    };
+  }
+
+  function scoreCandidate({ strategy, selector, penalty }, element, index) {
+    let matches;
+    const match = SELECTOR_PREFIX.exec(selector);
+    if (index && match && INDEXED_ENGINES.includes(match[1])) {
+      // Indexed counts come from the element itself, so it is always one of them
+      matches = index[match[1]].get(match[1] === 'aria' ? ariaKey(parseAriaSelector(match[2])) : normalizeText(match[2])) || 1;
+    } else {
+      let elements;
+      try {
+        elements = findAllElements(selector);
+      } catch (e) {
+        return null;
+      }
+      if (!elements.includes(element)) return null;
+      matches = elements.length;
+    }
+    
+    const unique = matches === 1;
+    // Ambiguous selectors still resolve (to the first match) but rank below any unique one
+    const score = SELECTOR_STABILITY[strategy] - penalty - (unique ? 0 : 50 + Math.min(matches, 10));
+    return { selector, strategy, score, unique, matches };
+  }
+
+  // Role/name, label and text counts for the whole page, computed in one pass
+  function buildSelectorIndex() {
+    const index = { aria: new Map(), label: new Map(), text: new Map() };
+    const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    
+    getPageElements().forEach(el => {
+      const role = getAriaRole(el);
+      const name = role ? getAccessibleName(el) : '';
+      if (name) bump(index.aria, ariaKey({ name, role }));
+      
+      const label = isLabelable(el) ? getLabelText(el) : '';
+      if (label) bump(index.label, label);
+      
+      const text = getShortText(el);
+      if (text && isInnermostText(el, text)) bump(index.text, text);
+    });
+    
+    return index;
+  }
+
+  function ariaKey({ name, role }) {
+    return `${role || ''}|${name}`;
+  }
+
+  function getAriaRole(element) {
+    const explicit = element.getAttribute('role')?.trim().split(/\s+/)[0];
+    if (explicit) return explicit;
+    
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'a' || tag === 'area') return element.hasAttribute('href') ? 'link' : null;
+    if (tag === 'img') return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+    if (tag === 'select') return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    if (tag === 'input') {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      if (type === 'hidden' || type === 'password') return null;
+      return INPUT_ROLES[type] || (element.hasAttribute('list') ? 'combobox' : 'textbox');
+    }
+    return IMPLICIT_ROLES[tag] || null;
+  }
+
+  // Simplified accessible name computation: labelledby, aria-label, labels, alt, content, title
+  function getAccessibleName(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => element.getRootNode().getElementById?.(id))
+        .filter(Boolean)
+        .map(el => el.innerText ?? el.textContent)
+        .join(' ');
+      if (normalizeText(text)) return normalizeText(text);
+    }
+    
+    const ariaLabel = normalizeText(element.getAttribute('aria-label'));
+    if (ariaLabel) return ariaLabel;
+    
+    if (isLabelable(element)) {
+      const label = getLabelText(element);
+      if (label) return label;
+    }
+    
+    const tag = element.tagName;
+    if (tag === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+      return normalizeText(element.value) || (element.type === 'submit' ? 'Submit' : element.type === 'reset' ? 'Reset' : '');
+    }
+    if (tag === 'IMG' || tag === 'AREA' || (tag === 'INPUT' && element.type === 'image')) {
+      const alt = normalizeText(element.getAttribute('alt'));
+      if (alt) return alt;
+    }
+    
+    if (NAME_FROM_CONTENT.has(getAriaRole(element))) {
+      const text = normalizeText(element.innerText ?? element.textContent);
+      if (text) return text;
+    }
+    
+    return normalizeText(element.getAttribute('title') || element.getAttribute('placeholder'));
+  }
+
+  function isLabelable(element) {
+    return 'labels' in element && !(element.tagName === 'INPUT' && element.type === 'hidden');
+  }
+
+  // Text of the element's labels, without the text of controls nested inside them
+  function getLabelText(element) {
+    const labels = Array.from(element.labels || []);
+    if (!labels.length) return '';
+    
+    return normalizeText(labels.map(label => {
+      const clone = label.cloneNode(true);
+      clone.querySelectorAll('input, select, textarea, button').forEach(el => el.remove());
+      return clone.textContent;
+    }).join(' '));
+  }
+
+  // Normalized text for elements short enough to be a readable selector
+  function getShortText(element) {
+    const raw = element.textContent;
+    if (!raw || raw.length > 200) return '';
+    
+    const text = normalizeText(raw);
+    return text.length <= 50 ? text : '';
+  }
+
+  // True when no child carries the same text, so a text selector lands on the deepest match
+  function isInnermostText(element, text) {
+    return !Array.from(element.children).some(child => normalizeText(child.textContent) === text);
+  }
+
+  function getXPath(element) {
+    const parts = [];
+    let current = element;
+    
+    while (current && current.nodeType === 1) {
+      if (current !== element && current.id && !GENERATED_ID.test(current.id) && !current.id.includes('"')) {
+        parts.unshift(`/*[@id="${current.id}"]`);
+        return `/${parts.join('/')}`;
+      }
+      
+      const tag = current.tagName.toLowerCase();
+      const sameTag = Array.from(current.parentElement?.children || []).filter(el => el.tagName === current.tagName);
+      parts.unshift(sameTag.length > 1 ? `${tag}[${sameTag.indexOf(current) + 1}]` : tag);
+      current = current.parentElement;
+    }
+    
+    return `/${parts.join('/')}`;
+  }
+
+  function cssString(value) {
+    return String(value).replace(/["\\]/g, '\\$&');
+  }
+
+  // Self-Healing Resolution
+  // When a selector stops matching, look for the element through the alternate selectors
+  // recorded with it, then by similarity to how it looked when it was last found.
+  const HEAL_THRESHOLD = 0.6;
+  const HEAL_MARGIN = 0.05;
+  const HEAL_DISTANCE = 600;
+  const HEAL_AFTER = 1000;
+  const MAX_REMEMBERED_ELEMENTS = 500;
+
+  const FINGERPRINT_ATTRIBUTES = ['id', 'name', 'type', 'placeholder', 'href', 'aria-label', 'title', 'alt', 'for', ...TEST_ID_ATTRIBUTES];
+
+  // Fingerprints of elements agent actions and snapshots resolved, by the selector used
+  const elementMemory = new Map();
+
+  // Returns { element, healed } - healed describes the fallback that found the element, if any.
+  // hints: { selectors, fingerprint, heal } from a recording; agent calls fall back to memory.
+  function resolveElement(selector, hints = {}) {
+    const { selectors = [], heal = true } = hints;
+    
+    let element = null;
+    let lookupError = null;
+    try {
+      element = findElement(selector);
+    } catch (e) {
+      lookupError = e;
+    }
+    if (element) {
+      rememberElement(selector, element);
+      return { element, healed: null };
+    }
+    if (!heal) {
+      if (lookupError) throw lookupError;
+      return { element: null, healed: null };
+    }
+    
+    // Alternates recorded for the same element, only while they still match exactly one
+    for (const candidate of selectors) {
+      const alternate = typeof candidate === 'string' ? candidate : candidate?.selector;
+      if (!alternate || alternate === selector) continue;
+      
+      let matches;
+      try {
+        matches = findAllElements(alternate);
+      } catch (e) {
+        continue;
+      }
+      if (matches.length === 1) {
+        return healedResult(selector, matches[0], { strategy: 'alternate', selector: alternate });
+      }
+    }
+    
+    const fingerprint = hints.fingerprint || elementMemory.get(selector);
+    const similar = fingerprint && findSimilarElement(fingerprint);
+    if (similar) {
+      return healedResult(selector, similar.element, {
+        strategy: 'similar',
+        selector: getBestSelector(similar.element),
+        score: Math.round(similar.score * 100) / 100
+      });
+    }
+    
+    if (lookupError) throw lookupError;
+    return { element: null, healed: null };
+  }
+
+  function healedResult(selector, element, healed) {
+    rememberElement(selector, element);
+    rememberElement(healed.selector, element);
+    return { element, healed: { from: selector, ...healed } };
+  }
+
+  function rememberSnapshotSelector(element, index) {
+    const selector = getBestSelector(element, index);
+    rememberElement(selector, element);
+    return selector;
+  }
+
+  function rememberElement(selector, element) {
+    elementMemory.delete(selector);
+    elementMemory.set(selector, getElementFingerprint(element));
+    if (elementMemory.size > MAX_REMEMBERED_ELEMENTS) {
+      elementMemory.delete(elementMemory.keys().next().value);
+    }
+  }
+
+  // What an element looked like: tag, role, name, text, identifying attributes and page position
+  function getElementFingerprint(element) {
+    const attributes = {};
+    FINGERPRINT_ATTRIBUTES.forEach(name => {
+      const value = element.getAttribute(name);
+      if (value && value.length <= 200) attributes[name] = value;
+    });
+    const classes = typeof element.className === 'string'
+      ? element.className.trim().split(/\s+/).filter(c => c && !c.startsWith('debug-hand-')).join(' ')
+      : '';
+    if (classes) attributes.class = classes;
+    
+    const rect = element.getBoundingClientRect();
+    return {
+      tag: element.tagName.toLowerCase(),
+      role: getAriaRole(element),
+      name: getAccessibleName(element).slice(0, 80),
+      text: getShortText(element),
+      attributes,
+      rect: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      }
+    };
+  }
+
+  function findSimilarElement(fingerprint) {
+    const scored = getPageElements()
+      .filter(el => el.tagName.toLowerCase() === fingerprint.tag || (fingerprint.role && getAriaRole(el) === fingerprint.role))
+      .map(el => ({ element: el, score: similarityScore(el, fingerprint) }))
+      .sort((a, b) => b.score - a.score);
+    
+    const [best, runnerUp] = scored;
+    if (!best || best.score < HEAL_THRESHOLD) return null;
+    // Two near-equal matches means we can't tell which one was meant
+    if (runnerUp && best.score - runnerUp.score < HEAL_MARGIN) return null;
+    return best;
+  }
+
+  // Weighted 0..1 similarity over whichever features the fingerprint has
+  function similarityScore(element, fingerprint) {
+    let total = 0;
+    let weights = 0;
+    const add = (weight, value) => {
+      total += weight * value;
+      weights += weight;
+    };
+    
+    if (fingerprint.role) add(1, getAriaRole(element) === fingerprint.role ? 1 : 0);
+    if (fingerprint.name) add(3, textSimilarity(getAccessibleName(element), fingerprint.name));
+    if (fingerprint.text) add(3, textSimilarity(getShortText(element), fingerprint.text));
+    Object.entries(fingerprint.attributes || {}).forEach(([name, value]) => {
+      if (name === 'class') add(1, textSimilarity(element.getAttribute('class'), value));
+      else add(2, element.getAttribute(name) === value ? 1 : 0);
+    });
+    
+    if (fingerprint.rect) {
+      const rect = element.getBoundingClientRect();
+      const dx = (rect.left + window.scrollX + rect.width / 2) - (fingerprint.rect.x + fingerprint.rect.width / 2);
+      const dy = (rect.top + window.scrollY + rect.height / 2) - (fingerprint.rect.y + fingerprint.rect.height / 2);
+      add(2, 1 - Math.min(Math.hypot(dx, dy) / HEAL_DISTANCE, 1));
+    }
+    
+    const score = weights ? total / weights : 0;
+    return isVisible(element) ? score : score * 0.8;
+  }
+
+  function textSimilarity(a, b) {
+    a = normalizeText(a).toLowerCase();
+    b = normalizeText(b).toLowerCase();
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    
+    const wordsA = new Set(a.split(' '));
+    const wordsB = new Set(b.split(' '));
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    const jaccard = shared / (wordsA.size + wordsB.size - shared);
+    return Math.max(jaccard, a.includes(b) || b.includes(a) ? 0.7 : 0);
+  }
+
   // Utility Functions
   function highlightElement(element) {
     if (!agentHighlight) return;
@@ -1543,8 +4264,12 @@
   function getUniqueSelector(element) {
     if (!element || element === document) return '';
     
+    // Inside a shadow tree the path is relative to its root, reached through the host
+    const root = element.getRootNode();
+    const prefix = root instanceof ShadowRoot ? `${getUniqueSelector(root.host)} >>> ` : '';
+    
     if (element.id && !element.id.startsWith('debug-hand-')) {
-      return `#${CSS.escape(element.id)}`;
+      return `${prefix}#${CSS.escape(element.id)}`;
     }
     
     const path = [];
@@ -1562,7 +4287,7 @@
         }
       }
       
-      const siblings = current.parentElement?.children;
+      const siblings = (current.parentElement || current.parentNode)?.children;
       if (siblings && siblings.length > 1) {
         const index = Array.from(siblings).indexOf(current) + 1;
         selector += `:nth-child(${index})`;
@@ -1571,10 +4296,12 @@
       path.unshift(selector);
       current = current.parentElement;
       
+      // Stop as soon as the path identifies the element on its own
+      if (root.querySelectorAll(path.join(' > ')).length === 1) break;
       if (path.length > 4) break;
     }
     
-    return path.join(' > ');
+    return prefix + path.join(' > ');
   }
 
   function getElementDescription(element) {
@@ -1600,7 +4327,7 @@
   }
 
   function getElementInfo(selector) {
-    const element = document.querySelector(selector);
+    const element = findElement(selector);
     if (!element) return null;
     
     const rect = element.getBoundingClientRect();
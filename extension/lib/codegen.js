@@ -0,0 +1,379 @@
+// Apex Agent - Script Export
+// Turns recordLog entries into runnable Playwright, Puppeteer and Cypress scripts
+
+import { buildRecordingSteps, recordingTabIds, redactedUrlPattern, stepSelectors } from './steps.js';
+import { toRecorderFlow } from './devtools-recorder.js';
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json' },
+  devtools: { label: 'Chrome Recorder', extension: 'recording.json' },
+  playwright: { label: 'Playwright Test', extension: 'spec.js' },
+  puppeteer: { label: 'Puppeteer', extension: 'js' },
+  cypress: { label: 'Cypress', extension: 'cy.js' }
+};
+
+const ENGINE_SELECTOR = /^(aria|text|label|xpath|pierce)\/([\s\S]*)$/;
+const SHADOW_COMBINATOR = /\s*>>>\s*/;
+
+const MODIFIER_KEYS = {
+  ctrl: 'Control',
+  control: 'Control',
+  shift: 'Shift',
+  alt: 'Alt',
+  meta: 'Meta'
+};
+
+const CYPRESS_KEYS = {
+  'Enter': '{enter}',
+  'Escape': '{esc}',
+  'Backspace': '{backspace}',
+  'Delete': '{del}',
+  'ArrowUp': '{uparrow}',
+  'ArrowDown': '{downarrow}',
+  'ArrowLeft': '{leftarrow}',
+  'ArrowRight': '{rightarrow}',
+  'Home': '{home}',
+  'End': '{end}',
+  'PageUp': '{pageup}',
+  'PageDown': '{pagedown}',
+  ' ': ' '
+};
+
+// Returns { format, extension, code } or { error } for an unknown format
+export function generateScript(log = [], format = 'playwright', options = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    return { error: `Unknown export format: ${format}. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+  
+  if (format === 'json') {
+    return { format, extension: spec.extension, code: JSON.stringify(log, null, 2) };
+  }
+  
+  // Scripts drive one page; flows across tabs would run every step against the first
+  if (recordingTabIds(log).length > 1) {
+    return { error: 'Recording spans several tabs; export it as JSON or replay it in Apex Agent instead' };
+  }
+  
+  const name = options.name || 'Recorded flow';
+  if (format === 'devtools') {
+    return { format, extension: spec.extension, code: JSON.stringify(toRecorderFlow(log, { title: name }), null, 2) };
+  }
+  
+  const steps = buildRecordingSteps(log);
+  const generators = { playwright: playwrightScript, puppeteer: puppeteerScript, cypress: cypressScript };
+  
+  return { format, extension: spec.extension, code: generators[format](steps, name) };
+}
+
+// ============ PLAYWRIGHT ============
+function playwrightScript(steps, name) {
+  const body = [];
+  
+  steps.forEach((step, i) => {
+    const locator = playwrightLocator(step);
+    
+    switch (step.kind) {
+      case 'click':
+        if (step.doubleClick) body.push(`await ${locator}.dblclick();`);
+        else if (step.button) body.push(`await ${locator}.click({ button: ${quote(buttonName(step.button))} });`);
+        else body.push(`await ${locator}.click();`);
+        break;
+      case 'type':
+        body.push(`await ${locator}.fill(${typedValue(step)});${redactedNote(step)}`);
+        break;
+      case 'key':
+        body.push(step.selector
+          ? `await ${locator}.press(${quote(keyCombo(step))});`
+          : `await page.keyboard.press(${quote(keyCombo(step))});`);
+        break;
+      case 'scroll':
+        if (!step.to) break;
+        body.push(step.selector === 'window'
+          ? `await page.evaluate(() => window.scrollTo(${step.to.left}, ${step.to.top}));`
+          : `await ${locator}.evaluate(el => el.scrollTo(${step.to.left}, ${step.to.top}));`);
+        break;
+      case 'navigate':
+        body.push(followsAction(steps, i)
+          ? `await page.waitForURL(${step.redacted ? redactedUrlRegExp(step) : quote(step.url)});`
+          : `await page.goto(${typedValue(step, step.url)});${redactedNote(step)}`);
+        break;
+      case 'assert': {
+        const { kind, expected, attribute } = step.assertion;
+        if (kind === 'textEquals') body.push(`await expect(${locator}).toHaveText(${quote(expected)});`);
+        else if (kind === 'textContains') body.push(`await expect(${locator}).toContainText(${quote(expected)});`);
+        else if (kind === 'visible') body.push(`await expect(${locator}).toBeVisible();`);
+        else if (kind === 'attribute') body.push(`await expect(${locator}).toHaveAttribute(${quote(attribute)}, ${quote(expected)});`);
+        else if (kind === 'url') body.push(`await expect(page).toHaveURL(${urlPattern(step.assertion)});`);
+        else if (kind === 'count') body.push(`await expect(${locator}).toHaveCount(${Number(expected)});`);
+        break;
+      }
+    }
+  });
+  
+  return [
+    header(),
+    `import { test, expect } from '@playwright/test';`,
+    '',
+    `test(${quote(name)}, async ({ page }) => {`,
+    ...indent(body, 1),
+    '});',
+    ''
+  ].join('\n');
+}
+
+// ============ PUPPETEER ============
+function puppeteerScript(steps, name) {
+  const body = [];
+  
+  steps.forEach((step, i) => {
+    const selector = puppeteerSelector(step);
+    const locator = `page.locator(${quote(selector)})`;
+    
+    switch (step.kind) {
+      case 'click':
+        if (step.doubleClick) body.push(`await ${locator}.click({ count: 2 });`);
+        else if (step.button) body.push(`await ${locator}.click({ button: ${quote(buttonName(step.button))} });`);
+        else body.push(`await ${locator}.click();`);
+        break;
+      case 'type':
+        body.push(`await ${locator}.fill(${typedValue(step)});${redactedNote(step)}`);
+        break;
+      case 'key': {
+        const modifiers = step.modifiers.map(m => MODIFIER_KEYS[m] || m);
+        if (step.selector) body.push(`await page.focus(${quote(selector)});`);
+        modifiers.forEach(m => body.push(`await page.keyboard.down(${quote(m)});`));
+        body.push(`await page.keyboard.press(${quote(step.key === ' ' ? 'Space' : step.key)});`);
+        modifiers.reverse().forEach(m => body.push(`await page.keyboard.up(${quote(m)});`));
+        break;
+      }
+      case 'scroll':
+        if (!step.to) break;
+        body.push(step.selector === 'window'
+          ? `await page.evaluate(() => window.scrollTo(${step.to.left}, ${step.to.top}));`
+          : `await ${locator}.scroll({ scrollLeft: ${step.to.left}, scrollTop: ${step.to.top} });`);
+        break;
+      case 'navigate':
+        if (followsAction(steps, i) && step.redacted) {
+          body.push(`await page.waitForFunction(pattern => new RegExp(pattern).test(location.href), {}, ${quote(redactedUrlPattern(step.url).source)});`);
+        } else {
+          body.push(followsAction(steps, i)
+            ? `await page.waitForFunction(url => location.href === url, {}, ${quote(step.url)});`
+            : `await page.goto(${typedValue(step, step.url)});${redactedNote(step)}`);
+        }
+        break;
+      case 'assert': {
+        const { kind, expected, attribute, match } = step.assertion;
+        const text = `(await page.$eval(${quote(selector)}, el => el.innerText)).replace(/\\s+/g, ' ').trim()`;
+        if (kind === 'textEquals') body.push(`expect(${text}).toBe(${quote(expected)});`);
+        else if (kind === 'textContains') body.push(`expect(${text}).toContain(${quote(expected)});`);
+        else if (kind === 'visible') body.push(`await page.waitForSelector(${quote(selector)}, { visible: true, timeout: 5000 });`);
+        else if (kind === 'attribute') body.push(`expect(await page.$eval(${quote(selector)}, el => el.getAttribute(${quote(attribute)}))).toBe(${quote(expected)});`);
+        else if (kind === 'url') body.push(match === 'equals' ? `expect(page.url()).toBe(${quote(expected)});` : `expect(page.url()).toMatch(${urlPattern(step.assertion)});`);
+        else if (kind === 'count') body.push(`expect((await page.$$(${quote(selector)})).length).toBe(${Number(expected)});`);
+        break;
+      }
+    }
+  });
+  
+  const usesExpect = steps.some(step => step.kind === 'assert' && step.assertion.kind !== 'visible');
+  
+  return [
+    header(),
+    `// ${name}`,
+    `const puppeteer = require('puppeteer');`,
+    ...(usesExpect ? [`const { expect } = require('expect');`] : []),
+    '',
+    '(async () => {',
+    `  const browser = await puppeteer.launch({ headless: false });`,
+    `  const page = await browser.newPage();`,
+    '',
+    ...indent(body, 1),
+    '',
+    `  await browser.close();`,
+    '})();',
+    ''
+  ].join('\n');
+}
+
+// ============ CYPRESS ============
+function cypressScript(steps, name) {
+  const body = [];
+  
+  steps.forEach((step, i) => {
+    const get = cypressGet(step);
+    
+    switch (step.kind) {
+      case 'click':
+        if (step.doubleClick) body.push(`${get}.dblclick();`);
+        else if (step.button === 2) body.push(`${get}.rightclick();`);
+        else body.push(`${get}.click();`);
+        break;
+      case 'type':
+        if (step.redacted) {
+          body.push(`${get}.clear().type(${typedValue(step, step.after, cypressEnv)}, { parseSpecialCharSequences: false, log: false });${redactedNote(step)}`);
+        } else {
+          body.push(step.after
+            ? `${get}.clear().type(${quote(step.after)}, { parseSpecialCharSequences: false });`
+            : `${get}.clear();`);
+        }
+        break;
+      case 'key': {
+        const key = CYPRESS_KEYS[step.key] || (step.key.length === 1 ? step.key.replace('{', '{{}') : null);
+        if (!key) {
+          body.push(`// Unsupported key in Cypress: ${keyCombo(step)}`);
+          break;
+        }
+        const sequence = step.modifiers.map(m => `{${m === 'control' ? 'ctrl' : m}}`).join('') + key;
+        body.push(`${step.selector ? get : `cy.get('body')`}.type(${quote(sequence)});`);
+        break;
+      }
+      case 'scroll':
+        if (!step.to) break;
+        body.push(step.selector === 'window'
+          ? `cy.scrollTo(${step.to.left}, ${step.to.top});`
+          : `${get}.scrollTo(${step.to.left}, ${step.to.top});`);
+        break;
+      case 'navigate':
+        if (followsAction(steps, i) && step.redacted) body.push(`cy.url().should('match', ${redactedUrlRegExp(step)});`);
+        else if (followsAction(steps, i)) body.push(`cy.url().should('eq', ${quote(step.url)});`);
+        else body.push(`cy.visit(${typedValue(step, step.url, cypressEnv)});${redactedNote(step)}`);
+        break;
+      case 'assert': {
+        const { kind, expected, attribute, match } = step.assertion;
+        if (kind === 'textEquals') body.push(`${get}.invoke('text').then(text => expect(text.replace(/\\s+/g, ' ').trim()).to.eq(${quote(expected)}));`);
+        else if (kind === 'textContains') body.push(`${get}.should('contain.text', ${quote(expected)});`);
+        else if (kind === 'visible') body.push(`${get}.should('be.visible');`);
+        else if (kind === 'attribute') body.push(`${get}.should('have.attr', ${quote(attribute)}, ${quote(expected)});`);
+        else if (kind === 'url' && match === 'regex') body.push(`cy.url().should('match', ${urlPattern(step.assertion)});`);
+        else if (kind === 'url') body.push(`cy.url().should(${quote(match === 'contains' ? 'include' : 'eq')}, ${quote(expected)});`);
+        else if (kind === 'count') body.push(`${get}.should('have.length', ${Number(expected)});`);
+        break;
+      }
+    }
+  });
+  
+  return [
+    header(),
+    `describe(${quote(name)}, () => {`,
+    `  it('replays the recorded interactions', () => {`,
+    ...indent(body, 2),
+    '  });',
+    '});',
+    ''
+  ].join('\n');
+}
+
+// ============ SELECTORS ============
+// Each framework gets the best-ranked recorded selector it has a locator for
+
+// Playwright's CSS already pierces open shadow roots, so each >>> hop is just a chained locator
+function playwrightLocator(step) {
+  for (const { selector } of stepSelectors(step)) {
+    const parts = selector.split(SHADOW_COMBINATOR).map(playwrightPart);
+    if (parts.every(Boolean)) return `page.${parts.join('.')}`;
+  }
+  return `page.locator(${quote(step.selector)})`;
+}
+
+function playwrightPart(selector) {
+  const [, engine, value] = ENGINE_SELECTOR.exec(selector) || [];
+  if (!engine) return `locator(${quote(selector)})`;
+  if (engine === 'pierce') return `locator(${quote(value)})`;
+  if (engine === 'text') return `getByText(${quote(value)}, { exact: true })`;
+  if (engine === 'label') return `getByLabel(${quote(value)}, { exact: true })`;
+  if (engine === 'xpath') return `locator(${quote(`xpath=${value}`)})`;
+  
+  const { name, role } = parseAriaSelector(value);
+  return role ? `getByRole(${quote(role)}, { name: ${quote(name)}, exact: true })` : null;
+}
+
+// Puppeteer resolves aria/, text/, xpath/, pierce/ and >>> itself
+function puppeteerSelector(step) {
+  const candidate = stepSelectors(step).find(({ selector }) => !/(^|>>>\s*)label\//.test(selector));
+  return candidate?.selector || step.selector;
+}
+
+function cypressGet(step) {
+  for (const { selector } of stepSelectors(step)) {
+    const [first, ...shadowParts] = selector.split(SHADOW_COMBINATOR);
+    if (shadowParts.some(part => ENGINE_SELECTOR.test(part))) continue;
+    
+    const [, engine, value] = ENGINE_SELECTOR.exec(first) || [];
+    let get;
+    if (!engine) get = `cy.get(${quote(first)})`;
+    else if (engine === 'pierce') get = `cy.get(${quote(value)}, { includeShadowDom: true })`;
+    else if (engine === 'text' && !shadowParts.length) get = `cy.contains(${quote(value)})`;
+    else continue;
+    
+    return get + shadowParts.map(part => `.shadow().find(${quote(part)})`).join('');
+  }
+  return `cy.get(${quote(step.selector)})`;
+}
+
+function parseAriaSelector(value) {
+  const match = /^([\s\S]*?)(?:\[role="([^"]+)"\])?$/.exec(value);
+  return { name: match[1], role: match[2] || null };
+}
+
+// ============ HELPERS ============
+function header() {
+  return '// Generated by Apex Agent from a recorded session';
+}
+
+// A navigation right after a click/key was caused by it, so wait for it instead of loading the URL
+function followsAction(steps, index) {
+  const prev = steps[index - 1];
+  return !!prev && prev.kind !== 'navigate' && prev.kind !== 'assert';
+}
+
+// URL assertions match as a regex, a substring or the full URL
+function urlPattern(assertion) {
+  if (assertion.match === 'regex') return `new RegExp(${quote(assertion.expected)})`;
+  if (assertion.match === 'contains') return `new RegExp(${quote(escapeRegExp(assertion.expected))})`;
+  return quote(assertion.expected);
+}
+
+// Values masked when recorded are read from the environment the script runs in
+function typedValue(step, value = step.after, read = name => `process.env.${name}`) {
+  return step.redacted ? read(step.valueName) : quote(value);
+}
+
+function cypressEnv(name) {
+  return `Cypress.env(${quote(name)})`;
+}
+
+function redactedNote(step) {
+  return step.redacted ? ` // Redacted in the recording; set ${step.valueName}` : '';
+}
+
+// Waiting for a redacted URL matches any value where it was masked
+function redactedUrlRegExp(step) {
+  return `new RegExp(${quote(redactedUrlPattern(step.url).source)})`;
+}
+
+function escapeRegExp(value) {
+  return String(value ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function keyCombo(step) {
+  const key = step.key === ' ' ? 'Space' : step.key;
+  return [...step.modifiers.map(m => MODIFIER_KEYS[m] || m), key].join('+');
+}
+
+function buttonName(button) {
+  return button === 2 ? 'right' : button === 1 ? 'middle' : 'left';
+}
+
+function quote(value) {
+  return `'${String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')}'`;
+}
+
+function indent(lines, depth) {
+  const pad = '  '.repeat(depth);
+  return lines.map(line => pad + line);
+}
@@ -0,0 +1,273 @@
+// Apex Agent - DevTools Recorder Format
+// Converts between recordLog entries and Chrome DevTools Recorder user flows
+// Schema: https://github.com/puppeteer/replay/blob/main/docs/api/README.md
+
+import { buildRecordingSteps, selectorStrategy, stepSelectors } from './steps.js';
+
+// Recorder key names for the modifiers stored on KEYBOARD entries
+const RECORDER_MODIFIERS = {
+  ctrl: 'Control',
+  control: 'Control',
+  meta: 'Meta',
+  alt: 'Alt',
+  shift: 'Shift'
+};
+
+// recordLog modifier names, in the order content.js records them
+const LOG_MODIFIERS = {
+  Control: 'Ctrl',
+  Meta: 'Meta',
+  Alt: 'Alt',
+  Shift: 'Shift'
+};
+
+const RECORDER_BUTTONS = { 0: 'primary', 1: 'auxiliary', 2: 'secondary' };
+
+// Recorder steps that only wait on the page, so never cause a navigation
+const WAIT_STEPS = ['navigate', 'waitForElement', 'waitForExpression'];
+
+// A Recorder selector chain steps into the shadow root of each previous match, like our >>>
+const SHADOW_COMBINATOR = /\s*>>>\s*/;
+
+// ============ EXPORT ============
+export function toRecorderFlow(log = [], options = {}) {
+  const steps = buildRecordingSteps(log);
+  const flow = { title: options.title || 'Apex Agent recording', steps: [] };
+  
+  steps.forEach(step => {
+    switch (step.kind) {
+      case 'navigate': {
+        const prev = flow.steps[flow.steps.length - 1];
+        const url = recordedValue(step, step.url);
+        const event = { type: 'navigation', url, title: '' };
+        // A navigation caused by the previous action is an asserted event of that action
+        if (prev && !WAIT_STEPS.includes(prev.type)) {
+          prev.assertedEvents = [...(prev.assertedEvents || []), event];
+        } else {
+          flow.steps.push({ type: 'navigate', url, assertedEvents: [event] });
+        }
+        break;
+      }
+      case 'click': {
+        const entry = log[step.logIndex] || {};
+        const click = {
+          type: step.doubleClick ? 'doubleClick' : 'click',
+          target: 'main',
+          selectors: recorderSelectors(step),
+          offsetX: entry.offset?.x ?? 1,
+          offsetY: entry.offset?.y ?? 1
+        };
+        if (step.button) click.button = RECORDER_BUTTONS[step.button] || 'primary';
+        flow.steps.push(click);
+        break;
+      }
+      case 'type':
+        flow.steps.push({ type: 'change', target: 'main', selectors: recorderSelectors(step), value: recordedValue(step, step.after) });
+        break;
+      case 'key': {
+        const modifiers = step.modifiers.map(m => RECORDER_MODIFIERS[m] || m);
+        modifiers.forEach(key => flow.steps.push({ type: 'keyDown', target: 'main', key }));
+        flow.steps.push({ type: 'keyDown', target: 'main', key: step.key });
+        flow.steps.push({ type: 'keyUp', target: 'main', key: step.key });
+        modifiers.reverse().forEach(key => flow.steps.push({ type: 'keyUp', target: 'main', key }));
+        break;
+      }
+      case 'scroll': {
+        if (!step.to) break;
+        const scroll = { type: 'scroll', target: 'main', x: step.to.left, y: step.to.top };
+        if (step.selector !== 'window') scroll.selectors = recorderSelectors(step);
+        flow.steps.push(scroll);
+        break;
+      }
+      case 'assert':
+        flow.steps.push(toRecorderAssertion(step));
+        break;
+    }
+  });
+  
+  return flow;
+}
+
+// Flows have no parameters, so a value masked when recorded becomes a named placeholder to fill in
+function recordedValue(step, value) {
+  return step.redacted ? `{{${step.valueName}}}` : value;
+}
+
+// ============ IMPORT ============
+// Returns { title, entries, skipped } or { error } when the input isn't a Recorder flow
+export function fromRecorderFlow(flow) {
+  if (typeof flow === 'string') {
+    try {
+      flow = JSON.parse(flow);
+    } catch (e) {
+      return { error: `Invalid JSON: ${e.message}` };
+    }
+  }
+  if (!flow || !Array.isArray(flow.steps)) {
+    return { error: 'Not a DevTools Recorder flow: missing steps array' };
+  }
+  
+  const entries = [];
+  const skipped = [];
+  const heldModifiers = [];
+  const startTime = Date.now();
+  let url = '';
+  
+  const push = (type, details, extra = {}) => {
+    entries.push({ type, details, timestamp: startTime + entries.length, url, ...extra });
+  };
+  
+  flow.steps.forEach((step, index) => {
+    const selector = pickSelector(step.selectors);
+    const needsSelector = ['click', 'doubleClick', 'change'].includes(step.type);
+    if (needsSelector && !selector) {
+      skipped.push({ index, type: step.type, reason: 'No supported selector' });
+      return;
+    }
+    
+    switch (step.type) {
+      case 'navigate':
+        url = step.url;
+        push('NAVIGATION', `Navigated to ${step.url}`);
+        break;
+      
+      case 'click':
+      case 'doubleClick': {
+        const extra = { selector, selectors: importSelectors(step.selectors) };
+        if (step.offsetX !== undefined) extra.offset = { x: step.offsetX, y: step.offsetY };
+        if (step.type === 'doubleClick') {
+          push('CLICK', `Double-clicked ${selector}`, { ...extra, doubleClick: true });
+        } else if (step.button === 'secondary') {
+          push('CLICK', `Right-clicked ${selector}`, { ...extra, rightClick: true });
+        } else {
+          push('CLICK', `Clicked ${selector}`, { ...extra, button: step.button === 'auxiliary' ? 1 : 0 });
+        }
+        break;
+      }
+      
+      case 'change':
+        push('KEYBOARD', `Typed in ${selector}`, { target: selector, selectors: importSelectors(step.selectors), before: '', after: step.value ?? '' });
+        break;
+      
+      case 'keyDown':
+        if (LOG_MODIFIERS[step.key]) {
+          if (!heldModifiers.includes(step.key)) heldModifiers.push(step.key);
+          break;
+        }
+        push('KEYBOARD', `Key: ${[...heldModifiers.map(m => LOG_MODIFIERS[m]), step.key].join('+')}`, {
+          key: step.key,
+          modifiers: Object.keys(LOG_MODIFIERS).filter(m => heldModifiers.includes(m)).map(m => LOG_MODIFIERS[m])
+        });
+        break;
+      
+      case 'keyUp':
+        if (heldModifiers.includes(step.key)) heldModifiers.splice(heldModifiers.indexOf(step.key), 1);
+        break;
+      
+      case 'scroll': {
+        const to = { top: step.y || 0, left: step.x || 0 };
+        push('SCROLL', `Scrolled to ${to.left},${to.top}`, { target: selector || 'window', to });
+        break;
+      }
+      
+      case 'waitForElement': {
+        const assertion = fromRecorderAssertion(step, selector);
+        if (!assertion) {
+          skipped.push({ index, type: step.type, reason: selector ? 'Unsupported wait condition' : 'No supported selector' });
+          return;
+        }
+        push('ASSERTION', `Assert ${assertion.selector} ${assertion.kind}`, { selector: assertion.selector, selectors: importSelectors(step.selectors), assertion });
+        break;
+      }
+      
+      default:
+        skipped.push({ index, type: step.type, reason: 'Unsupported step type' });
+        return;
+    }
+    
+    // A navigate step already logged its own page load
+    if (step.type === 'navigate') return;
+    (step.assertedEvents || []).forEach(event => {
+      if (event.type !== 'navigation' || !event.url) return;
+      url = event.url;
+      push('NAVIGATION', `Page loaded: ${event.url}`);
+    });
+  });
+  
+  return { title: flow.title || '', entries, skipped };
+}
+
+// Assertions become waits: element conditions map onto waitForElement, text/URL checks onto expressions
+function toRecorderAssertion(step) {
+  const { kind, expected, attribute, match } = step.assertion;
+  const wait = { type: 'waitForElement', target: 'main', selectors: recorderSelectors(step) };
+  // Expressions run as page script, where only CSS selectors resolve
+  const selector = stepSelectors(step)
+    .find(c => selectorStrategy(c.selector) === 'css' && !SHADOW_COMBINATOR.test(c.selector))?.selector || step.selector;
+  
+  switch (kind) {
+    case 'visible':
+      return { ...wait, visible: true };
+    case 'count':
+      return { ...wait, count: Number(expected) };
+    case 'attribute':
+      return { ...wait, attributes: { [attribute]: expected } };
+    // Recorded text is innerText with whitespace collapsed, which no DOM property holds as-is
+    case 'textEquals':
+      return {
+        type: 'waitForExpression',
+        target: 'main',
+        expression: `(document.querySelector(${JSON.stringify(selector)})?.innerText || '').replace(/\\s+/g, ' ').trim() === ${JSON.stringify(expected)}`
+      };
+    case 'textContains':
+      return {
+        type: 'waitForExpression',
+        target: 'main',
+        expression: `(document.querySelector(${JSON.stringify(selector)})?.innerText || '').replace(/\\s+/g, ' ').includes(${JSON.stringify(expected)})`
+      };
+    case 'url': {
+      const check = match === 'regex'
+        ? `new RegExp(${JSON.stringify(expected)}).test(location.href)`
+        : match === 'contains'
+          ? `location.href.includes(${JSON.stringify(expected)})`
+          : `location.href === ${JSON.stringify(expected)}`;
+      return { type: 'waitForExpression', target: 'main', expression: check };
+    }
+  }
+}
+
+function fromRecorderAssertion(step, selector) {
+  if (!selector || step.operator === '<=' || step.operator === '>=') return null;
+  if (step.count !== undefined) return { kind: 'count', selector, expected: step.count };
+  
+  const attributes = Object.entries(step.attributes || {});
+  if (attributes.length === 1) return { kind: 'attribute', selector, attribute: attributes[0][0], expected: attributes[0][1] };
+  
+  const text = step.properties?.textContent ?? step.properties?.innerText;
+  if (text !== undefined) return { kind: 'textEquals', selector, expected: String(text) };
+  if (step.visible !== false && attributes.length === 0 && !step.properties) return { kind: 'visible', selector };
+  return null;
+}
+
+// Ranked candidates in Recorder form; label/ is ours alone so it stays behind
+function recorderSelectors(step) {
+  const selectors = stepSelectors(step)
+    .map(c => c.selector.split(SHADOW_COMBINATOR))
+    .filter(chain => !chain.some(part => selectorStrategy(part) === 'label'));
+  return selectors.length ? selectors : [[step.selector]];
+}
+
+// Recorder selectors as ranked candidates in the Recorder's own order
+function importSelectors(selectors = []) {
+  return selectors
+    .map(candidate => Array.isArray(candidate) ? candidate : [candidate])
+    .filter(chain => chain.length > 0)
+    .map(chain => {
+      const selector = chain.join(' >>> ');
+      return { selector, strategy: selectorStrategy(chain[chain.length - 1]) };
+    });
+}
+
+function pickSelector(selectors = []) {
+  return importSelectors(selectors)[0]?.selector || null;
+}
@@ -0,0 +1,118 @@
+// Apex Agent - Recording Redaction
+// Masks emails, tokens and card numbers in recorded entries before they reach storage.
+// Fields the page marks as sensitive (passwords, OTPs) are masked by the content script itself.
+
+export const REDACTED = '[redacted]';
+
+const REDACT_PATTERNS = [
+  /[\w.+-]+@[\w-]+(\.[\w-]+)+/g,                            // Emails
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,                          // JWTs
+  /\b(sk|pk|rk|ghp|gho|ghs|xox[abprs])[-_][\w-]{10,}/g,       // API keys
+  /\b[A-Fa-f0-9]{32,}\b/g,                                   // Hex secrets
+  /\bBearer\s+[\w.~+/-]+=*/gi                                 // Auth headers
+];
+const CARD_NUMBER = /\b\d(?:[ -]?\d){12,18}\b/g;
+const URL_IN_TEXT = /\b(https?|wss?):\/\/[^\s"'<>]+/g;
+
+// Query and fragment parameters whose value is a secret whatever it looks like
+const SENSITIVE_PARAM = /pass(word|wd|code)?$|secret|token|otp|jwt|^auth(orization)?$|[_-]auth$|session|sig(nature)?$|(^|[_-])(api[_-]?)?key$|(^|[_-])code$|e-?mail/i;
+
+// Text fields of content, tab and navigation entries
+const TEXT_FIELDS = ['details', 'before', 'after', 'key', 'title'];
+const URL_FIELDS = ['url'];
+
+// Mask emails, tokens and card numbers in free text, and secrets in any URLs it quotes
+export function redactText(text) {
+  let result = text.replace(URL_IN_TEXT, redactUrl);
+  result = REDACT_PATTERNS.reduce((value, pattern) => value.replace(pattern, REDACTED), result);
+  result = result.replace(CARD_NUMBER, match => isLuhnValid(match.replace(/\D/g, '')) ? REDACTED : match);
+  return result;
+}
+
+// Credentials, secret parameters and pattern matches are masked; the rest of the URL stays
+// as it was, so replay can still navigate to it
+export function redactUrl(url) {
+  const [, origin = '', path, query = '', hash = ''] = /^([a-z][\w+.-]*:\/\/[^/?#]*)?([^?#]*)(\?[^#]*)?(#.*)?$/i.exec(url) || [];
+  if (path === undefined) return url;
+  
+  const host = origin.replace(/\/\/[^/@]*@/, `//${REDACTED}@`);
+  return host + redactPatterns(path) + redactParams(query) + redactParams(hash);
+}
+
+function redactPatterns(text) {
+  return REDACT_PATTERNS.reduce((value, pattern) => value.replace(pattern, REDACTED), text);
+}
+
+// "?a=1&token=x" or "#access_token=x"; a fragment that isn't parameters is checked as text
+function redactParams(part) {
+  if (!part) return part;
+  return part[0] + part.slice(1).split('&').map(pair => {
+    const index = pair.indexOf('=');
+    if (index < 0) return redactPatterns(pair);
+    
+    const name = pair.slice(0, index);
+    const value = pair.slice(index + 1);
+    const decoded = safeDecode(value);
+    if (!value || (!SENSITIVE_PARAM.test(safeDecode(name)) && redactText(decoded) === decoded)) return pair;
+    return `${name}=${REDACTED}`;
+  }).join('&');
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (e) {
+    return value;
+  }
+}
+
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Runs on every entry before it is stored, whether a content script or the background built it
+export function redactEntry(entry) {
+  const mask = (field, redact) => {
+    if (typeof entry[field] !== 'string' || entry[field] === REDACTED) return;
+    const redacted = redact(entry[field]);
+    if (redacted !== entry[field]) {
+      entry[field] = redacted;
+      entry.redacted = true;
+    }
+  };
+  TEXT_FIELDS.forEach(field => mask(field, redactText));
+  URL_FIELDS.forEach(field => mask(field, redactUrl));
+  
+  // Text and name selectors quote the page; drop any that would leak a masked value
+  if (Array.isArray(entry.selectors)) {
+    const safe = entry.selectors.filter(candidate => redactText(candidate.selector) === candidate.selector);
+    if (safe.length !== entry.selectors.length) {
+      ['selector', 'target'].forEach(field => {
+        if (entry[field] && !safe.some(candidate => candidate.selector === entry[field])) {
+          entry[field] = safe[0]?.selector;
+        }
+      });
+      entry.selectors = safe;
+    }
+  }
+  
+  if (entry.fingerprint) {
+    const { fingerprint } = entry;
+    ['name', 'text'].forEach(field => {
+      if (fingerprint[field] && redactText(fingerprint[field]) !== fingerprint[field]) delete fingerprint[field];
+    });
+    Object.entries(fingerprint.attributes || {}).forEach(([name, value]) => {
+      if (redactText(value) !== value) delete fingerprint.attributes[name];
+    });
+  }
+  return entry;
+}
@@ -0,0 +1,176 @@
+// Apex Agent - Recording Sessions
+// IndexedDB library of named recording sessions, written one entry at a time
+
+const DB_NAME = 'apex-agent';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('sessions')) {
+        db.createObjectStore('sessions', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('entries')) {
+        const entries = db.createObjectStore('entries', { keyPath: 'seq', autoIncrement: true });
+        entries.createIndex('sessionId', 'sessionId');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Runs fn inside a transaction and resolves with its result once the transaction commits
+async function withStores(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = names.map(name => tx.objectStore(name));
+    let result;
+    Promise.resolve(fn(...stores)).then(value => { result = value; }, error => {
+      reject(error);
+      try { tx.abort(); } catch (e) { /* already finished */ }
+    });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+// Entries are returned with their store key as a stable id
+function toEntry({ seq, sessionId, ...entry }) {
+  return { id: seq, ...entry };
+}
+
+export function defaultSessionName(date = new Date()) {
+  return `Recording ${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+export async function createSession({ name, url = '' } = {}) {
+  const now = Date.now();
+  const session = {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name || defaultSessionName(new Date(now)),
+    url,
+    createdAt: now,
+    updatedAt: now,
+    endedAt: null,
+    entryCount: 0
+  };
+  
+  await withStores(['sessions'], 'readwrite', sessions => promisify(sessions.add(session)));
+  return session;
+}
+
+export async function appendEntries(sessionId, newEntries) {
+  return withStores(['sessions', 'entries'], 'readwrite', async (sessions, entries) => {
+    const session = await promisify(sessions.get(sessionId));
+    if (!session) throw new Error(`Session not found: ${sessionId}`);
+    
+    const ids = await Promise.all(newEntries.map(({ id, ...entry }) => promisify(entries.add({ ...entry, sessionId }))));
+    session.entryCount += newEntries.length;
+    session.updatedAt = Date.now();
+    sessions.put(session);
+    return { session, ids };
+  });
+}
+
+export async function appendEntry(sessionId, entry) {
+  return appendEntries(sessionId, [entry]);
+}
+
+export async function listSessions() {
+  const sessions = await withStores(['sessions'], 'readonly', store => promisify(store.getAll()));
+  return sessions.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function getSession(id) {
+  return (await withStores(['sessions'], 'readonly', store => promisify(store.get(id)))) || null;
+}
+
+export async function getSessionEntries(id, { offset = 0, limit } = {}) {
+  if (!offset && limit === undefined) {
+    const entries = await withStores(['entries'], 'readonly', store => promisify(store.index('sessionId').getAll(id)));
+    return entries.map(toEntry);
+  }
+  if (limit === 0) return [];
+  
+  // A page walks the index from offset, so only the entries it returns are loaded
+  return withStores(['entries'], 'readonly', store => new Promise((resolve, reject) => {
+    const entries = [];
+    let skipped = !offset;
+    const req = store.index('sessionId').openCursor(IDBKeyRange.only(id));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(entries);
+      if (!skipped) {
+        skipped = true;
+        cursor.advance(offset);
+        return;
+      }
+      
+      entries.push(toEntry(cursor.value));
+      if (limit !== undefined && entries.length >= limit) return resolve(entries);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+export async function updateEntry(id, changes) {
+  return withStores(['entries'], 'readwrite', async entries => {
+    const entry = await promisify(entries.get(id));
+    if (!entry) throw new Error(`Entry not found: ${id}`);
+    
+    entries.put({ ...entry, ...changes, seq: id });
+  });
+}
+
+export async function updateSession(id, changes) {
+  return withStores(['sessions'], 'readwrite', async sessions => {
+    const session = await promisify(sessions.get(id));
+    if (!session) throw new Error(`Session not found: ${id}`);
+    
+    const updated = { ...session, ...changes, id, updatedAt: Date.now() };
+    sessions.put(updated);
+    return updated;
+  });
+}
+
+export async function renameSession(id, name) {
+  return updateSession(id, { name });
+}
+
+export async function clearSessionEntries(id) {
+  return withStores(['sessions', 'entries'], 'readwrite', async (sessions, entries) => {
+    const keys = await promisify(entries.index('sessionId').getAllKeys(id));
+    keys.forEach(key => entries.delete(key));
+    
+    const session = await promisify(sessions.get(id));
+    if (session) sessions.put({ ...session, entryCount: 0, updatedAt: Date.now() });
+  });
+}
+
+export async function deleteSession(id) {
+  await clearSessionEntries(id);
+  await withStores(['sessions'], 'readwrite', sessions => promisify(sessions.delete(id)));
+}
@@ -0,0 +1,190 @@
+// Apex Agent - Recording Steps
+// Normalizes recordLog entries into actionable steps shared by replay and script export
+
+import { REDACTED } from './redact.js';
+
+// Lone modifier keydowns are already captured as modifiers of the next key
+const MODIFIER_ONLY_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
+
+// Selector prefixes written by the content script's selector engine
+const SELECTOR_PREFIX = /^(aria|text|label|xpath|pierce)\//;
+
+export function selectorStrategy(selector) {
+  return SELECTOR_PREFIX.exec(selector || '')?.[1] || 'css';
+}
+
+// Entries recorded inside an iframe carry that frame's URL, so replay can find the frame again
+function frameUrl(entry) {
+  return entry.frameId ? entry.url || null : null;
+}
+
+// Tabs a recording ran in; older recordings carry no tabId and count as one tab
+export function recordingTabIds(log = []) {
+  return [...new Set(log.map(entry => entry.tabId).filter(id => id !== undefined && id !== null))];
+}
+
+// Values masked when recorded: the step keeps the marker and names the parameter replay and
+// exported scripts take the real value from instead, e.g. FIELD_PASSWORD
+function redactedFieldName(entry) {
+  const { attributes = {}, name } = entry.fingerprint || {};
+  return `FIELD_${toParamName(attributes.name || attributes.id || name || 'value')}`;
+}
+
+function redactedUrlName(url, logIndex) {
+  try {
+    const { pathname, hostname } = new URL(url);
+    return `URL_${toParamName(pathname.replace(/^\/+|\/+$/g, '') || hostname)}`;
+  } catch (e) {
+    return `URL_${logIndex}`;
+  }
+}
+
+function toParamName(text) {
+  return String(text).replace(/([a-z])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase() || 'VALUE';
+}
+
+// The value a redacted type step needs, from the values passed to replay
+export function resolveRedactedValue(step, values = {}) {
+  const value = values[step.valueName];
+  if (typeof value !== 'string') {
+    const what = step.kind === 'navigate' ? `The URL ${step.url}` : `The value typed into ${step.selector}`;
+    return { error: `${what} was redacted when recorded; pass it as values.${step.valueName}` };
+  }
+  return { value };
+}
+
+// A redacted URL matches any value where it was masked
+export function redactedUrlPattern(url) {
+  return new RegExp(`^${url.split(REDACTED).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^&#/]*')}$`);
+}
+
+// Ranked candidates for a step, falling back to its single selector for older recordings
+export function stepSelectors(step) {
+  if (step.selectors?.length) return step.selectors;
+  return step.selector ? [{ selector: step.selector, strategy: selectorStrategy(step.selector) }] : [];
+}
+
+// Convert recordLog entries into steps (DOM entries are observations, not actions)
+export function buildRecordingSteps(log = []) {
+  const steps = [];
+  
+  log.forEach((entry, logIndex) => {
+    switch (entry.type) {
+      case 'CLICK':
+        if (!entry.selector) return;
+        // A double-click is recorded after its two single clicks - fold them into one step
+        if (entry.doubleClick) {
+          for (let i = 0; i < 2; i++) {
+            const prev = steps[steps.length - 1];
+            if (prev?.kind === 'click' && prev.selector === entry.selector && !prev.doubleClick) steps.pop();
+          }
+        }
+        steps.push({
+          logIndex,
+          kind: 'click',
+          selector: entry.selector,
+          selectors: entry.selectors || [],
+          fingerprint: entry.fingerprint || null,
+          frameUrl: frameUrl(entry),
+          button: entry.rightClick ? 2 : (entry.button || 0),
+          doubleClick: !!entry.doubleClick,
+          details: entry.details
+        });
+        break;
+      
+      case 'KEYBOARD':
+        if (entry.after !== undefined) {
+          const redacted = !!entry.redacted && String(entry.after).includes(REDACTED);
+          steps.push({
+            logIndex,
+            kind: 'type',
+            selector: entry.target,
+            selectors: entry.selectors || [],
+            fingerprint: entry.fingerprint || null,
+            frameUrl: frameUrl(entry),
+            before: redacted ? '' : entry.before || '',
+            after: entry.after,
+            ...(redacted && { redacted: true, valueName: redactedFieldName(entry) }),
+            details: entry.details
+          });
+        } else if (entry.key === REDACTED) {
+          // A shortcut pressed in a sensitive field; the field's own type step carries what it typed
+          return;
+        } else if (entry.key && !MODIFIER_ONLY_KEYS.includes(entry.key)) {
+          steps.push({
+            logIndex,
+            kind: 'key',
+            selector: entry.target || null,
+            selectors: entry.selectors || [],
+            fingerprint: entry.fingerprint || null,
+            frameUrl: frameUrl(entry),
+            key: entry.key,
+            modifiers: (entry.modifiers || []).map(m => m.toLowerCase()),
+            details: entry.details
+          });
+        }
+        break;
+      
+      case 'SCROLL':
+        steps.push({
+          logIndex,
+          kind: 'scroll',
+          selector: entry.target || 'window',
+          selectors: entry.selectors || [],
+          fingerprint: entry.fingerprint || null,
+          frameUrl: frameUrl(entry),
+          to: entry.to,
+          details: entry.details
+        });
+        break;
+      
+      case 'NAVIGATION':
+        if (!entry.url) return;
+        // Consecutive navigation entries for the same URL collapse into one check
+        if (steps.length && steps[steps.length - 1].kind === 'navigate' && steps[steps.length - 1].url === entry.url &&
+          steps[steps.length - 1].tabId === (entry.tabId ?? null)) return;
+        steps.push({
+          logIndex,
+          kind: 'navigate',
+          url: entry.url,
+          ...(entry.url.includes(REDACTED) && { redacted: true, valueName: redactedUrlName(entry.url, logIndex) }),
+          details: entry.details
+        });
+        break;
+      
+      case 'ASSERTION':
+        if (!entry.assertion) return;
+        steps.push({
+          logIndex,
+          kind: 'assert',
+          selector: entry.assertion.selector || null,
+          selectors: entry.selectors || [],
+          fingerprint: entry.fingerprint || null,
+          frameUrl: frameUrl(entry),
+          assertion: entry.assertion,
+          details: entry.details
+        });
+        break;
+      
+      // Replay follows the flow into popups and other tabs it opened
+      case 'TAB':
+        if (!['open', 'switch', 'close'].includes(entry.action)) return;
+        steps.push({
+          logIndex,
+          kind: 'tab',
+          action: entry.action,
+          openerTabId: entry.openerTabId ?? null,
+          url: entry.url || null,
+          details: entry.details
+        });
+        break;
+    }
+    
+    // Steps run in the tab they were recorded in
+    if (steps.length && steps[steps.length - 1].logIndex === logIndex) {
+      steps[steps.length - 1].tabId = entry.tabId ?? null;
+    }
+  });
+  
+  return steps;
+}
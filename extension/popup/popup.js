@@ -1,5 +1,7 @@
 // Apex Agent - Popup Script
 
+import { generateScript } from '../lib/codegen.js';
+
 // State
 let isRecording = false;
 let isPaused = false;
@@ -11,6 +13,9 @@ let mcpConnected = false;
 let currentFilter = 'all';
 let searchQuery = '';
 let allLogs = [];
+let sessions = [];
+let currentSessionId = null;
+let activeSessionId = null;
 
 // Elements
 const elements = {
@@ -24,6 +29,7 @@ const elements = {
   // Record
   recordBtn: document.getElementById('recordBtn'),
   pauseBtn: document.getElementById('pauseBtn'),
+  assertBtn: document.getElementById('assertBtn'),
   recordTimer: document.getElementById('recordTimer'),
   logContainer: document.getElementById('logContainer'),
   logCount: document.getElementById('logCount'),
@@ -32,6 +38,17 @@ const elements = {
   copyLogBtn: document.getElementById('copyLogBtn'),
   clearLogBtn: document.getElementById('clearLogBtn'),
   exportLogBtn: document.getElementById('exportLogBtn'),
+  sessionList: document.getElementById('sessionList'),
+  exportFormat: document.getElementById('exportFormat'),
+  importLogBtn: document.getElementById('importLogBtn'),
+  importLogFile: document.getElementById('importLogFile'),
+  
+  // Replay
+  replayBtn: document.getElementById('replayBtn'),
+  replayPauseBtn: document.getElementById('replayPauseBtn'),
+  replayStepBtn: document.getElementById('replayStepBtn'),
+  replayStopBtn: document.getElementById('replayStopBtn'),
+  replayStatus: document.getElementById('replayStatus'),
   
   // Recording options
   trackClicks: document.getElementById('trackClicks'),
@@ -39,8 +56,10 @@ const elements = {
   trackScroll: document.getElementById('trackScroll'),
   trackDOMChanges: document.getElementById('trackDOMChanges'),
   skipDynamic: document.getElementById('skipDynamic'),
+  captureNetwork: document.getElementById('captureNetwork'),
   dynamicThreshold: document.getElementById('dynamicThreshold'),
   thresholdValue: document.getElementById('thresholdValue'),
+  redactSelectors: document.getElementById('redactSelectors'),
   
   // Collapsibles
   collapsibles: document.querySelectorAll('.collapsible'),
@@ -62,6 +81,7 @@ const elements = {
   allowNavigation: document.getElementById('allowNavigation'),
   allowScripts: document.getElementById('allowScripts'),
   allowScreenshot: document.getElementById('allowScreenshot'),
+  allowTrustedInput: document.getElementById('allowTrustedInput'),
   showCursor: document.getElementById('showCursor'),
   highlightTarget: document.getElementById('highlightTarget'),
   showTooltips: document.getElementById('showTooltips'),
@@ -80,6 +100,7 @@ async function init() {
   setupTabs();
   setupCollapsibles();
   setupRecordControls();
+  setupReplayControls();
   setupFilters();
   setupSearch();
   setupMCPControls();
@@ -90,6 +111,7 @@ async function init() {
   await loadSettings();
   await checkMCPStatus();
   await loadRecordingState();
+  await loadReplayStatus();
 }
 
 // Tab Navigation
@@ -143,9 +165,13 @@ function loadCollapsibleStates(states) {
 function setupRecordControls() {
   elements.recordBtn.addEventListener('click', toggleRecording);
   elements.pauseBtn.addEventListener('click', togglePause);
+  elements.assertBtn.addEventListener('click', startAssertMode);
   elements.copyLogBtn.addEventListener('click', copyLog);
   elements.clearLogBtn.addEventListener('click', clearLog);
   elements.exportLogBtn.addEventListener('click', exportLog);
+  elements.exportFormat.addEventListener('change', saveSettings);
+  elements.importLogBtn.addEventListener('click', () => elements.importLogFile.click());
+  elements.importLogFile.addEventListener('change', importLog);
   
   // Threshold slider
   elements.dynamicThreshold.addEventListener('input', (e) => {
@@ -155,7 +181,8 @@ function setupRecordControls() {
   
   // Options change
   [elements.trackClicks, elements.trackKeyboard, elements.trackScroll, 
-   elements.trackDOMChanges, elements.skipDynamic].forEach(el => {
+   elements.trackDOMChanges, elements.skipDynamic, elements.captureNetwork,
+   elements.redactSelectors].forEach(el => {
     el.addEventListener('change', () => {
       saveSettings();
       updateRecordingOptions();
@@ -172,11 +199,26 @@ async function toggleRecording() {
     elements.recordBtn.classList.remove('recording', 'paused');
     elements.recordBtn.querySelector('.record-text').textContent = 'Record';
     elements.pauseBtn.disabled = true;
+    elements.assertBtn.disabled = true;
     elements.statusIndicator.classList.remove('recording', 'paused');
     elements.statusIndicator.querySelector('.status-text').textContent = 'Idle';
     
-    await sendToActiveTab({ type: 'STOP_RECORDING' });
+    await chrome.runtime.sendMessage({ type: 'STOP_RECORDING_SESSION' });
+    await loadSessions();
   } else {
+    // Every recording goes into a new session; the background starts it in the tab
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const result = await chrome.runtime.sendMessage({
+      type: 'START_RECORDING_SESSION',
+      tabId: tab?.id,
+      url: tab?.url,
+      options: getRecordingOptions()
+    });
+    if (result?.error) {
+      showToast(result.error, 'error');
+      return;
+    }
+    
     // Start recording
     isRecording = true;
     isPaused = false;
@@ -186,13 +228,14 @@ async function toggleRecording() {
     elements.recordBtn.classList.add('recording');
     elements.recordBtn.querySelector('.record-text').textContent = 'Stop';
     elements.pauseBtn.disabled = false;
+    elements.assertBtn.disabled = false;
     elements.statusIndicator.classList.add('recording');
     elements.statusIndicator.querySelector('.status-text').textContent = 'Recording';
     
-    await sendToActiveTab({
-      type: 'START_RECORDING',
-      options: getRecordingOptions()
-    });
+    currentSessionId = activeSessionId = result.session.id;
+    allLogs = [];
+    clearLogDisplay();
+    await loadSessions();
   }
   
   chrome.storage.local.set({ isRecording, isPaused, recordingStartTime, pausedDuration });
@@ -216,8 +259,9 @@ async function togglePause() {
     elements.statusIndicator.classList.remove('recording');
     elements.statusIndicator.classList.add('paused');
     elements.statusIndicator.querySelector('.status-text').textContent = 'Paused';
+    elements.assertBtn.disabled = true;
     
-    await sendToActiveTab({ type: 'PAUSE_RECORDING' });
+    await chrome.runtime.sendMessage({ type: 'PAUSE_RECORDING_SESSION' });
   } else {
     pausedDuration += Date.now() - pauseStartTime;
     elements.recordBtn.classList.remove('paused');
@@ -232,20 +276,32 @@ async function togglePause() {
     elements.statusIndicator.classList.remove('paused');
     elements.statusIndicator.classList.add('recording');
     elements.statusIndicator.querySelector('.status-text').textContent = 'Recording';
+    elements.assertBtn.disabled = false;
     
-    await sendToActiveTab({ type: 'RESUME_RECORDING' });
+    await chrome.runtime.sendMessage({ type: 'RESUME_RECORDING_SESSION' });
   }
   
   chrome.storage.local.set({ isPaused, pausedDuration });
 }
 
-async function updateRecordingOptions() {
-  if (isRecording && !isPaused) {
-    await sendToActiveTab({
-      type: 'UPDATE_OPTIONS',
-      options: getRecordingOptions()
-    });
+// Hands off to the page: the next click there picks the element to assert on
+async function startAssertMode() {
+  if (!isRecording || isPaused) return;
+  
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const result = await chrome.runtime.sendMessage({ type: 'SET_ASSERT_MODE', enabled: true, tabId: tab?.id });
+  if (result?.error) {
+    showToast(result.error, 'error');
+    return;
   }
+  showToast('Click an element in the page to assert on it', 'success');
+}
+
+async function updateRecordingOptions() {
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_RECORDING_OPTIONS',
+    options: getRecordingOptions()
+  });
 }
 
 function getRecordingOptions() {
@@ -255,7 +311,9 @@ function getRecordingOptions() {
     trackScroll: elements.trackScroll.checked,
     trackDOMChanges: elements.trackDOMChanges.checked,
     skipDynamic: elements.skipDynamic.checked,
-    dynamicThreshold: parseInt(elements.dynamicThreshold.value)
+    captureNetwork: elements.captureNetwork.checked,
+    dynamicThreshold: parseInt(elements.dynamicThreshold.value),
+    redactSelectors: elements.redactSelectors.value.split(',').map(s => s.trim()).filter(Boolean)
   };
 }
 
@@ -284,7 +342,7 @@ function updateTimer() {
 
 async function loadRecordingState() {
   const state = await chrome.storage.local.get([
-    'isRecording', 'isPaused', 'recordingStartTime', 'pausedDuration', 'recordLog', 'activeTab'
+    'isRecording', 'isPaused', 'recordingStartTime', 'pausedDuration', 'activeTab'
   ]);
   
   // Default to MCP tab, or restore saved tab
@@ -316,13 +374,149 @@ async function loadRecordingState() {
       elements.statusIndicator.querySelector('.status-text').textContent = 'Recording';
     }
     elements.pauseBtn.disabled = false;
+    elements.assertBtn.disabled = isPaused;
     startTimer();
   }
   
-  if (state.recordLog && state.recordLog.length > 0) {
-    allLogs = state.recordLog;
-    renderFilteredLogs();
+  await loadSessions();
+  if (currentSessionId) await openSession(currentSessionId, { quiet: true });
+}
+
+// Sessions
+async function loadSessions() {
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'LIST_SESSIONS' });
+    sessions = result?.sessions || [];
+    currentSessionId = result?.currentSessionId || null;
+    activeSessionId = result?.activeSessionId || null;
+  } catch (e) {
+    // Background may still be starting
+  }
+  renderSessions();
+}
+
+function renderSessions() {
+  if (sessions.length === 0) {
+    elements.sessionList.innerHTML = '<p class="session-empty">No saved sessions yet</p>';
+    return;
+  }
+  
+  elements.sessionList.innerHTML = '';
+  sessions.forEach(session => {
+    const item = document.createElement('div');
+    item.className = 'session-item';
+    item.classList.toggle('active', session.id === currentSessionId);
+    item.classList.toggle('recording', session.id === activeSessionId);
+    item.innerHTML = `
+      <div class="session-info">
+        <span class="session-name" title="${escapeHtml(session.name)}">${escapeHtml(session.name)}</span>
+        <span class="session-meta">${formatSessionDate(session.createdAt)} · ${session.entryCount} ${session.entryCount === 1 ? 'entry' : 'entries'}</span>
+      </div>
+      <div class="session-actions">
+        <button class="action-btn" data-action="open" title="Open">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 7V19C3 20.1046 3.89543 21 5 21H19C20.1046 21 21 20.1046 21 19V9C21 7.89543 20.1046 7 19 7H12L10 4H5C3.89543 4 3 4.89543 3 6"/>
+          </svg>
+        </button>
+        <button class="action-btn" data-action="rename" title="Rename">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M12 20H21"/>
+            <path d="M16.5 3.5C17.3284 2.67157 18.6716 2.67157 19.5 3.5C20.3284 4.32843 20.3284 5.67157 19.5 6.5L7 19L3 20L4 16L16.5 3.5Z"/>
+          </svg>
+        </button>
+        <button class="action-btn" data-action="delete" title="Delete">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 6H5H21"/>
+            <path d="M8 6V4C8 3.44772 8.44772 3 9 3H15C15.5523 3 16 3.44772 16 4V6M19 6V20C19 20.5523 18.5523 21 18 21H6C5.44772 21 5 20.5523 5 20V6H19Z"/>
+          </svg>
+        </button>
+      </div>
+    `;
+    
+    item.querySelector('[data-action="open"]').addEventListener('click', () => openSession(session.id));
+    item.querySelector('[data-action="rename"]').addEventListener('click', () => startRenameSession(item, session));
+    item.querySelector('[data-action="delete"]').addEventListener('click', (e) => deleteSession(session, e.currentTarget));
+    elements.sessionList.appendChild(item);
+  });
+}
+
+async function openSession(sessionId, { quiet = false } = {}) {
+  const result = await chrome.runtime.sendMessage({ type: 'OPEN_SESSION', sessionId });
+  if (result?.error) {
+    if (!quiet) showToast(result.error, 'error');
+    return;
+  }
+  
+  currentSessionId = sessionId;
+  allLogs = result.entries;
+  if (allLogs.length > 0) renderFilteredLogs();
+  else clearLogDisplay();
+  renderSessions();
+  if (!quiet) showToast(`Opened ${result.session.name}`);
+}
+
+function startRenameSession(item, session) {
+  const nameEl = item.querySelector('.session-name');
+  const input = document.createElement('input');
+  input.className = 'session-name-input';
+  input.value = session.name;
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+  
+  let done = false;
+  const finish = async (save) => {
+    if (done) return;
+    done = true;
+    const name = input.value.trim();
+    if (save && name && name !== session.name) {
+      const result = await chrome.runtime.sendMessage({ type: 'RENAME_SESSION', sessionId: session.id, name });
+      if (result?.error) showToast(result.error, 'error');
+    }
+    await loadSessions();
+  };
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+// First click arms the button, a second click within 3s deletes
+async function deleteSession(session, button) {
+  if (!button.classList.contains('confirm')) {
+    button.classList.add('confirm');
+    button.title = 'Click again to delete';
+    setTimeout(() => {
+      button.classList.remove('confirm');
+      button.title = 'Delete';
+    }, 3000);
+    return;
+  }
+  
+  const result = await chrome.runtime.sendMessage({ type: 'DELETE_SESSION', sessionId: session.id });
+  if (result?.error) {
+    showToast(result.error, 'error');
+    return;
+  }
+  
+  if (session.id === currentSessionId) {
+    currentSessionId = null;
+    allLogs = [];
+    clearLogDisplay();
   }
+  await loadSessions();
+  showToast('Session deleted');
+}
+
+function formatSessionDate(timestamp) {
+  return new Date(timestamp).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
 }
 
 // Filters
@@ -409,7 +603,20 @@ function addLogEntryElement(entry) {
   const div = document.createElement('div');
   div.className = 'log-entry';
   div.dataset.type = entry.type.toLowerCase();
+  div.dataset.index = allLogs.indexOf(entry);
+  if (entry.id !== undefined) div.dataset.id = entry.id;
+  
+  // Entries with captured network activity expand to show their requests
+  div.addEventListener('click', () => {
+    if (div.classList.contains('has-network')) div.classList.toggle('expanded');
+  });
   
+  fillLogEntryElement(div, entry);
+  elements.logContainer.appendChild(div);
+  elements.logContainer.scrollTop = elements.logContainer.scrollHeight;
+}
+
+function fillLogEntryElement(div, entry) {
   const typeClass = entry.type.toLowerCase();
   const time = formatTime(entry.timestamp);
   
@@ -423,27 +630,59 @@ function addLogEntryElement(entry) {
     `;
   }
   
+  const network = entry.network || [];
+  const networkHtml = network.length ? `<div class="log-network">${renderNetworkRows(network)}</div>` : '';
+  
   div.innerHTML = `
     <div class="log-entry-header">
       <span class="log-type ${typeClass}">${entry.type}</span>
+      ${entry.redacted ? '<span class="log-redacted" title="Sensitive values were masked">redacted</span>' : ''}
+      ${entry.tabId !== undefined ? `<span class="log-tab" title="Tab ${entry.tabId}, frame ${entry.frameId ?? 0}">tab ${entry.tabId}</span>` : ''}
+      ${network.length ? `<span class="log-network-count" title="Network requests">${network.length} req</span>` : ''}
       <span class="log-time">${time}</span>
     </div>
     <div class="log-details">${escapeHtml(entry.details)}</div>
     ${changeHtml}
+    ${networkHtml}
   `;
+  div.classList.toggle('has-network', network.length > 0);
+}
+
+function renderNetworkRows(network) {
+  return network.map(req => {
+    const failed = req.error || req.status >= 400;
+    const status = req.error || req.status || '…';
+    let path = req.url;
+    try {
+      const url = new URL(req.url);
+      path = url.pathname + url.search;
+    } catch (e) {
+      // Keep the raw URL (data:, blob:)
+    }
+    return `
+      <div class="log-network-row">
+        <span class="net-method">${escapeHtml(req.method)}</span>
+        <span class="net-status ${failed ? 'failed' : ''}">${escapeHtml(status)}</span>
+        <span class="net-url" title="${escapeHtml(req.url)}">${escapeHtml(truncate(path, 60))}</span>
+        <span class="net-time">${req.duration !== undefined ? `${req.duration}ms` : ''}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+// Network capture fills in requests after the entry was logged
+function updateLogEntry(id, changes) {
+  const entry = allLogs.find(e => e.id === id);
+  if (!entry) return;
   
-  elements.logContainer.appendChild(div);
-  elements.logContainer.scrollTop = elements.logContainer.scrollHeight;
+  Object.assign(entry, changes);
+  const div = elements.logContainer.querySelector(`.log-entry[data-id="${id}"]`);
+  if (div) fillLogEntryElement(div, entry);
 }
 
 function addLogEntry(entry) {
   allLogs.push(entry);
   
-  // Keep max 500 entries
-  if (allLogs.length > 500) {
-    allLogs = allLogs.slice(-500);
-  }
-  
   // Only add to DOM if matches current filter
   const matchesFilter = currentFilter === 'all' || entry.type.toLowerCase() === currentFilter;
   const matchesSearch = !searchQuery || 
@@ -502,7 +741,8 @@ async function copyLog() {
 
 async function clearLog() {
   allLogs = [];
-  await chrome.storage.local.set({ recordLog: [] });
+  await chrome.runtime.sendMessage({ type: 'CLEAR_SESSION', sessionId: currentSessionId });
+  await loadSessions();
   clearLogDisplay();
   showToast('Log cleared');
 }
@@ -513,16 +753,127 @@ async function exportLog() {
     return;
   }
   
-  const blob = new Blob([JSON.stringify(allLogs, null, 2)], { type: 'application/json' });
+  const result = generateScript(allLogs, elements.exportFormat.value);
+  if (result.error) {
+    showToast(result.error, 'error');
+    return;
+  }
+  
+  const type = result.format === 'json' ? 'application/json' : 'text/javascript';
+  const blob = new Blob([result.code], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `apex-agent-${new Date().toISOString().slice(0, 10)}.json`;
+  a.download = `apex-agent-${new Date().toISOString().slice(0, 10)}.${result.extension}`;
   a.click();
   URL.revokeObjectURL(url);
   showToast('Exported successfully');
 }
 
+async function importLog(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  if (isRecording) {
+    showToast('Stop recording before importing', 'error');
+    return;
+  }
+  
+  // Imported flows become a new session
+  const result = await chrome.runtime.sendMessage({ type: 'IMPORT_DEVTOOLS_RECORDING', flow: await file.text() });
+  if (result?.error) {
+    showToast(result.error, 'error');
+    return;
+  }
+  
+  await loadSessions();
+  await openSession(result.sessionId, { quiet: true });
+  
+  const skipped = result.skipped.length ? ` (${result.skipped.length} skipped)` : '';
+  showToast(`Imported ${result.imported} entries${skipped}`);
+}
+
+// Replay Controls
+function setupReplayControls() {
+  elements.replayBtn.addEventListener('click', startReplay);
+  elements.replayPauseBtn.addEventListener('click', toggleReplayPause);
+  elements.replayStepBtn.addEventListener('click', () => chrome.runtime.sendMessage({ type: 'STEP_REPLAY' }));
+  elements.replayStopBtn.addEventListener('click', () => chrome.runtime.sendMessage({ type: 'STOP_REPLAY' }));
+}
+
+async function startReplay() {
+  if (isRecording) {
+    showToast('Stop recording before replaying', 'error');
+    return;
+  }
+  if (allLogs.length === 0) {
+    showToast('No recording to replay', 'error');
+    return;
+  }
+  
+  const response = await chrome.runtime.sendMessage({ type: 'START_REPLAY' });
+  if (response?.error) {
+    showToast(response.error, 'error');
+  } else {
+    showToast(`Replaying ${response.total} steps`);
+  }
+}
+
+async function toggleReplayPause() {
+  const status = await chrome.runtime.sendMessage({ type: 'GET_REPLAY_STATUS' });
+  await chrome.runtime.sendMessage({ type: status?.status === 'paused' ? 'RESUME_REPLAY' : 'PAUSE_REPLAY' });
+}
+
+async function loadReplayStatus() {
+  try {
+    const status = await chrome.runtime.sendMessage({ type: 'GET_REPLAY_STATUS' });
+    if (status) updateReplayUI(status);
+  } catch (e) {
+    // Background may still be starting
+  }
+}
+
+function updateReplayUI(status) {
+  const running = status.status === 'playing' || status.status === 'paused';
+  
+  elements.replayBtn.disabled = running;
+  elements.replayPauseBtn.disabled = !running;
+  elements.replayStepBtn.disabled = status.status !== 'paused';
+  elements.replayStopBtn.disabled = !running;
+  elements.replayPauseBtn.title = status.status === 'paused' ? 'Resume replay' : 'Pause replay';
+  
+  const labels = {
+    idle: 'Replay idle',
+    playing: `Step ${status.index + 1}/${status.total}`,
+    paused: `Paused ${status.index}/${status.total}`,
+    done: `Done ${status.passed}/${status.total}`,
+    stopped: `Stopped ${status.index}/${status.total}`,
+    failed: `Failed at ${status.index}/${status.total}`
+  };
+  elements.replayStatus.textContent = labels[status.status] || status.status;
+  elements.replayStatus.className = `replay-status ${status.status}`;
+  
+  // Mark the log entry being replayed and any that failed
+  elements.logContainer.querySelectorAll('.replay-current').forEach(el => el.classList.remove('replay-current'));
+  if (running && status.current) {
+    const current = elements.logContainer.querySelector(`.log-entry[data-index="${status.current.logIndex}"]`);
+    if (current) {
+      current.classList.add('replay-current');
+      current.scrollIntoView({ block: 'nearest' });
+    }
+  }
+  (status.results || []).filter(r => !r.success).forEach(r => {
+    elements.logContainer.querySelector(`.log-entry[data-index="${r.logIndex}"]`)?.classList.add('replay-failed');
+  });
+  (status.results || []).filter(r => r.success && r.healed).forEach(r => {
+    const entry = elements.logContainer.querySelector(`.log-entry[data-index="${r.logIndex}"]`);
+    if (!entry) return;
+    entry.classList.add('replay-healed');
+    entry.title = `Healed (${r.healed.strategy}): ${r.healed.selector}`;
+  });
+}
+
 // MCP Controls
 function setupMCPControls() {
   elements.startMcpBtn.addEventListener('click', toggleMCPServer);
@@ -622,8 +973,8 @@ function setupAgentControls() {
   elements.agentEnabled.addEventListener('change', toggleAgent);
   
   [elements.allowMouse, elements.allowKeyboard, elements.allowNavigation,
-   elements.allowScripts, elements.allowScreenshot, elements.showCursor,
-   elements.highlightTarget, elements.showTooltips].forEach(el => {
+   elements.allowScripts, elements.allowScreenshot, elements.allowTrustedInput,
+   elements.showCursor, elements.highlightTarget, elements.showTooltips].forEach(el => {
     el.addEventListener('change', () => {
       saveSettings();
       updateAgentPermissions();
@@ -661,6 +1012,7 @@ function getAgentPermissions() {
     navigation: elements.allowNavigation.checked,
     scripts: elements.allowScripts.checked,
     screenshot: elements.allowScreenshot.checked,
+    trustedInput: elements.allowTrustedInput.checked,
     showCursor: elements.showCursor.checked,
     highlightTarget: elements.highlightTarget.checked,
     showTooltips: elements.showTooltips.checked
@@ -816,10 +1168,10 @@ function setupSettingsPanel() {
 async function loadSettings() {
   const settings = await chrome.storage.local.get([
     'trackClicks', 'trackKeyboard', 'trackScroll', 'trackDOMChanges',
-    'skipDynamic', 'dynamicThreshold', 'mcpPort', 'mcpHost',
+    'skipDynamic', 'captureNetwork', 'dynamicThreshold', 'redactSelectors', 'mcpPort', 'mcpHost',
     'agentEnabled', 'allowMouse', 'allowKeyboard', 'allowNavigation',
-    'allowScripts', 'allowScreenshot', 'showCursor', 'highlightTarget', 
-    'showTooltips', 'collapsibleStates'
+    'allowScripts', 'allowScreenshot', 'allowTrustedInput', 'showCursor', 'highlightTarget', 
+    'showTooltips', 'collapsibleStates', 'exportFormat'
   ]);
   
   // Apply settings with defaults
@@ -828,8 +1180,10 @@ async function loadSettings() {
   elements.trackScroll.checked = settings.trackScroll ?? true;
   elements.trackDOMChanges.checked = settings.trackDOMChanges ?? true;
   elements.skipDynamic.checked = settings.skipDynamic ?? true;
+  elements.captureNetwork.checked = settings.captureNetwork ?? false;
   elements.dynamicThreshold.value = settings.dynamicThreshold ?? 500;
   elements.thresholdValue.textContent = `${settings.dynamicThreshold ?? 500}ms`;
+  elements.redactSelectors.value = settings.redactSelectors ?? '';
   elements.mcpPort.value = settings.mcpPort ?? 3052;
   elements.mcpHost.value = settings.mcpHost ?? 'localhost';
   elements.agentEnabled.checked = settings.agentEnabled ?? true;
@@ -838,9 +1192,11 @@ async function loadSettings() {
   elements.allowNavigation.checked = settings.allowNavigation ?? true;
   elements.allowScripts.checked = settings.allowScripts ?? true;
   elements.allowScreenshot.checked = settings.allowScreenshot ?? false;
+  elements.allowTrustedInput.checked = settings.allowTrustedInput ?? false;
   elements.showCursor.checked = settings.showCursor ?? true;
   elements.highlightTarget.checked = settings.highlightTarget ?? true;
   elements.showTooltips.checked = settings.showTooltips ?? true;
+  elements.exportFormat.value = settings.exportFormat ?? 'json';
   
   loadCollapsibleStates(settings.collapsibleStates);
   updateMCPConfig();
@@ -853,7 +1209,9 @@ function saveSettings() {
     trackScroll: elements.trackScroll.checked,
     trackDOMChanges: elements.trackDOMChanges.checked,
     skipDynamic: elements.skipDynamic.checked,
+    captureNetwork: elements.captureNetwork.checked,
     dynamicThreshold: parseInt(elements.dynamicThreshold.value),
+    redactSelectors: elements.redactSelectors.value,
     mcpPort: parseInt(elements.mcpPort.value),
     mcpHost: elements.mcpHost.value,
     agentEnabled: elements.agentEnabled.checked,
@@ -862,24 +1220,15 @@ function saveSettings() {
     allowNavigation: elements.allowNavigation.checked,
     allowScripts: elements.allowScripts.checked,
     allowScreenshot: elements.allowScreenshot.checked,
+    allowTrustedInput: elements.allowTrustedInput.checked,
     showCursor: elements.showCursor.checked,
     highlightTarget: elements.highlightTarget.checked,
-    showTooltips: elements.showTooltips.checked
+    showTooltips: elements.showTooltips.checked,
+    exportFormat: elements.exportFormat.value
   });
 }
 
 // Utility
-async function sendToActiveTab(message) {
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (tab?.id) {
-    try {
-      await chrome.tabs.sendMessage(tab.id, message);
-    } catch (e) {
-      // Content script may not be loaded
-    }
-  }
-}
-
 function showToast(message, type = 'success') {
   const existing = document.querySelector('.toast');
   if (existing) existing.remove();
@@ -901,11 +1250,20 @@ function showToast(message, type = 'success') {
 // Listen for messages
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'LOG_ENTRY') {
-    addLogEntry(message.entry);
+    if (message.sessionId === currentSessionId) addLogEntry(message.entry);
+  } else if (message.type === 'LOG_ENTRY_UPDATED') {
+    if (message.sessionId === currentSessionId) updateLogEntry(message.id, message.changes);
+  } else if (message.type === 'SESSIONS_CHANGED') {
+    loadSessions();
   } else if (message.type === 'AGENT_ACTIVITY') {
     addAgentActivity(message.action);
   } else if (message.type === 'MCP_STATUS_CHANGED') {
     updateMCPUI(message.connected);
+  } else if (message.type === 'REPLAY_STATUS_CHANGED') {
+    updateReplayUI(message.status);
+    if (message.status.status === 'failed') {
+      showToast(message.status.results[0]?.error || 'Replay step failed', 'error');
+    }
   }
 });
 
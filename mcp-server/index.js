@@ -4,6 +4,12 @@ import { WebSocketServer, WebSocket } from 'ws';
 import { createServer } from 'http';
 import { connect } from 'net';
 import { createInterface } from 'readline';
+import { mkdir, readFile, stat, writeFile } from 'fs/promises';
+import { basename, extname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import jpeg from 'jpeg-js';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
 
 const PORT = parseInt(process.env.PORT) || 3052;
 const log = (m) => process.stderr.write(`[MCP] ${m}\n`);
@@ -14,18 +20,35 @@ let requestId = 0;
 let requestQueue = [];
 let isProcessingQueue = false;
 
+const DEFAULT_TOOL_TIMEOUT = 30000;
+// Tools that legitimately run longer than a single browser action
+const TOOL_TIMEOUTS = {
+  replay_recording: 300000
+};
+
 const TOOLS = [
   // Browser Control
   { name: 'browser_navigate', description: 'Navigate to URL', inputSchema: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] } },
-  { name: 'browser_click', description: 'Click element by CSS selector', inputSchema: { type: 'object', properties: { selector: { type: 'string' } }, required: ['selector'] } },
-  { name: 'browser_type', description: 'Type text into element', inputSchema: { type: 'object', properties: { selector: { type: 'string' }, text: { type: 'string' } }, required: ['selector', 'text'] } },
-  { name: 'browser_snapshot', description: 'Get page snapshot with interactive elements', inputSchema: { type: 'object', properties: {} } },
+  { name: 'browser_click', description: 'Click element by selector (CSS, or aria/Name[role="button"], text/..., label/..., xpath/..., pierce/...; "host >>> inner" enters shadow roots)', inputSchema: { type: 'object', properties: { selector: { type: 'string' }, trusted: { type: 'boolean', description: 'Send real (isTrusted) input through the debugger instead of synthetic DOM events (default: the popup\'s Trusted Input setting)' } }, required: ['selector'] } },
+  { name: 'browser_type', description: 'Type text into element', inputSchema: { type: 'object', properties: { selector: { type: 'string' }, text: { type: 'string' }, trusted: { type: 'boolean', description: 'Send real (isTrusted) input through the debugger instead of synthetic DOM events (default: the popup\'s Trusted Input setting)' } }, required: ['selector', 'text'] } },
+  { name: 'browser_snapshot', description: 'Get page snapshot with interactive elements (elements inside iframes are listed per frame under "frames"). Each element has a ref that action tools accept in place of a selector', inputSchema: { type: 'object', properties: { mode: { type: 'string', enum: ['elements', 'a11y'], description: 'elements = flat list of interactive elements (default); a11y = accessibility tree of roles, names and states' }, viewportOnly: { type: 'boolean', description: 'Only what is currently scrolled into view (default: false)' }, region: { type: 'string', description: 'Selector or ref of the element to snapshot instead of the whole page (e.g. a summary\'s region)' }, offset: { type: 'number', description: 'Index of the first element/node to return, from a previous nextOffset (default: 0)' }, limit: { type: 'number', description: 'Max elements/nodes to return (default: all)' }, maxTokens: { type: 'number', description: 'Approximate size budget: long runs of repeated items are summarised, then the page ends with a nextOffset' }, diff: { type: 'boolean', description: 'Only report what was added, changed or removed since the last snapshot with the same mode, region and viewportOnly' } } } },
+  { name: 'list_frames', description: 'List the frames in the page (frameId, parentFrameId, url) for use as the "frame" parameter', inputSchema: { type: 'object', properties: {} } },
   { name: 'browser_scroll', description: 'Scroll page', inputSchema: { type: 'object', properties: { direction: { type: 'string', enum: ['up', 'down', 'left', 'right'] }, amount: { type: 'number' } } } },
-  { name: 'browser_press_key', description: 'Press a keyboard key (Enter, Escape, ArrowUp, ArrowDown, Tab, etc.)', inputSchema: { type: 'object', properties: { key: { type: 'string', description: 'Key to press: Enter, Escape, Tab, ArrowUp, ArrowDown, ArrowLeft, ArrowRight, Backspace, Delete, Space, F1-F12, or any character' }, selector: { type: 'string', description: 'Optional element selector to focus before pressing' }, modifiers: { type: 'array', items: { type: 'string', enum: ['ctrl', 'shift', 'alt', 'meta'] }, description: 'Modifier keys to hold' }, repeat: { type: 'number', description: 'Number of times to press the key' } }, required: ['key'] } },
+  { name: 'browser_press_key', description: 'Press a keyboard key (Enter, Escape, ArrowUp, ArrowDown, Tab, etc.)', inputSchema: { type: 'object', properties: { key: { type: 'string', description: 'Key to press: Enter, Escape, Tab, ArrowUp, ArrowDown, ArrowLeft, ArrowRight, Backspace, Delete, Space, F1-F12, or any character' }, selector: { type: 'string', description: 'Optional element selector to focus before pressing' }, modifiers: { type: 'array', items: { type: 'string', enum: ['ctrl', 'shift', 'alt', 'meta'] }, description: 'Modifier keys to hold' }, repeat: { type: 'number', description: 'Number of times to press the key' }, trusted: { type: 'boolean', description: 'Send real (isTrusted) input through the debugger instead of synthetic DOM events (default: the popup\'s Trusted Input setting)' } }, required: ['key'] } },
+  { name: 'browser_drag', description: 'Drag from one element or point to another with real mouse input (Kanban cards, sortable lists, sliders, resize handles). Native HTML5 drags are completed too', inputSchema: { type: 'object', properties: { from: { type: ['string', 'object'], description: 'Selector, {x, y} viewport point, or {selector, x, y} offset inside the element' }, to: { type: ['string', 'object'], description: 'Drop selector or point, same forms as from' }, mode: { type: 'string', enum: ['pointer', 'html5'], description: 'pointer = real mouse events via CDP (default); html5 = synthetic dragstart/dragover/drop events without the debugger' }, steps: { type: 'number', description: 'Intermediate mouse moves (default: 10)' }, duration: { type: 'number', description: 'Drag duration in ms (default: 300)' } }, required: ['from', 'to'] } },
+  { name: 'browser_mouse_path', description: 'Move the real mouse through a sequence of points, pressing or releasing the button along the way (drawing on canvas, custom gestures)', inputSchema: { type: 'object', properties: { points: { type: 'array', items: { type: 'object', properties: { x: { type: 'number' }, y: { type: 'number' }, selector: { type: 'string' }, down: { type: 'boolean', description: 'Press (true) or release (false) the button at this point; omitted keeps the current state' }, delay: { type: 'number', description: 'Pause after this point in ms' } } }, description: 'Points as {x, y} viewport pixels or {selector, x?, y?}' }, button: { type: 'number', description: '0 = left (default), 1 = middle, 2 = right' }, delay: { type: 'number', description: 'Default pause between points in ms (default: 16)' } }, required: ['points'] } },
+  { name: 'browser_long_press', description: 'Press and hold on an element or point (context menus, long-press gestures)', inputSchema: { type: 'object', properties: { selector: { type: 'string' }, x: { type: 'number', description: 'Viewport x when no selector is given' }, y: { type: 'number', description: 'Viewport y when no selector is given' }, duration: { type: 'number', description: 'Hold time in ms (default: 800)' }, touch: { type: 'boolean', description: 'Use a touch instead of the mouse (default: false)' } } } },
+  { name: 'browser_select_option', description: 'Choose options in a native <select> by value, visible label or index (arrays select several in a multi-select)', inputSchema: { type: 'object', properties: { selector: { type: 'string', description: 'The <select> or its <label>' }, value: { type: ['string', 'array'], items: { type: 'string' }, description: 'Option value(s)' }, label: { type: ['string', 'array'], items: { type: 'string' }, description: 'Option text(s); exact match first, then contains' }, index: { type: ['number', 'array'], items: { type: 'number' }, description: 'Option index(es), 0-based' } }, required: ['selector'] } },
+  { name: 'browser_set_checked', description: 'Check or uncheck a checkbox, radio button or ARIA switch (no-op when already in that state)', inputSchema: { type: 'object', properties: { selector: { type: 'string', description: 'The control or its <label>' }, checked: { type: 'boolean', description: 'Desired state (default: true)' } }, required: ['selector'] } },
+  { name: 'browser_set_value', description: 'Set any form field the way its type expects (text, number, date/time as ISO strings, range, color, select, checkbox, contenteditable) and fire input/change so framework state updates', inputSchema: { type: 'object', properties: { selector: { type: 'string', description: 'The field or its <label>' }, value: { type: ['string', 'number', 'boolean', 'array'], items: { type: 'string' }, description: 'Value to set, e.g. "2024-05-31" for a date, "#ff0000" for a color, true for a checkbox' } }, required: ['selector', 'value'] } },
+  { name: 'fill_form', description: 'Fill a whole form in one call. Fields are found by label, aria-label/labelledby, name/id, placeholder or nearby text, set according to their type, and reported per field', inputSchema: { type: 'object', properties: { fields: { type: 'object', additionalProperties: true, description: 'Map of field label/name/placeholder to value, e.g. {"Email": "a@b.co", "Country": "Canada", "Accept terms": true}. For radio groups, name the group and give the option label or value' }, form: { type: 'string', description: 'Optional selector of the form to search in (default: whole page)' }, submit: { type: 'boolean', description: 'Submit the form when every field was filled (default: false)' } }, required: ['fields'] } },
+  { name: 'browser_upload_file', description: 'Attach files to a file input (input[type=file], or a label/drop zone containing one) and fire its input/change events', inputSchema: { type: 'object', properties: { selector: { type: 'string', description: 'File input, or an element wrapping or labelling one' }, files: { type: 'array', items: { type: 'object', properties: { path: { type: 'string', description: 'Path to a file readable by the MCP server' }, name: { type: 'string', description: 'File name (required with content)' }, content: { type: 'string', description: 'Base64 file contents' }, mimeType: { type: 'string' } } }, description: 'Files as {path} or {name, content, mimeType}' } }, required: ['selector', 'files'] } },
   { name: 'browser_evaluate', description: 'Run JavaScript code', inputSchema: { type: 'object', properties: { script: { type: 'string' } }, required: ['script'] } },
-  { name: 'browser_screenshot', description: 'Take a screenshot of the current page', inputSchema: { type: 'object', properties: { fullPage: { type: 'boolean', description: 'Capture full scrollable page' } } } },
-  { name: 'browser_click_by_text', description: 'Click an element by its text content', inputSchema: { type: 'object', properties: { text: { type: 'string', description: 'Text to search for' }, tag: { type: 'string', description: 'Optional HTML tag filter (button, a, div, etc.)' }, exact: { type: 'boolean', description: 'Exact text match vs contains' }, index: { type: 'number', description: 'Which match to click if multiple (0-based)' } }, required: ['text'] } },
-  { name: 'browser_wait_for_element', description: 'Wait for an element to appear in the DOM', inputSchema: { type: 'object', properties: { selector: { type: 'string', description: 'CSS selector to wait for' }, timeout: { type: 'number', description: 'Max wait time in ms (default: 10000)' }, visible: { type: 'boolean', description: 'Wait for element to be visible (default: true)' } }, required: ['selector'] } },
+  { name: 'browser_screenshot', description: 'Take a screenshot of the current page, or of one element or area of it. Elements taller than the viewport are captured whole without scrolling', inputSchema: { type: 'object', properties: { fullPage: { type: 'boolean', description: 'Capture full scrollable page' }, selector: { type: 'string', description: 'Capture just this element' }, clip: { type: 'object', properties: { x: { type: 'number' }, y: { type: 'number' }, width: { type: 'number' }, height: { type: 'number' } }, required: ['width', 'height'], description: 'Capture this area, in viewport CSS pixels (as in snapshot rects); may extend past the viewport' }, padding: { type: 'number', description: 'CSS pixels of context around the element or clip' }, scale: { type: 'number', description: 'Device pixel ratio of the image, e.g. 2 for a sharper capture (default: 1)' }, omitBackground: { type: 'boolean', description: 'Transparent instead of the default white page background (PNG)' } } } },
+  { name: 'browser_screenshot_annotated', description: 'Screenshot with a numbered box over every interactive element, plus the number -> ref/selector map. Act on what you see with selector "mark/17" or mark: 17', inputSchema: { type: 'object', properties: { fullPage: { type: 'boolean', description: 'Capture and mark the full scrollable page (default: viewport only)' } } } },
+  { name: 'visual_compare', description: 'Compare the page, an element or an area against a named baseline screenshot kept by the MCP server. The first run saves the baseline; later runs return the mismatch percentage and a diff image (changes in red)', inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Baseline name (letters, digits, dot, dash, underscore)' }, selector: { type: 'string', description: 'Compare just this element' }, fullPage: { type: 'boolean', description: 'Compare the full scrollable page' }, clip: { type: 'object', properties: { x: { type: 'number' }, y: { type: 'number' }, width: { type: 'number' }, height: { type: 'number' } }, required: ['width', 'height'], description: 'Compare this area, in viewport CSS pixels' }, threshold: { type: 'number', description: 'Per-pixel colour difference tolerated, 0-1 (default: 0.1)' }, maxMismatch: { type: 'number', description: 'Mismatch percentage that still passes (default: 0)' }, ignore: { type: 'array', items: { type: 'object', properties: { x: { type: 'number' }, y: { type: 'number' }, width: { type: 'number' }, height: { type: 'number' } } }, description: 'Areas to leave out (clocks, ads), in CSS pixels from the top-left of the capture' }, update: { type: 'boolean', description: 'Replace the baseline with this capture' } }, required: ['name'] } },
+  { name: 'browser_click_by_text', description: 'Click an element by its text content', inputSchema: { type: 'object', properties: { text: { type: 'string', description: 'Text to search for' }, tag: { type: 'string', description: 'Optional HTML tag filter (button, a, div, etc.)' }, exact: { type: 'boolean', description: 'Exact text match vs contains' }, index: { type: 'number', description: 'Which match to click if multiple (0-based)' }, trusted: { type: 'boolean', description: 'Send real (isTrusted) input through the debugger instead of synthetic DOM events (default: the popup\'s Trusted Input setting)' } }, required: ['text'] } },
+  { name: 'browser_wait_for_element', description: 'Wait for an element to appear in the DOM', inputSchema: { type: 'object', properties: { selector: { type: 'string', description: 'Selector to wait for (CSS or aria/, text/, label/, xpath/, pierce/ prefixed; >>> enters shadow roots)' }, timeout: { type: 'number', description: 'Max wait time in ms (default: 10000)' }, visible: { type: 'boolean', description: 'Wait for element to be visible (default: true)' } }, required: ['selector'] } },
   { name: 'browser_execute_safe', description: 'Execute JavaScript in content script context (bypasses page CSP)', inputSchema: { type: 'object', properties: { code: { type: 'string', description: 'JavaScript code to execute' } }, required: ['code'] } },
   { name: 'browser_execute_on_element', description: 'Execute JavaScript on a specific element (CSP-safe)', inputSchema: { type: 'object', properties: { selector: { type: 'string', description: 'CSS selector of target element' }, code: { type: 'string', description: 'JavaScript code with "element" variable available' } }, required: ['selector', 'code'] } },
   
@@ -34,10 +57,23 @@ const TOOLS = [
   { name: 'get_dom_tree', description: 'Get DOM tree structure from element or document', inputSchema: { type: 'object', properties: { selector: { type: 'string' }, depth: { type: 'number', default: 3 } } } },
   { name: 'get_computed_styles', description: 'Get computed CSS styles for element', inputSchema: { type: 'object', properties: { selector: { type: 'string' }, properties: { type: 'array', items: { type: 'string' } } }, required: ['selector'] } },
   { name: 'get_element_html', description: 'Get innerHTML or outerHTML of element', inputSchema: { type: 'object', properties: { selector: { type: 'string' }, outer: { type: 'boolean', default: true } }, required: ['selector'] } },
+  { name: 'get_page_markdown', description: 'Read the page\'s main content as Markdown (headings, lists, links, tables, code blocks) with navigation, sidebars and ads removed. Much smaller than HTML', inputSchema: { type: 'object', properties: { selector: { type: 'string', description: 'Convert this element instead of the detected main content' }, full: { type: 'boolean', description: 'Convert the whole body instead of the detected main content (default: false)' }, section: { type: ['number', 'string'], description: 'Only this section: index from the sections outline, or heading text' }, sectionLevel: { type: 'number', description: 'Deepest heading level that starts a section (default: 2)' }, maxLength: { type: 'number', description: 'Max characters; longer content is cut and the sections outline returned (default: 20000)' } } } },
+  { name: 'get_page_text', description: 'Read the page\'s main content as plain text, with the same extraction and options as get_page_markdown', inputSchema: { type: 'object', properties: { selector: { type: 'string', description: 'Convert this element instead of the detected main content' }, full: { type: 'boolean', description: 'Convert the whole body instead of the detected main content (default: false)' }, section: { type: ['number', 'string'], description: 'Only this section: index from the sections outline, or heading text' }, sectionLevel: { type: 'number', description: 'Deepest heading level that starts a section (default: 2)' }, maxLength: { type: 'number', description: 'Max characters; longer content is cut and the sections outline returned (default: 20000)' } } } },
   { name: 'query_all', description: 'Find all elements matching selector', inputSchema: { type: 'object', properties: { selector: { type: 'string' }, limit: { type: 'number', default: 20 } }, required: ['selector'] } },
+  { name: 'extract_table', description: 'Extract an HTML table or ARIA grid as an array of row objects keyed by column header (colspan/rowspan spread over the cells they cover)', inputSchema: { type: 'object', properties: { selector: { type: 'string', description: 'The table/grid, or an element inside or around it (default: first data table on the page)' }, links: { type: 'boolean', description: 'Return cells containing a link as {text, href} (default: false)' }, limit: { type: 'number', description: 'Max rows (default: 500)' } } } },
+  { name: 'extract_list', description: 'Extract repeated items (product cards, search results, feed entries) as objects. Map fields by example: give the value each field shows in the sample item and the same spot is read from every item', inputSchema: { type: 'object', properties: { item: { type: 'string', description: 'Selector or ref of one item (or an element inside it); its like-shaped siblings are the other items' }, container: { type: 'string', description: 'Selector or ref of the element holding the items, when no item is given' }, fields: { type: 'object', additionalProperties: { type: ['string', 'object'] }, description: 'Field name -> value as shown in the sample item, e.g. {"title": "Blue Mug", "price": "$12.00", "url": "https://shop.example/mug"}, or {selector, attribute} relative to the item. Default: text, url and image' }, limit: { type: 'number', description: 'Max items (default: 500)' } } } },
+  { name: 'extract_metadata', description: 'Get page metadata: JSON-LD, microdata, OpenGraph, Twitter card and meta tags, canonical and alternate links', inputSchema: { type: 'object', properties: {} } },
   { name: 'find_by_text', description: 'Find elements containing text', inputSchema: { type: 'object', properties: { text: { type: 'string' }, tag: { type: 'string' } }, required: ['text'] } },
   { name: 'get_attributes', description: 'Get all attributes and data-* properties', inputSchema: { type: 'object', properties: { selector: { type: 'string' } }, required: ['selector'] } },
   
+  // Recording
+  { name: 'list_recording_sessions', description: 'List saved recording sessions (id, name, timestamps, entry count)', inputSchema: { type: 'object', properties: {} } },
+  { name: 'get_recording_session', description: 'Fetch a recording session and its entries', inputSchema: { type: 'object', properties: { sessionId: { type: 'string', description: 'Session id from list_recording_sessions (defaults to the session open in the popup)' }, offset: { type: 'number', description: 'Index of the first entry to return (default: 0)' }, limit: { type: 'number', description: 'Max entries to return (default: all)' } } } },
+  { name: 'replay_recording', description: 'Replay the recorded interaction log (or a supplied log) step by step in the active tab and report per-step results', inputSchema: { type: 'object', properties: { sessionId: { type: 'string', description: 'Recording session to replay (defaults to the session open in the popup)' }, log: { type: 'array', items: { type: 'object' }, description: 'Recorded entries to replay instead of a session' }, delay: { type: 'number', description: 'Pause between steps in ms (default: 500)' }, stepTimeout: { type: 'number', description: 'Max wait for each step\'s element/page in ms (default: 5000)' }, stopOnError: { type: 'boolean', description: 'Stop at the first failing step (default: true)' }, wait: { type: 'boolean', description: 'Wait for the replay to finish before returning (default: true)' }, trusted: { type: 'boolean', description: 'Replay clicks and keys as real (isTrusted) input through the debugger (default: the popup\'s Trusted Input setting)' }, values: { type: 'object', additionalProperties: { type: 'string' }, description: 'Values for steps redacted when recorded, by the name the failing step reports, e.g. { "FIELD_PASSWORD": "..." }' } } } },
+  { name: 'export_recording', description: 'Export the recorded interaction log (or a supplied log) as a runnable test script', inputSchema: { type: 'object', properties: { sessionId: { type: 'string', description: 'Recording session to export (defaults to the session open in the popup)' }, format: { type: 'string', enum: ['playwright', 'puppeteer', 'cypress', 'devtools', 'json'], description: 'Output format (default: playwright)' }, name: { type: 'string', description: 'Test name used in the generated script' }, log: { type: 'array', items: { type: 'object' }, description: 'Recorded entries to export instead of a session' } } } },
+  { name: 'import_devtools_recording', description: 'Import a Chrome DevTools Recorder user flow (JSON) as a new recording session so it can be replayed or exported', inputSchema: { type: 'object', properties: { flow: { type: 'object', description: 'Recorder flow with title and steps (a JSON string is also accepted)' }, append: { type: 'boolean', description: 'Append to the session open in the popup instead of creating a new one (default: false)' } }, required: ['flow'] } },
+  { name: 'export_devtools_recording', description: 'Export the recording log as a Chrome DevTools Recorder user flow that can be imported into the Recorder panel', inputSchema: { type: 'object', properties: { sessionId: { type: 'string', description: 'Recording session to export (defaults to the session open in the popup)' }, title: { type: 'string', description: 'Flow title' }, log: { type: 'array', items: { type: 'object' }, description: 'Recorded entries to export instead of a session' } } } },
+  
   // Page Info
   { name: 'get_page_metrics', description: 'Get page performance metrics, element counts, memory', inputSchema: { type: 'object', properties: {} } },
   { name: 'get_console_logs', description: 'Get captured console logs (log, warn, error)', inputSchema: { type: 'object', properties: {} } },
@@ -105,6 +141,190 @@ const TOOLS = [
   { name: 'get_animations', description: 'Get active CSS/JS animations', inputSchema: { type: 'object', properties: {} } }
 ];
 
+// Page tools can act inside an iframe instead of the top document
+const FRAME_PARAM = { type: ['number', 'string', 'array'], items: { type: 'string' }, description: 'Target frame: frameId from list_frames, frame URL pattern ("https://checkout.example.com/*"), <iframe> selector, or an array of selectors for nested frames' };
+const FRAME_TOOLS = [
+  'browser_click', 'browser_type', 'browser_snapshot', 'browser_scroll', 'browser_press_key', 'browser_evaluate',
+  'browser_drag', 'browser_mouse_path', 'browser_long_press', 'browser_upload_file', 'browser_screenshot', 'browser_screenshot_annotated', 'visual_compare',
+  'browser_select_option', 'browser_set_checked', 'browser_set_value', 'fill_form',
+  'browser_click_by_text', 'browser_wait_for_element', 'browser_execute_safe', 'browser_execute_on_element',
+  'inspect_element', 'get_dom_tree', 'get_computed_styles', 'get_element_html', 'query_all', 'find_by_text', 'get_attributes',
+  'get_page_markdown', 'get_page_text', 'extract_table', 'extract_list', 'extract_metadata',
+  'get_page_metrics', 'get_console_logs', 'get_network_info', 'get_storage', 'get_cookies'
+];
+TOOLS.filter(tool => FRAME_TOOLS.includes(tool.name)).forEach(tool => {
+  tool.inputSchema.properties.frame = FRAME_PARAM;
+});
+
+// Element tools take a snapshot ref or a screenshot mark as an alternative to the selector
+const REF_PARAM = { type: 'string', description: 'Element ref from browser_snapshot ("e12", or "f3:e12" inside a frame), used instead of selector' };
+const MARK_PARAM = { type: 'number', description: 'Mark number from browser_screenshot_annotated, used instead of selector' };
+const REF_TOOLS = [
+  'browser_click', 'browser_type', 'browser_press_key', 'browser_long_press', 'browser_upload_file',
+  'browser_select_option', 'browser_set_checked', 'browser_set_value', 'browser_wait_for_element',
+  'inspect_element', 'get_dom_tree', 'get_computed_styles', 'get_element_html', 'get_attributes',
+  'get_page_markdown', 'get_page_text', 'extract_table', 'browser_screenshot', 'visual_compare',
+  'browser_execute_on_element', 'get_event_listeners', 'set_dom_breakpoint', 'remove_dom_breakpoint', 'get_accessibility_tree'
+];
+TOOLS.filter(tool => REF_TOOLS.includes(tool.name)).forEach(tool => {
+  tool.inputSchema.properties.ref = REF_PARAM;
+  tool.inputSchema.properties.mark = MARK_PARAM;
+  if (tool.inputSchema.required) tool.inputSchema.required = tool.inputSchema.required.filter(key => key !== 'selector');
+});
+
+// ============ LOCAL FILES ============
+// Upload paths are read here, since the extension can't touch the disk. The path goes along too:
+// when the browser runs on this machine it attaches the real file through the debugger.
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+const MIME_TYPES = {
+  '.csv': 'text/csv', '.txt': 'text/plain', '.json': 'application/json', '.xml': 'application/xml',
+  '.pdf': 'application/pdf', '.zip': 'application/zip', '.html': 'text/html',
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+async function prepareToolArgs(name, args) {
+  if (name !== 'browser_upload_file' || !Array.isArray(args.files)) return args;
+  
+  const files = await Promise.all(args.files.map(async (file) => {
+    if (!file?.path) return file;
+    
+    const path = resolve(file.path);
+    const { size } = await stat(path);
+    if (size > MAX_UPLOAD_BYTES) throw new Error(`${path} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`);
+    return {
+      path,
+      name: file.name || basename(path),
+      mimeType: file.mimeType || MIME_TYPES[extname(path).toLowerCase()] || 'application/octet-stream',
+      content: (await readFile(path)).toString('base64')
+    };
+  }));
+  return { ...args, files };
+}
+
+// ============ VISUAL REGRESSION ============
+// Baselines are PNGs kept on this machine under their given name; the extension only takes the
+// screenshot and the comparison runs here. They sit next to the server by default, since MCP
+// clients start it from whatever directory they like.
+const BASELINE_DIR = process.env.APEX_BASELINE_DIR
+  ? resolve(process.env.APEX_BASELINE_DIR)
+  : fileURLToPath(new URL('./visual-baselines', import.meta.url));
+const BASELINE_NAME = /^[\w.-]+$/;
+const DIFF_COLOR = [255, 0, 0, 255];
+
+// Tools answered by the server itself rather than the extension
+const SERVER_TOOLS = {
+  visual_compare: visualCompare
+};
+
+function runTool(name, args) {
+  return SERVER_TOOLS[name] ? SERVER_TOOLS[name](args) : callTool(name, args);
+}
+
+async function visualCompare(args) {
+  const { name, threshold = 0.1, maxMismatch = 0, ignore = [], update = false, ...capture } = args;
+  if (!BASELINE_NAME.test(name || '')) return { error: 'name may only use letters, digits, dot, dash and underscore' };
+  
+  // Always 1x PNG through the debugger, so captures match whatever the display's pixel ratio
+  const shot = await callTool('browser_screenshot', { ...capture, scale: 1, format: 'png' });
+  if (shot.error) return shot;
+  const actual = PNG.sync.read(Buffer.from(shot.dataUrl.split(',')[1], 'base64'));
+  
+  const baselinePath = join(BASELINE_DIR, `${name}.png`);
+  const baseline = await readPng(baselinePath);
+  if (!baseline || update) {
+    await mkdir(BASELINE_DIR, { recursive: true });
+    await writeFile(baselinePath, PNG.sync.write(actual));
+    return {
+      success: true,
+      name,
+      baseline: baselinePath,
+      [baseline ? 'updated' : 'created']: true,
+      dimensions: { width: actual.width, height: actual.height }
+    };
+  }
+  
+  // Pixels compare where both images overlap; whatever only one of them covers counts as changed
+  const width = Math.min(baseline.width, actual.width);
+  const height = Math.min(baseline.height, actual.height);
+  const expected = cropImage(baseline, width, height);
+  const current = cropImage(actual, width, height);
+  ignore.forEach(region => {
+    clearRegion(expected, region);
+    clearRegion(current, region);
+  });
+  const overlap = new PNG({ width, height });
+  let mismatched = pixelmatch(expected.data, current.data, overlap.data, width, height, { threshold });
+  
+  const diff = new PNG({ width: Math.max(baseline.width, actual.width), height: Math.max(baseline.height, actual.height) });
+  for (let y = 0; y < diff.height; y++) {
+    for (let x = 0; x < diff.width; x++) {
+      const i = (y * diff.width + x) * 4;
+      if (x < width && y < height) {
+        diff.data.set(overlap.data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4), i);
+      } else {
+        diff.data.set(DIFF_COLOR, i);
+        mismatched++;
+      }
+    }
+  }
+  
+  const totalPixels = diff.width * diff.height;
+  const mismatch = Math.round(mismatched / totalPixels * 10000) / 100;
+  const result = {
+    success: true,
+    name,
+    passed: mismatch <= maxMismatch,
+    mismatch,
+    mismatchedPixels: mismatched,
+    totalPixels,
+    baseline: baselinePath
+  };
+  if (baseline.width !== actual.width || baseline.height !== actual.height) {
+    result.sizeChanged = {
+      baseline: { width: baseline.width, height: baseline.height },
+      actual: { width: actual.width, height: actual.height }
+    };
+  }
+  if (mismatched) {
+    // Kept next to the baseline for a look, and to promote the capture with update: true
+    const diffPng = PNG.sync.write(diff);
+    result.actual = join(BASELINE_DIR, `${name}.actual.png`);
+    result.diff = join(BASELINE_DIR, `${name}.diff.png`);
+    await writeFile(result.actual, PNG.sync.write(actual));
+    await writeFile(result.diff, diffPng);
+    result.dataUrl = `data:image/png;base64,${diffPng.toString('base64')}`;
+  }
+  return result;
+}
+
+async function readPng(path) {
+  try {
+    return PNG.sync.read(await readFile(path));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function cropImage(png, width, height) {
+  const cropped = new PNG({ width, height });
+  PNG.bitblt(png, cropped, 0, 0, width, height, 0, 0);
+  return cropped;
+}
+
+// Blanks a region in both images alike, so it never differs
+function clearRegion(png, { x = 0, y = 0, width = 0, height = 0 }) {
+  const left = Math.max(0, Math.floor(x));
+  const top = Math.max(0, Math.floor(y));
+  const right = Math.min(png.width, Math.ceil(x + width));
+  const bottom = Math.min(png.height, Math.ceil(y + height));
+  for (let row = top; row < bottom; row++) {
+    png.data.fill(0, (row * png.width + left) * 4, (row * png.width + right) * 4);
+  }
+}
+
 // ============ STDIN - Handle line-based JSON (what Cursor actually sends) ============
 const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: false });
 
@@ -130,6 +350,179 @@ startWsServer();
 
 log('Ready');
 
+// ============ SNAPSHOT FORMAT ============
+// Snapshots go to the model as compact text, one line per element or node
+
+function formatSnapshot(snapshot) {
+  const a11y = snapshot.mode === 'a11y';
+  if (snapshot.diff) {
+    const lines = [];
+    const format = a11y ? node => formatA11yNode(node) + (node.parent ? ` (in ${node.parent})` : '') : formatElement;
+    snapshot.added.forEach(item => lines.push(`+ ${format(item)}`));
+    snapshot.changed.forEach(item => lines.push(`~ ${format(item)}`));
+    snapshot.removed.forEach(item => lines.push(`- ${item.role || `<${item.tag}>`} ${JSON.stringify(item.name ?? item.text ?? '')}${item.ref ? ` [ref=${item.ref}]` : ''}`));
+    lines.push(`${snapshot.added.length} added, ${snapshot.changed.length} changed, ${snapshot.removed.length} removed, ${snapshot.unchanged} unchanged`);
+    return lines.join('\n');
+  }
+  
+  let text = a11y ? formatA11yTree(snapshot.nodes) : snapshot.elements.map(formatElement).join('\n');
+  const shown = `${snapshot.offset + 1}-${snapshot.nextOffset ?? snapshot.total} of ${snapshot.total}`;
+  const notes = [];
+  if (snapshot.summarized) notes.push(`${snapshot.summarized} repeated items summarised (snapshot their region to see them)`);
+  if (snapshot.nextOffset !== undefined) notes.push(`showing ${shown}, continue with offset=${snapshot.nextOffset}`);
+  if (notes.length) text += `\n\n(${notes.join('; ')})`;
+  return text;
+}
+
+// [e5] <button> "Save" -> #save
+function formatElement(e) {
+  if (e.summary) return `... ${e.summary} [region=${e.region}]`;
+  const type = e.type && e.type !== e.tag ? ` type=${e.type}` : '';
+  const label = e.ariaLabel || e.text || e.placeholder || '';
+  let line = `[${e.ref}] <${e.tag}${type}> ${JSON.stringify(label)}`;
+  if (e.value) line += ` value=${JSON.stringify(e.value)}`;
+  if (e.href) line += ` href=${e.href}`;
+  return `${line} -> ${e.selector}`;
+}
+
+// - button "Save" [ref=e5] [disabled]
+function formatA11yTree(nodes = [], depth = 0) {
+  return nodes.map(node => {
+    const line = `${'  '.repeat(depth)}- ${formatA11yNode(node)}`;
+    return node.children ? `${line}\n${formatA11yTree(node.children, depth + 1)}` : line;
+  }).join('\n');
+}
+
+function formatA11yNode(node) {
+  let line = node.role;
+  if (node.name) line += ` ${JSON.stringify(node.name)}`;
+  if (node.ref) line += ` [ref=${node.ref}]`;
+  ['checked', 'pressed', 'expanded', 'selected', 'disabled', 'required', 'focused', 'level', 'value', 'url', 'region'].forEach(key => {
+    if (node[key] === undefined) return;
+    line += node[key] === true ? ` [${key}]` : ` [${key}=${node[key]}]`;
+  });
+  return line;
+}
+
+// ============ IMAGE CONTENT ============
+// Screenshots and diffs go to the client as image blocks, not base64 text. Images past the size
+// limits are scaled down and, when still too heavy, re-encoded as JPEG; 0 turns a limit off.
+const IMAGE_MAX_DIMENSION = envLimit('APEX_IMAGE_MAX_DIMENSION', 2000);
+const IMAGE_MAX_BYTES = envLimit('APEX_IMAGE_MAX_BYTES', 1024 * 1024);
+const JPEG_QUALITIES = [80, 60, 40];
+const DATA_URL = /^data:(image\/[\w.+-]+);base64,(.*)$/s;
+
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function isImageResult(result) {
+  return typeof result.dataUrl === 'string' && DATA_URL.test(result.dataUrl);
+}
+
+// An image block, then a caption with everything else the tool returned
+function formatImageResult(result) {
+  const [, mimeType, data] = result.dataUrl.match(DATA_URL);
+  const image = boundImage(mimeType, Buffer.from(data, 'base64'));
+  const { dataUrl, success, marks, ...details } = result;
+  
+  const caption = [];
+  if (image.scaledFrom) caption.push(`(Image scaled to ${image.width}x${image.height} from ${image.scaledFrom.width}x${image.scaledFrom.height})`);
+  if (Object.keys(details).length) caption.push(JSON.stringify(details, null, 2));
+  // [17] button "Save" [ref=e5] -> #save
+  if (marks) caption.push(marks.map(m => `[${m.mark}] ${m.role || `<${m.tag}>`} ${JSON.stringify(m.name || '')} [ref=${m.ref}] -> ${m.selector}`).join('\n'));
+  
+  const content = [{ type: 'image', data: image.buffer.toString('base64'), mimeType: image.mimeType }];
+  if (caption.length) content.push({ type: 'text', text: caption.join('\n\n') });
+  return content;
+}
+
+function boundImage(mimeType, buffer) {
+  const fits = (width, height, size) => (!IMAGE_MAX_DIMENSION || Math.max(width, height) <= IMAGE_MAX_DIMENSION) &&
+    (!IMAGE_MAX_BYTES || size <= IMAGE_MAX_BYTES);
+  
+  let decoded;
+  try {
+    decoded = mimeType === 'image/png' ? PNG.sync.read(buffer) : mimeType === 'image/jpeg' ? jpeg.decode(buffer, { useTArray: true }) : null;
+  } catch (e) {
+    log(`Image decode error: ${e.message}`);
+  }
+  // Formats we can't decode pass through as they are
+  if (!decoded || fits(decoded.width, decoded.height, buffer.length)) {
+    return { mimeType, buffer, width: decoded?.width, height: decoded?.height };
+  }
+  
+  let image = decoded;
+  if (IMAGE_MAX_DIMENSION && Math.max(image.width, image.height) > IMAGE_MAX_DIMENSION) {
+    image = resizeImage(image, IMAGE_MAX_DIMENSION / Math.max(image.width, image.height));
+  }
+  
+  const done = encoded => ({
+    ...encoded,
+    width: image.width,
+    height: image.height,
+    scaledFrom: image === decoded ? undefined : { width: decoded.width, height: decoded.height }
+  });
+  
+  // PNG keeps text and transparency sharp, so it stays when scaling alone was enough;
+  // then JPEG at falling quality, then half the size again
+  while (true) {
+    if (mimeType === 'image/png') {
+      const png = { mimeType, buffer: PNG.sync.write(image) };
+      if (fits(image.width, image.height, png.buffer.length)) return done(png);
+    }
+    let encoded;
+    for (const quality of JPEG_QUALITIES) {
+      encoded = { mimeType: 'image/jpeg', buffer: encodeJpeg(image, quality) };
+      if (fits(image.width, image.height, encoded.buffer.length)) return done(encoded);
+    }
+    if (Math.max(image.width, image.height) <= 64) return done(encoded);
+    image = resizeImage(image, 0.5);
+  }
+}
+
+// Box filter: each output pixel averages the source pixels it covers
+function resizeImage({ width, height, data }, scale) {
+  const outWidth = Math.max(1, Math.round(width * scale));
+  const outHeight = Math.max(1, Math.round(height * scale));
+  const out = Buffer.alloc(outWidth * outHeight * 4);
+  
+  for (let y = 0; y < outHeight; y++) {
+    const top = Math.floor(y * height / outHeight);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * height / outHeight));
+    for (let x = 0; x < outWidth; x++) {
+      const left = Math.floor(x * width / outWidth);
+      const right = Math.max(left + 1, Math.floor((x + 1) * width / outWidth));
+      const sum = [0, 0, 0, 0];
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          const i = (sy * width + sx) * 4;
+          sum[0] += data[i];
+          sum[1] += data[i + 1];
+          sum[2] += data[i + 2];
+          sum[3] += data[i + 3];
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      const o = (y * outWidth + x) * 4;
+      for (let c = 0; c < 4; c++) out[o + c] = Math.round(sum[c] / count);
+    }
+  }
+  return { width: outWidth, height: outHeight, data: out };
+}
+
+// JPEG has no alpha, so transparent areas come out white as on a page
+function encodeJpeg({ width, height, data }, quality) {
+  const flat = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < flat.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    for (let c = 0; c < 3; c++) flat[i + c] = Math.round(data[i + c] * alpha + 255 * (1 - alpha));
+    flat[i + 3] = 255;
+  }
+  return jpeg.encode({ width, height, data: flat }, quality).data;
+}
+
 // ============ MCP PROTOCOL ============
 
 function sendMcp(obj) {
@@ -166,17 +559,36 @@ function handleMcp(msg) {
   if (method === 'tools/call') {
     const { name, arguments: args } = params;
     log(`Tool: ${name}`);
-    callTool(name, args || {}).then(result => {
+    prepareToolArgs(name, args || {}).then(callArgs => runTool(name, callArgs)).then(result => {
+      // Screenshots and other images: an image block plus a caption
+      if (!result.error && isImageResult(result)) {
+        sendMcp({ jsonrpc: '2.0', id, result: { content: formatImageResult(result) } });
+        return;
+      }
+      
       let text;
       try {
         if (result.error) {
           text = `Error: ${result.error}`;
-        } else if (Array.isArray(result.elements)) {
-          // Snapshot-style result with elements array
-          text = `URL: ${result.url}\nTitle: ${result.title}\n\nElements:\n`;
-          result.elements.slice(0, 30).forEach(e => {
-            text += `[${e.ref}] <${e.tag}> ${(e.text || '').slice(0, 30)}\n`;
+        } else if (result.url !== undefined && (result.mode === 'a11y' || result.diff || Array.isArray(result.elements))) {
+          // Snapshot: the top document, then each frame in the same form
+          text = `URL: ${result.url}\nTitle: ${result.title}\n\n${formatSnapshot(result)}`;
+          (result.frames || []).forEach(frame => {
+            text += `\n\nFrame ${frame.frameId}: ${frame.url}\n`;
+            text += frame.error ? `Error: ${frame.error}` : formatSnapshot(frame);
           });
+        } else if (typeof result.content === 'string' && result.format) {
+          // Page content: the text itself, with the sections outline when it was cut short
+          text = `URL: ${result.url}\nTitle: ${result.title}\n\n${result.content}`;
+          if (result.truncated) {
+            text += `\n\n(Cut at ${result.content.length} of ${result.length} characters`;
+            text += result.sections
+              ? `; read one section with section=<index>:\n${result.sections.map(s => `${s.index}. ${s.heading || '(intro)'} - ${s.length} chars`).join('\n')})`
+              : ')';
+          }
+        } else if (typeof result.code === 'string') {
+          // Exported script: return the source as-is so it stays readable
+          text = `File: ${result.filename}\n\n${result.code}`;
         } else {
           text = JSON.stringify(result, null, 2);
         }
@@ -368,7 +780,7 @@ async function processQueue() {
           pendingRequests.delete(id); 
           log(`Tool ${name} timed out`);
           res({ error: 'Timeout' }); 
-        }, 30000);
+        }, TOOL_TIMEOUTS[name] || DEFAULT_TOOL_TIMEOUT);
         
         pendingRequests.set(id, (r) => { 
           clearTimeout(timer); 
@@ -0,0 +1,74 @@
+// Redacted recording steps: replay takes the real value from the caller, exports name a placeholder
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { redactEntry } from '../extension/lib/redact.js';
+import { buildRecordingSteps, redactedUrlPattern, resolveRedactedValue } from '../extension/lib/steps.js';
+import { generateScript } from '../extension/lib/codegen.js';
+import { toRecorderFlow } from '../extension/lib/devtools-recorder.js';
+
+const log = [
+  redactEntry({ type: 'NAVIGATION', details: 'Navigated', url: 'https://app.test/login?email=me@app.test', tabId: 1 }),
+  {
+    type: 'KEYBOARD',
+    details: 'Typed in #password',
+    target: '#password',
+    selectors: [{ selector: '#password', strategy: 'id' }],
+    fingerprint: { tag: 'input', attributes: { name: 'password', type: 'password' } },
+    before: '[redacted]',
+    after: '[redacted]',
+    redacted: true,
+    url: 'https://app.test/login',
+    tabId: 1
+  },
+  { type: 'CLICK', details: 'Clicked #submit', selector: '#submit', selectors: [{ selector: '#submit', strategy: 'id' }], url: 'https://app.test/login', tabId: 1 },
+  redactEntry({ type: 'NAVIGATION', details: 'Navigated', url: 'https://app.test/auth/callback?code=abc123&state=ok', tabId: 1 })
+];
+
+test('redacted entries become steps that name the value they need', () => {
+  const steps = buildRecordingSteps(log);
+  const type = steps.find(step => step.kind === 'type');
+  assert.equal(type.redacted, true);
+  assert.equal(type.valueName, 'FIELD_PASSWORD');
+  assert.equal(type.before, '');
+  
+  const callback = steps.filter(step => step.kind === 'navigate').at(-1);
+  assert.equal(callback.redacted, true);
+  assert.equal(callback.valueName, 'URL_AUTH_CALLBACK');
+});
+
+test('replay refuses a redacted value unless the caller supplies it', () => {
+  const type = buildRecordingSteps(log).find(step => step.kind === 'type');
+  assert.match(resolveRedactedValue(type).error, /redacted when recorded; pass it as values\.FIELD_PASSWORD/);
+  assert.deepEqual(resolveRedactedValue(type, { FIELD_PASSWORD: 'hunter2' }), { value: 'hunter2' });
+});
+
+test('replay matches a redacted URL against any value where it was masked', () => {
+  const pattern = redactedUrlPattern('https://app.test/auth/callback?code=[redacted]&state=ok');
+  assert.ok(pattern.test('https://app.test/auth/callback?code=xyz&state=ok'));
+  assert.ok(!pattern.test('https://app.test/auth/callback?code=xyz&state=bad'));
+  assert.ok(!pattern.test('https://app-test/auth/callback?code=xyz&state=ok'));
+});
+
+test('script exports read redacted values from the environment', () => {
+  const playwright = generateScript(log, 'playwright').code;
+  assert.ok(!playwright.includes('[redacted]'));
+  assert.match(playwright, /\.fill\(process\.env\.FIELD_PASSWORD\); \/\/ Redacted in the recording; set FIELD_PASSWORD/);
+  assert.match(playwright, /await page\.goto\(process\.env\.URL_LOGIN\);/);
+  assert.match(playwright, /await page\.waitForURL\(new RegExp\(/);
+  
+  const puppeteer = generateScript(log, 'puppeteer').code;
+  assert.ok(!puppeteer.includes('[redacted]'));
+  assert.match(puppeteer, /\.fill\(process\.env\.FIELD_PASSWORD\);/);
+  
+  const cypress = generateScript(log, 'cypress').code;
+  assert.ok(!cypress.includes('[redacted]'));
+  assert.match(cypress, /\.type\(Cypress\.env\('FIELD_PASSWORD'\), \{ parseSpecialCharSequences: false, log: false \}\);/);
+});
+
+test('DevTools Recorder export writes named placeholders', () => {
+  const flow = toRecorderFlow(log);
+  assert.ok(!JSON.stringify(flow).includes('[redacted]'));
+  assert.equal(flow.steps.find(step => step.type === 'change').value, '{{FIELD_PASSWORD}}');
+  assert.equal(flow.steps.find(step => step.type === 'navigate').url, '{{URL_LOGIN}}');
+});